@@ -0,0 +1,49 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+/**
+ * Serves pdf.js character maps and standard fonts from pdfjs-dist
+ * In dev they are streamed from node_modules; in a build they are emitted as assets
+ * (so the service worker can precache them) under /pdfjs/
+ */
+
+const require = createRequire(import.meta.url);
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+const ASSET_DIRS = ['cmaps', 'standard_fonts'];
+const PDFJS_ASSETS_PATH = 'pdfjs';
+
+function resolveAsset(dir, name) {
+  const root = path.join(PDFJS_DIR, dir);
+  const filePath = path.join(root, name);
+  // Reject ../ escapes from the requested path
+  return filePath.startsWith(root + path.sep) && fs.existsSync(filePath) ? filePath : null;
+}
+
+export default function pdfjsAssets() {
+  return {
+    name: 'pdfjs-assets',
+
+    configureServer(server) {
+      server.middlewares.use(`/${PDFJS_ASSETS_PATH}`, (req, res, next) => {
+        const [dir, ...rest] = decodeURIComponent(req.url.split('?')[0]).split('/').filter(Boolean);
+        const filePath = ASSET_DIRS.includes(dir) && resolveAsset(dir, rest.join('/'));
+        if (!filePath) return next();
+        fs.createReadStream(filePath).pipe(res);
+      });
+    },
+
+    generateBundle() {
+      ASSET_DIRS.forEach((dir) => {
+        fs.readdirSync(path.join(PDFJS_DIR, dir)).forEach((name) => {
+          this.emitFile({
+            type: 'asset',
+            fileName: `${PDFJS_ASSETS_PATH}/${dir}/${name}`,
+            source: fs.readFileSync(path.join(PDFJS_DIR, dir, name)),
+          });
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+/**
+ * Builds the service worker (build only; there is no offline mode in dev)
+ * The source gets a precache manifest of every emitted file, so the app shell,
+ * the pdf.js worker, cMaps and fonts are available offline after the first visit.
+ * Must come after plugins that emit assets (pdfjsAssets)
+ */
+
+const MANIFEST_PLACEHOLDER = 'self.__PRECACHE_MANIFEST__';
+
+export default function serviceWorker({ src = 'src/sw.js', fileName = 'sw.js' } = {}) {
+  let config;
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle).filter((name) => !name.endsWith('.map'));
+      // The base URL serves index.html, which is the app shell for navigations
+      const urls = [...new Set([config.base, ...files.map((name) => `${config.base}${name}`)])];
+      // Asset names carry content hashes, so the list changes whenever the app does
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12);
+
+      const source = fs.readFileSync(path.resolve(config.root, src), 'utf8');
+      if (!source.includes(MANIFEST_PLACEHOLDER)) {
+        this.error(`${src} must reference ${MANIFEST_PLACEHOLDER}`);
+      }
+
+      this.emitFile({
+        type: 'asset',
+        fileName,
+        source: source.replace(MANIFEST_PLACEHOLDER, JSON.stringify({ version, urls })),
+      });
+    },
+  };
+}
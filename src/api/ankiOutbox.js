@@ -0,0 +1,92 @@
+import {
+  translateText,
+  ENDPOINTS,
+  TRANSLATION_ERROR_CODES,
+  getTranslationErrorMessage,
+} from './translateApi';
+import {
+  getAnkiOutboxItems,
+  markAnkiOutboxAttempt,
+  removeAnkiOutboxItem,
+} from '../storage/ankiOutboxStore';
+
+/**
+ * Anki outbox delivery
+ * Re-sends queued notes through processTranslation, which adds the note to Anki
+ */
+
+let flushPromise = null;
+
+/**
+ * Retry a single queued item
+ * @param {import('../storage/ankiOutboxStore').AnkiOutboxItem} item - Queued item
+ * @returns {Promise<boolean>} True if the note reached Anki
+ * @throws {TranslationApiError} On network failure (caller stops the flush)
+ */
+async function deliverItem(item) {
+  try {
+    const result = await translateText(
+      {
+        text: item.text,
+        sourceLang: item.sourceLang,
+        targetLang: item.targetLang,
+        context: item.context || undefined,
+      },
+      { endpoint: ENDPOINTS.PROCESS_TRANSLATION, forceRefresh: true, retries: 0 }
+    );
+
+    if (result.anki?.status === 'added') {
+      await removeAnkiOutboxItem(item.id);
+      return true;
+    }
+
+    await markAnkiOutboxAttempt(item, result.anki?.error || 'Anki unavailable');
+    return false;
+  } catch (error) {
+    await markAnkiOutboxAttempt(item, getTranslationErrorMessage(error));
+    throw error;
+  }
+}
+
+/**
+ * Retry queued Anki notes
+ * Concurrent calls share one run; stops early when the backend is unreachable
+ * @param {Object} [options]
+ * @param {string[]} [options.ids] - Only retry these items
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+export function flushAnkiOutbox({ ids } = {}) {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    const items = (await getAnkiOutboxItems()).filter((item) => !ids || ids.includes(item.id));
+    let delivered = 0;
+    let failed = 0;
+
+    for (const item of items) {
+      try {
+        if (await deliverItem(item)) {
+          delivered += 1;
+        } else {
+          failed += 1;
+          // Anki itself is down - the rest would fail the same way
+          break;
+        }
+      } catch (error) {
+        failed += 1;
+        if (
+          error.code === TRANSLATION_ERROR_CODES.NETWORK ||
+          error.code === TRANSLATION_ERROR_CODES.TIMEOUT
+        ) {
+          break;
+        }
+      }
+    }
+
+    return { delivered, failed };
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
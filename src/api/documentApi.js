@@ -0,0 +1,19 @@
+import { API_URL } from './translateApi';
+
+/**
+ * Backend endpoints for shared documents
+ * A bot can hand out a deep link with a file id; the backend streams the PDF for it
+ */
+
+const DOCUMENTS_PATH = '/api/documents';
+
+/**
+ * Get the download URL of a document shared through the bot
+ * The file id is the access token, so the URL can be opened by pdf.js directly
+ * (the backend must allow CORS from the Mini App origin)
+ * @param {string} fileId - Id from the deep link start_param
+ * @returns {string}
+ */
+export function getSharedDocumentUrl(fileId) {
+  return `${API_URL}${DOCUMENTS_PATH}/${encodeURIComponent(fileId)}`;
+}
@@ -1,99 +1,469 @@
-import { validateTranslationRequest, validateTranslationResponse } from '../types/translation';
+import {
+  validateTranslationRequest,
+  validateTranslationResponse,
+  validateProcessTranslationRequest,
+  validateProcessTranslationResponse,
+} from '../types/translation';
 import { getTelegramInitData } from '../telegram/telegramApp';
+import {
+  peekCachedTranslation,
+  getCachedTranslation,
+  setCachedTranslation,
+  TRANSLATION_CACHES,
+} from '../storage/translationCache';
 
 /**
  * API client for translation service
+ * Single entry point for all translation requests to the backend
  */
 
-const API_URL = import.meta.env.VITE_API_URL;
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3003';
+
+/**
+ * Available backend endpoints
+ * - PROCESS_TRANSLATION: translation + automatic Anki note (default)
+ * - TRANSLATE: plain translation without Anki
+ */
+export const ENDPOINTS = {
+  PROCESS_TRANSLATION: 'processTranslation',
+  TRANSLATE: 'translate',
+};
+
+const ENDPOINT_PATHS = {
+  [ENDPOINTS.PROCESS_TRANSLATION]: '/api/processTranslation',
+  [ENDPOINTS.TRANSLATE]: '/v1/translate',
+};
+
+const DEFAULT_ENDPOINT = import.meta.env.VITE_TRANSLATION_ENDPOINT || ENDPOINTS.PROCESS_TRANSLATION;
+
+// Request resilience defaults (overridable per call)
+export const DEFAULT_TIMEOUT_MS = 15000;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Error codes for TranslationApiError
+ */
+export const TRANSLATION_ERROR_CODES = {
+  VALIDATION: 'VALIDATION_ERROR',
+  NETWORK: 'NETWORK_ERROR',
+  HTTP: 'HTTP_ERROR',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  TIMEOUT: 'TIMEOUT_ERROR',
+  ABORTED: 'ABORTED',
+  UNKNOWN: 'UNKNOWN_ERROR',
+};
 
 /**
  * Custom error class for translation API errors
  */
 export class TranslationApiError extends Error {
-  constructor(message, statusCode, originalError) {
+  constructor(message, statusCode, originalError, code = TRANSLATION_ERROR_CODES.UNKNOWN) {
     super(message);
     this.name = 'TranslationApiError';
     this.statusCode = statusCode;
     this.originalError = originalError;
+    this.code = code;
   }
 }
 
 /**
- * Translate text from source language to target language
- * 
- * @param {import('../types/translation').TranslationRequest} request - Translation request
- * @returns {Promise<import('../types/translation').TranslationResponse>} Translation response
- * @throws {TranslationApiError} If the request fails
+ * Build request headers including Telegram auth data
+ * @returns {Object} Headers object
  */
-export async function translateText(request) {
-  try {
-    // Validate request data
-    const validatedRequest = validateTranslationRequest(request);
+function buildHeaders() {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  // Add Telegram init data if available (backend verifies it)
+  const initData = getTelegramInitData();
+  if (initData) {
+    headers['X-Telegram-Init-Data'] = initData;
+  }
+
+  return headers;
+}
+
+/**
+ * Convert app-level request to endpoint-specific payload
+ * @param {string} endpoint - Endpoint name from ENDPOINTS
+ * @param {import('../types/translation').ProcessTranslationRequest} request
+ * @returns {Object} Validated payload
+ */
+function buildPayload(endpoint, request) {
+  const validated = validateProcessTranslationRequest(request);
+
+  if (endpoint === ENDPOINTS.TRANSLATE) {
+    return validateTranslationRequest({
+      text: validated.text,
+      source_lang: validated.sourceLang,
+      target_lang: validated.targetLang,
+      context: validated.context,
+    });
+  }
+
+  return validated;
+}
+
+/**
+ * Collect the optional dictionary fields of a word lookup
+ * @param {Object} response - Validated processTranslation response
+ * @param {string} text - Looked-up text
+ * @returns {import('../types/translation').DictionaryEntry|null} Null if the backend sent only the translation
+ */
+function buildDictionaryEntry(response, text) {
+  // Transcriptions arrive as "haʊs", "/haʊs/" or "[haʊs]"
+  const transcription = response.transcription?.replace(/^[/[]+|[/\]]+$/g, '').trim() || null;
+  const lemma = response.lemma && response.lemma.toLowerCase() !== text.trim().toLowerCase() ? response.lemma : null;
+  const entry = {
+    partOfSpeech: response.partOfSpeech || null,
+    transcription,
+    lemma,
+    senses: response.senses || [],
+  };
+
+  const hasDetails = entry.partOfSpeech || entry.transcription || entry.lemma || entry.senses.length > 0;
+  return hasDetails ? entry : null;
+}
 
-    // Prepare headers
-    const headers = {
-      'Content-Type': 'application/json',
+/**
+ * Convert endpoint-specific response to a common result shape
+ * @param {string} endpoint - Endpoint name from ENDPOINTS
+ * @param {Object} data - Raw response body
+ * @param {Object} payload - Request payload that was sent
+ * @returns {import('../types/translation').TranslationResult}
+ */
+function normalizeResponse(endpoint, data, payload) {
+  if (endpoint === ENDPOINTS.TRANSLATE) {
+    const response = validateTranslationResponse(data);
+    return {
+      text: payload.text,
+      translation: response.translation,
+      sourceLang: response.source_lang || payload.source_lang,
+      targetLang: response.target_lang || payload.target_lang,
+      dictionary: null,
+      audio: null,
+      anki: null,
     };
+  }
+
+  const response = validateProcessTranslationResponse(data);
+  const text = response.text || payload.text;
+  return {
+    text,
+    translation: response.translation,
+    sourceLang: response.sourceLang || payload.sourceLang,
+    targetLang: response.targetLang || payload.targetLang,
+    dictionary: buildDictionaryEntry(response, text),
+    audio: response.audioUrl || response.contextAudioUrl
+      ? { word: response.audioUrl || null, sentence: response.contextAudioUrl || null }
+      : null,
+    anki: {
+      status: response.ankiStatus ?? null,
+      noteId: response.ankiNoteId ?? null,
+      error: response.ankiError ?? null,
+    },
+  };
+}
+
+/**
+ * Extract a readable error message from a failed response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Error details
+ */
+async function readErrorDetails(response) {
+  const errorText = await response.text().catch(() => '');
+  try {
+    const errorData = JSON.parse(errorText);
+    return errorData.message || errorData.error || errorText;
+  } catch {
+    return errorText || 'Unknown error';
+  }
+}
+
+function fromCacheEntry(entry) {
+  return { ...entry.result, fromCache: true, cachedAt: entry.cachedAt };
+}
+
+// translate serves paragraphs and pages; they are cached apart from word lookups
+function getCacheName(endpoint) {
+  return endpoint === ENDPOINTS.TRANSLATE ? TRANSLATION_CACHES.PASSAGES : TRANSLATION_CACHES.WORDS;
+}
+
+/**
+ * Synchronously get a translation from the in-memory cache
+ * Lets the UI render a known translation without a loading state
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Translation request
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Endpoint the translation was requested from
+ * @returns {import('../types/translation').TranslationResult|null} Cached result or null
+ */
+export function peekTranslation({ text, sourceLang, targetLang, context }, { endpoint = DEFAULT_ENDPOINT } = {}) {
+  const entry = peekCachedTranslation({ text, sourceLang, targetLang, context }, getCacheName(endpoint));
+  return entry ? fromCacheEntry(entry) : null;
+}
+
+/**
+ * Check if a request was cancelled by the caller
+ * @param {Error} error - Error thrown by translateText
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error instanceof TranslationApiError && error.code === TRANSLATION_ERROR_CODES.ABORTED;
+}
+
+/**
+ * Network failures, timeouts and 5xx responses are worth retrying
+ * processTranslation adds an Anki note, so after a timeout or a 5xx the note may already
+ * exist; only failures to reach the backend are retried there
+ * @param {TranslationApiError} error
+ * @param {string} endpoint - Endpoint name from ENDPOINTS
+ * @returns {boolean}
+ */
+function isRetryableError(error, endpoint) {
+  if (error.code === TRANSLATION_ERROR_CODES.NETWORK) return true;
+  if (endpoint !== ENDPOINTS.TRANSLATE) return false;
+
+  switch (error.code) {
+    case TRANSLATION_ERROR_CODES.TIMEOUT:
+      return true;
+    case TRANSLATION_ERROR_CODES.HTTP:
+      return error.statusCode >= 500;
+    default:
+      return false;
+  }
+}
 
-    // Add Telegram init data if available
-    const initData = getTelegramInitData();
-    if (initData) {
-      headers['X-Telegram-Init-Data'] = initData;
+function createAbortedError(originalError) {
+  return new TranslationApiError('Request cancelled', 0, originalError, TRANSLATION_ERROR_CODES.ABORTED);
+}
+
+/**
+ * Wait before the next attempt; rejects early on abort
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Caller abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortedError());
+      return;
     }
 
-    // Make API request
-    const response = await fetch(`${API_URL}/v1/translate`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(validatedRequest),
-    });
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Perform a single HTTP attempt with its own timeout
+ * @param {string} endpoint - Endpoint name from ENDPOINTS
+ * @param {Object} payload - Validated request payload
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Caller abort signal
+ * @param {number} options.timeoutMs - Attempt timeout
+ * @returns {Promise<import('../types/translation').TranslationResult>}
+ * @throws {TranslationApiError}
+ */
+async function requestOnce(endpoint, payload, { signal, timeoutMs }) {
+  // Per-attempt controller: aborted by timeout or by the caller
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    let response;
+    try {
+      response = await fetch(`${API_URL}${ENDPOINT_PATHS[endpoint]}`, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new TranslationApiError(
+          'Translation service timed out',
+          0,
+          error,
+          TRANSLATION_ERROR_CODES.TIMEOUT
+        );
+      }
+      if (signal?.aborted) {
+        throw createAbortedError(error);
+      }
+      throw new TranslationApiError(
+        'Network error: Unable to reach translation service',
+        0,
+        error,
+        TRANSLATION_ERROR_CODES.NETWORK
+      );
+    }
 
     // Handle HTTP errors
     if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
+      const details = await readErrorDetails(response);
       throw new TranslationApiError(
-        `Translation failed: ${response.statusText}`,
+        `Translation failed: ${details || response.statusText}`,
         response.status,
-        errorText
+        details,
+        TRANSLATION_ERROR_CODES.HTTP
       );
     }
 
     // Parse and validate response
-    const data = await response.json();
-    const validatedResponse = validateTranslationResponse(data);
-
-    return validatedResponse;
-  } catch (error) {
-    // Re-throw TranslationApiError as-is
-    if (error instanceof TranslationApiError) {
-      throw error;
-    }
-
-    // Handle validation errors
-    if (error.name === 'ZodError') {
+    try {
+      const data = await response.json();
+      return normalizeResponse(endpoint, data, payload);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createAbortedError(error);
+      }
       throw new TranslationApiError(
-        `Validation error: ${error.message}`,
-        400,
-        error
+        'Invalid response from translation service',
+        response.status,
+        error,
+        TRANSLATION_ERROR_CODES.INVALID_RESPONSE
       );
     }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
 
-    // Handle network errors
-    if (error instanceof TypeError && error.message.includes('fetch')) {
-      throw new TranslationApiError(
-        'Network error: Unable to reach translation service',
-        0,
-        error
-      );
-    }
+/**
+ * Translate text from source language to target language
+ * Served from the translation cache when possible
+ * Network failures are retried with exponential backoff; timeouts and 5xx responses
+ * only for the translate endpoint (processTranslation is not idempotent: it adds an Anki note)
+ * 
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Translation request
+ * @param {Object} [options] - Request options
+ * @param {string} [options.endpoint] - Endpoint name from ENDPOINTS
+ * @param {boolean} [options.forceRefresh] - Skip cache lookup and hit the backend
+ * @param {AbortSignal} [options.signal] - Cancels the request (rejects with ABORTED code)
+ * @param {number} [options.timeoutMs] - Timeout of a single attempt
+ * @param {number} [options.retries] - Extra attempts after the first one
+ * @param {number} [options.retryDelayMs] - Base backoff delay, doubled on every retry
+ * @param {function(number, number): void} [options.onAttempt] - Called with (attempt, maxAttempts) before each attempt
+ * @returns {Promise<import('../types/translation').TranslationResult>} Normalized translation result
+ * @throws {TranslationApiError} If the request fails
+ */
+export async function translateText(
+  request,
+  {
+    endpoint = DEFAULT_ENDPOINT,
+    forceRefresh = false,
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    onAttempt,
+  } = {}
+) {
+  if (!ENDPOINT_PATHS[endpoint]) {
+    throw new TranslationApiError(
+      `Unknown translation endpoint: ${endpoint}`,
+      400,
+      null,
+      TRANSLATION_ERROR_CODES.VALIDATION
+    );
+  }
 
-    // Handle other errors
+  let payload;
+  try {
+    payload = buildPayload(endpoint, request);
+  } catch (error) {
     throw new TranslationApiError(
-      error.message || 'Unknown translation error',
-      500,
-      error
+      error.issues?.[0]?.message || `Validation error: ${error.message}`,
+      400,
+      error,
+      TRANSLATION_ERROR_CODES.VALIDATION
     );
   }
+
+  // The context is part of the key: another sentence may need another sense
+  const cacheRequest = {
+    text: request.text,
+    sourceLang: request.sourceLang,
+    targetLang: request.targetLang,
+    context: request.context,
+  };
+  const cacheName = getCacheName(endpoint);
+
+  if (!forceRefresh) {
+    const entry = await getCachedTranslation(cacheRequest, cacheName);
+    if (entry) return fromCacheEntry(entry);
+  }
+
+  const maxAttempts = Math.max(1, retries + 1);
+  let result;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    if (signal?.aborted) {
+      throw createAbortedError();
+    }
+
+    onAttempt?.(attempt, maxAttempts);
+
+    try {
+      result = await requestOnce(endpoint, payload, { signal, timeoutMs });
+      break;
+    } catch (error) {
+      if (attempt === maxAttempts || !isRetryableError(error, endpoint)) {
+        throw error;
+      }
+
+      // Exponential backoff with a little jitter
+      const delay = retryDelayMs * 2 ** (attempt - 1) + Math.random() * retryDelayMs;
+      console.warn(`Translation attempt ${attempt}/${maxAttempts} failed, retrying in ${Math.round(delay)}ms:`, error);
+      await sleep(delay, signal);
+    }
+  }
+
+  // Cache write is best-effort and must not delay the UI
+  setCachedTranslation(cacheRequest, result, cacheName);
+
+  return { ...result, fromCache: false, cachedAt: null };
 }
 
+/**
+ * Get a user-facing message for a translation error
+ * @param {Error} error - Error thrown by translateText
+ * @returns {string} Error message
+ */
+export function getTranslationErrorMessage(error) {
+  if (!(error instanceof TranslationApiError)) {
+    return error?.message || 'Translation failed';
+  }
+
+  switch (error.code) {
+    case TRANSLATION_ERROR_CODES.NETWORK:
+      return 'Cannot connect to translation service';
+    case TRANSLATION_ERROR_CODES.TIMEOUT:
+      return 'Translation service is not responding. Please try again';
+    case TRANSLATION_ERROR_CODES.HTTP:
+      if (error.statusCode === 401 || error.statusCode === 403) {
+        return 'Not authorized. Please reopen the app from Telegram';
+      }
+      return error.message;
+    default:
+      return error.message;
+  }
+}
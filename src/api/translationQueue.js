@@ -0,0 +1,108 @@
+import {
+  translateText,
+  TRANSLATION_ERROR_CODES,
+} from './translateApi';
+import {
+  getQueuedTranslations,
+  markQueuedTranslationAttempt,
+  removeQueuedTranslation,
+} from '../storage/translationQueueStore';
+import { addVocabularyEntry } from '../storage/vocabularyStore';
+import { enqueueAnkiNote } from '../storage/ankiOutboxStore';
+
+/**
+ * Offline translation queue delivery
+ * Translates lookups made offline and records them like a live lookup:
+ * translation cache, vocabulary history and (through processTranslation) Anki
+ */
+
+// Lookups the backend keeps rejecting are dropped after this many tries
+const MAX_ATTEMPTS = 3;
+
+let flushPromise = null;
+
+/**
+ * Translate a single queued lookup
+ * @param {import('../storage/translationQueueStore').QueuedTranslation} item - Queued item
+ * @returns {Promise<void>}
+ * @throws {TranslationApiError} On failure
+ */
+async function deliverItem(item) {
+  const result = await translateText(
+    {
+      text: item.text,
+      sourceLang: item.sourceLang,
+      targetLang: item.targetLang,
+      context: item.context || undefined,
+    },
+    { endpoint: item.endpoint || undefined, retries: 0 }
+  );
+
+  await addVocabularyEntry({
+    text: item.text,
+    translation: result.translation,
+    dictionary: result.dictionary,
+    sourceLang: result.sourceLang,
+    targetLang: result.targetLang,
+    context: item.context,
+    documentId: item.documentId,
+    documentTitle: item.documentTitle,
+    pageNumber: item.pageNumber,
+  });
+
+  if (result.anki?.error) {
+    enqueueAnkiNote({
+      text: item.text,
+      translation: result.translation,
+      sourceLang: item.sourceLang,
+      targetLang: item.targetLang,
+      context: item.context,
+      error: result.anki.error,
+    });
+  }
+
+  await removeQueuedTranslation(item.id);
+}
+
+/**
+ * Translate queued lookups
+ * Concurrent calls share one run; stops early when the backend is unreachable
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+export function flushTranslationQueue() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    const items = await getQueuedTranslations();
+    let delivered = 0;
+    let failed = 0;
+
+    for (const item of items) {
+      try {
+        await deliverItem(item);
+        delivered += 1;
+      } catch (error) {
+        failed += 1;
+        if (
+          error.code === TRANSLATION_ERROR_CODES.NETWORK ||
+          error.code === TRANSLATION_ERROR_CODES.TIMEOUT
+        ) {
+          // Still offline - the rest would fail the same way
+          break;
+        }
+        console.warn('Queued translation failed:', error);
+        if (item.attempts + 1 >= MAX_ATTEMPTS) {
+          await removeQueuedTranslation(item.id);
+        } else {
+          await markQueuedTranslationAttempt(item);
+        }
+      }
+    }
+
+    return { delivered, failed };
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
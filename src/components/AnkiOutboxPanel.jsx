@@ -0,0 +1,146 @@
+import { useEffect } from 'react';
+import { getLanguage } from '../constants/languages';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function AnkiOutboxPanel({ show, onClose, outbox, themeParams, isDark }) {
+  const { items, isSyncing, lastResult, retryAll, retryItem, discardItem, discardAll } = outbox;
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the sheet
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const handleRetryAll = () => {
+    if (isTelegram) hapticFeedback('impact', 'medium');
+    retryAll();
+  };
+
+  const handleDiscardAll = () => {
+    showConfirm('Discard all pending Anki notes?', (confirmed) => {
+      if (confirmed) discardAll();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end sm:items-stretch sm:justify-end" data-selection-ignore>
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      <div
+        className="relative flex flex-col w-full sm:w-96 max-h-[85vh] sm:max-h-none sm:h-full rounded-t-2xl sm:rounded-none shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <div className="flex items-center justify-between px-4 pt-3 pb-1">
+          <h2 className="text-lg font-semibold">Pending Anki notes</h2>
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+        <p className="px-4 pb-3 text-xs" style={{ color: hintColor }}>
+          These notes could not be added to Anki. They are retried automatically when you are back online
+          or return to the app.
+        </p>
+
+        <div className="flex-1 overflow-y-auto px-4 pb-3">
+          {items.length === 0 && (
+            <p className="text-sm text-center py-8" style={{ color: hintColor }}>
+              {lastResult?.delivered ? `All notes delivered (${lastResult.delivered})` : 'Nothing pending'}
+            </p>
+          )}
+
+          <ul className="flex flex-col gap-2">
+            {items.map((item) => (
+              <li key={item.id} className="rounded-lg p-3" style={{ backgroundColor: secondaryBg }}>
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-semibold break-words">
+                      {item.text}
+                      <span className="ml-1 text-xs font-normal" style={{ color: hintColor }}>
+                        {getLanguage(item.sourceLang)?.flag} → {getLanguage(item.targetLang)?.flag}
+                      </span>
+                    </div>
+                    <div className="text-sm break-words">{item.translation}</div>
+                  </div>
+                  <button
+                    onClick={() => discardItem(item.id)}
+                    className="text-lg leading-none px-1"
+                    style={{ color: hintColor }}
+                    title="Discard"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="mt-2 flex items-center justify-between gap-2 text-xs" style={{ color: hintColor }}>
+                  <span className="truncate" title={item.error || ''}>
+                    {item.attempts} {item.attempts === 1 ? 'attempt' : 'attempts'} · {formatDate(item.lastAttemptAt || item.createdAt)}
+                    {item.error && ` · ${item.error}`}
+                  </span>
+                  <button
+                    onClick={() => retryItem(item.id)}
+                    disabled={isSyncing}
+                    className="shrink-0 font-medium disabled:opacity-50"
+                    style={{ color: linkColor }}
+                  >
+                    Retry
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {items.length > 0 && (
+          <div className="flex gap-2 px-4 pb-4 pt-2">
+            <button
+              onClick={handleDiscardAll}
+              className="flex-1 px-4 py-2 rounded-lg font-medium"
+              style={{ backgroundColor: secondaryBg, color: textColor }}
+            >
+              Discard all
+            </button>
+            <button
+              onClick={handleRetryAll}
+              disabled={isSyncing}
+              className="flex-1 px-4 py-2 rounded-lg font-medium transition-opacity disabled:opacity-50"
+              style={{ backgroundColor: buttonBg, color: buttonText }}
+            >
+              {isSyncing ? 'Retrying...' : 'Retry now'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { highlightInSentence } from '../utils/sentenceContext';
+
+export default function ContextSentence({ sentence, text, className = '', style }) {
+  if (!sentence) {
+    return null;
+  }
+
+  return (
+    <p className={`break-words ${className}`} style={style}>
+      {highlightInSentence(sentence, text).map((part, index) =>
+        part.highlight ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+            {part.text}
+          </mark>
+        ) : (
+          <span key={index}>{part.text}</span>
+        )
+      )}
+    </p>
+  );
+}
@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import { Page } from 'react-pdf';
+import { getRenderPixelRatio } from '../utils/zoom';
+
+// Pages rendered above and below the current one
+const RENDER_BUFFER = 2;
+const PAGE_GAP_PX = 12;
+
+/**
+ * Vertical scroll of all pages; only pages near the viewport are rendered,
+ * the rest are placeholders of the right size (from usePageSizes)
+ * Must be rendered inside react-pdf <Document>
+ */
+export default function ContinuousPages({
+  numPages,
+  scale,
+  pageNumber,
+  onPageChange,
+  getPageSize,
+  loadedCount,
+  devicePixelRatio,
+  customTextRenderer,
+  onRenderTextLayerSuccess,
+  renderPageOverlay,
+}) {
+  const pageRefs = useRef(new Map());
+  const visibleRatios = useRef(new Map());
+  const [visiblePages, setVisiblePages] = useState(() => new Set([pageNumber]));
+
+  // Page most recently reported from scroll; other changes come from navigation
+  const reportedPageRef = useRef(pageNumber);
+  const restoredRef = useRef(false);
+
+  // Track visible pages and derive the current page from scroll position
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          const page = Number(entry.target.dataset.continuousPage);
+          if (entry.isIntersecting) {
+            visibleRatios.current.set(page, entry.intersectionRatio);
+          } else {
+            visibleRatios.current.delete(page);
+          }
+        });
+
+        const visible = Array.from(visibleRatios.current.keys());
+        if (visible.length === 0) return;
+        setVisiblePages(new Set(visible));
+
+        // Don't overwrite the saved page before scroll position is restored
+        if (!restoredRef.current) return;
+
+        let currentPage = visible[0];
+        visibleRatios.current.forEach((ratio, page) => {
+          if (ratio > (visibleRatios.current.get(currentPage) || 0)) currentPage = page;
+        });
+
+        if (currentPage !== reportedPageRef.current) {
+          reportedPageRef.current = currentPage;
+          onPageChange(currentPage);
+        }
+      },
+      { threshold: [0, 0.25, 0.5, 0.75, 1] }
+    );
+
+    pageRefs.current.forEach((element) => observer.observe(element));
+    return () => {
+      observer.disconnect();
+      visibleRatios.current.clear();
+    };
+  }, [numPages, onPageChange]);
+
+  // Navigation (buttons, vocabulary jump, restore) scrolls to the page
+  useEffect(() => {
+    if (pageNumber === reportedPageRef.current) return;
+    reportedPageRef.current = pageNumber;
+    pageRefs.current.get(pageNumber)?.scrollIntoView({ block: 'start' });
+  }, [pageNumber]);
+
+  // Restore saved position once sizes of the pages above it are known
+  useEffect(() => {
+    if (restoredRef.current || loadedCount < Math.min(pageNumber, numPages)) return;
+    restoredRef.current = true;
+    if (pageNumber > 1) {
+      pageRefs.current.get(pageNumber)?.scrollIntoView({ block: 'start' });
+    }
+  }, [loadedCount, pageNumber, numPages]);
+
+  const shouldRender = (page) => {
+    if (Math.abs(page - pageNumber) <= RENDER_BUFFER) return true;
+    for (const visiblePage of visiblePages) {
+      if (Math.abs(page - visiblePage) <= RENDER_BUFFER) return true;
+    }
+    return false;
+  };
+
+  return (
+    <div className="flex flex-col items-center" style={{ gap: PAGE_GAP_PX }}>
+      {Array.from({ length: numPages }, (_, index) => {
+        const page = index + 1;
+        const size = getPageSize(page);
+
+        return (
+          <div
+            key={page}
+            data-continuous-page={page}
+            ref={(element) => {
+              if (element) pageRefs.current.set(page, element);
+              else pageRefs.current.delete(page);
+            }}
+            className="bg-white shadow"
+            style={{ width: size.width * scale, minHeight: size.height * scale }}
+          >
+            {shouldRender(page) && (
+              <Page
+                pageNumber={page}
+                scale={scale}
+                devicePixelRatio={getRenderPixelRatio(size, scale, devicePixelRatio)}
+                customTextRenderer={customTextRenderer}
+                onRenderTextLayerSuccess={onRenderTextLayerSuccess}
+                renderTextLayer={true}
+                renderAnnotationLayer={true}
+                loading={null}
+              >
+                {renderPageOverlay?.(page)}
+              </Page>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
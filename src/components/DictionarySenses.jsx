@@ -0,0 +1,42 @@
+// Long entries would push the popup off screen; the list scrolls instead
+const MAX_EXAMPLES_PER_SENSE = 2;
+
+/**
+ * Numbered senses of a dictionary entry with their usage examples
+ * Renders nothing when the senses add no information beyond the main translation
+ *
+ * @param {Object} props
+ * @param {import('../types/translation').DictionarySense[]} [props.senses] - Senses from the dictionary entry
+ * @param {string} props.translation - Main translation shown above the list
+ * @param {string} [props.partOfSpeech] - Entry part of speech; senses only repeat theirs when it differs
+ */
+export default function DictionarySenses({ senses, translation, partOfSpeech }) {
+  if (!senses?.length) return null;
+
+  const onlySense = senses.length === 1 ? senses[0] : null;
+  if (onlySense && onlySense.translation === translation && !onlySense.examples?.length) return null;
+
+  return (
+    <ol className="mt-2 flex flex-col gap-1.5 max-h-48 overflow-y-auto text-sm">
+      {senses.map((sense, index) => (
+        <li key={index} className="flex gap-2">
+          <span className="shrink-0 text-xs text-gray-400 tabular-nums pt-0.5">{index + 1}.</span>
+          <div className="min-w-0">
+            <div className="text-gray-800 break-words">
+              {sense.partOfSpeech && sense.partOfSpeech !== partOfSpeech && (
+                <span className="mr-1 italic text-gray-500">{sense.partOfSpeech}</span>
+              )}
+              {sense.translation}
+            </div>
+            {sense.examples?.slice(0, MAX_EXAMPLES_PER_SENSE).map((example, exampleIndex) => (
+              <div key={exampleIndex} className="mt-0.5 text-xs leading-relaxed break-words">
+                <span className="italic text-gray-600">{example.text}</span>
+                {example.translation && <span className="text-gray-400"> — {example.translation}</span>}
+              </div>
+            ))}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
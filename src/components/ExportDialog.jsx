@@ -0,0 +1,165 @@
+import { useEffect, useState } from 'react';
+import {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  DEFAULT_EXPORT_FIELDS,
+  exportVocabulary,
+  saveExportedFile,
+} from '../export/vocabularyExport';
+import { hapticFeedback, isTelegramEnvironment } from '../telegram/telegramApp';
+
+// LocalStorage keys
+const STORAGE_KEYS = {
+  FORMAT: 'export_format',
+  FIELDS: 'export_fields',
+};
+
+const FORMAT_OPTIONS = [
+  { id: EXPORT_FORMATS.APKG, label: 'Anki (.apkg)' },
+  { id: EXPORT_FORMATS.CSV, label: 'CSV' },
+  { id: EXPORT_FORMATS.TSV, label: 'TSV (Quizlet)' },
+];
+
+function loadFields() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.FIELDS));
+    return Array.isArray(saved) ? saved : DEFAULT_EXPORT_FIELDS;
+  } catch {
+    return DEFAULT_EXPORT_FIELDS;
+  }
+}
+
+export default function ExportDialog({ show, onClose, entries, themeParams, isDark }) {
+  const [format, setFormat] = useState(() => localStorage.getItem(STORAGE_KEYS.FORMAT) || EXPORT_FORMATS.APKG);
+  const [fieldIds, setFieldIds] = useState(loadFields);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const isTelegram = isTelegramEnvironment();
+
+  // Save export settings to localStorage when they change
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.FORMAT, format);
+    localStorage.setItem(STORAGE_KEYS.FIELDS, JSON.stringify(fieldIds));
+  }, [format, fieldIds]);
+
+  useEffect(() => {
+    if (show) setError(null);
+  }, [show]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+
+  const toggleField = (id) => {
+    setFieldIds((prev) => (prev.includes(id) ? prev.filter((fieldId) => fieldId !== id) : [...prev, id]));
+  };
+
+  const handleExport = async () => {
+    if (isTelegram) hapticFeedback('impact', 'medium');
+    setIsExporting(true);
+    setError(null);
+
+    try {
+      // Keep card order stable regardless of click order
+      const orderedFields = EXPORT_FIELDS.map((field) => field.id).filter((id) => fieldIds.includes(id));
+      const { blob, filename } = await exportVocabulary(entries, { format, fieldIds: orderedFields });
+      await saveExportedFile(blob, filename);
+      if (isTelegram) hapticFeedback('notification', 'success');
+      onClose();
+    } catch (err) {
+      if (err.name === 'AbortError') return; // Share sheet dismissed
+      console.error('Export error:', err);
+      setError(err.message || 'Export failed');
+      if (isTelegram) hapticFeedback('notification', 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center" data-selection-ignore>
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      <div
+        className="relative w-full sm:w-96 rounded-t-2xl sm:rounded-2xl p-4 shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <h3 className="text-lg font-semibold mb-1">Export vocabulary</h3>
+        <p className="text-xs mb-4" style={{ color: hintColor }}>
+          {entries.length} {entries.length === 1 ? 'entry' : 'entries'} · works offline, no Anki desktop needed
+        </p>
+
+        <div className="mb-4">
+          <div className="text-sm font-medium mb-2">Format</div>
+          <div className="flex gap-2">
+            {FORMAT_OPTIONS.map((option) => (
+              <button
+                key={option.id}
+                onClick={() => setFormat(option.id)}
+                className="flex-1 px-2 py-2 rounded-lg text-sm transition-colors"
+                style={
+                  format === option.id
+                    ? { backgroundColor: buttonBg, color: buttonText }
+                    : { backgroundColor: secondaryBg, color: textColor }
+                }
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="text-sm font-medium mb-2">Fields</div>
+          <div className="grid grid-cols-2 gap-2">
+            {EXPORT_FIELDS.map((field) => (
+              <label key={field.id} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={fieldIds.includes(field.id)}
+                  onChange={() => toggleField(field.id)}
+                />
+                {field.label}
+              </label>
+            ))}
+          </div>
+          {format === EXPORT_FORMATS.APKG && (
+            <p className="text-xs mt-2" style={{ color: hintColor }}>
+              The first selected field is the card front, the rest go on the back.
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-3 text-sm text-red-500">{error}</div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 rounded-lg font-medium"
+            style={{ backgroundColor: secondaryBg, color: textColor }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting || entries.length === 0}
+            className="flex-1 px-4 py-2 rounded-lg font-medium transition-opacity disabled:opacity-50"
+            style={{ backgroundColor: buttonBg, color: buttonText }}
+          >
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
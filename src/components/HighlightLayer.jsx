@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react';
+import { getAnchorRects } from '../utils/textAnchors';
+import { getHighlightColor } from '../constants/highlightColors';
+
+/**
+ * Highlight overlay for one page, rendered as a child of react-pdf <Page>
+ * Rectangles are resolved from the page text layer and recomputed whenever it re-renders
+ */
+export default function HighlightLayer({ highlights }) {
+  const layerRef = useRef(null);
+  const [rectsById, setRectsById] = useState({});
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    const pageElement = layer?.parentElement;
+    if (!pageElement || highlights.length === 0) {
+      setRectsById({});
+      return;
+    }
+
+    let frameId = null;
+    const measure = () => {
+      frameId = null;
+      const next = {};
+      highlights.forEach((highlight) => {
+        const rects = getAnchorRects(pageElement, highlight.anchor);
+        if (rects?.length) next[highlight.id] = rects;
+      });
+      setRectsById(next);
+    };
+    const scheduleMeasure = () => {
+      if (frameId === null) frameId = requestAnimationFrame(measure);
+    };
+
+    // The text layer fills in asynchronously and is rebuilt on zoom and search
+    const observer = new MutationObserver((mutations) => {
+      if (mutations.some((mutation) => !layer.contains(mutation.target))) scheduleMeasure();
+    });
+    observer.observe(pageElement, { childList: true, subtree: true });
+    scheduleMeasure();
+
+    return () => {
+      observer.disconnect();
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [highlights]);
+
+  return (
+    <div ref={layerRef} className="absolute inset-0 pointer-events-none" style={{ mixBlendMode: 'multiply' }}>
+      {highlights.map((highlight) =>
+        (rectsById[highlight.id] || []).map((rect, index) => (
+          <div
+            key={`${highlight.id}-${index}`}
+            className="absolute rounded-sm"
+            style={{
+              left: `${rect.left * 100}%`,
+              top: `${rect.top * 100}%`,
+              width: `${rect.width * 100}%`,
+              height: `${rect.height * 100}%`,
+              backgroundColor: getHighlightColor(highlight.color).fill,
+            }}
+            title={highlight.note || undefined}
+          />
+        ))
+      )}
+    </div>
+  );
+}
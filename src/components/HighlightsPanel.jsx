@@ -0,0 +1,188 @@
+import { useEffect, useState } from 'react';
+import { HIGHLIGHT_COLORS, getHighlightColor } from '../constants/highlightColors';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+function HighlightItem({ highlight, isEditing, onEdit, onUpdate, onDelete, onJump, colors }) {
+  const [note, setNote] = useState(highlight.note);
+  const { textColor, secondaryBg, hintColor, linkColor, bgColor } = colors;
+
+  // Keep the draft in sync when the note changes elsewhere
+  useEffect(() => {
+    if (!isEditing) setNote(highlight.note);
+  }, [highlight.note, isEditing]);
+
+  const saveNote = () => {
+    onUpdate(highlight.id, { note: note.trim() });
+    onEdit(null);
+  };
+
+  return (
+    <li
+      className="rounded-lg p-3 border-l-4"
+      style={{ backgroundColor: secondaryBg, borderColor: getHighlightColor(highlight.color).swatch }}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <p className="text-sm break-words">{highlight.text}</p>
+        <button
+          onClick={() => onDelete(highlight)}
+          className="text-lg leading-none px-1"
+          style={{ color: hintColor }}
+          title="Delete"
+        >
+          ×
+        </button>
+      </div>
+
+      {isEditing ? (
+        <div className="mt-2 flex flex-col gap-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            autoFocus
+            placeholder="Write a note"
+            className="w-full rounded-lg px-3 py-2 text-sm outline-none resize-none"
+            style={{ backgroundColor: bgColor, color: textColor }}
+          />
+          <div className="flex items-center gap-2">
+            {HIGHLIGHT_COLORS.map((color) => (
+              <button
+                key={color.id}
+                onClick={() => onUpdate(highlight.id, { color: color.id })}
+                className="w-5 h-5 rounded-full"
+                style={{
+                  backgroundColor: color.swatch,
+                  boxShadow: color.id === highlight.color ? `0 0 0 2px ${bgColor}, 0 0 0 4px ${color.swatch}` : undefined,
+                }}
+                title={color.name}
+              />
+            ))}
+            <button onClick={() => onEdit(null)} className="ml-auto text-xs" style={{ color: hintColor }}>
+              Cancel
+            </button>
+            <button onClick={saveNote} className="text-xs font-medium" style={{ color: linkColor }}>
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        highlight.note && (
+          <p className="mt-1 text-xs whitespace-pre-wrap break-words" style={{ color: textColor, opacity: 0.8 }}>
+            {highlight.note}
+          </p>
+        )
+      )}
+
+      {!isEditing && (
+        <div className="mt-2 flex items-center justify-between text-xs" style={{ color: hintColor }}>
+          <button onClick={() => onEdit(highlight.id)} className="font-medium" style={{ color: linkColor }}>
+            {highlight.note ? 'Edit note' : 'Add note'}
+          </button>
+          <button onClick={() => onJump(highlight)} className="font-medium" style={{ color: linkColor }}>
+            Go to page {highlight.pageNumber}
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function HighlightsPanel({
+  show,
+  onClose,
+  highlights: highlightsState,
+  editingId,
+  onEditingChange,
+  onJump,
+  themeParams,
+  isDark,
+}) {
+  const { highlights, isLoading, update, remove } = highlightsState;
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the sheet
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const handleDelete = (highlight) => {
+    showConfirm('Delete this highlight?', (confirmed) => {
+      if (!confirmed) return;
+      if (isTelegram) hapticFeedback('impact', 'light');
+      remove(highlight.id);
+    });
+  };
+
+  const handleJump = (highlight) => {
+    if (isTelegram) hapticFeedback('selection');
+    onJump(highlight);
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end sm:items-stretch sm:justify-end" data-selection-ignore>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      {/* Bottom sheet on phones, side panel on wider screens */}
+      <div
+        className="relative flex flex-col w-full sm:w-96 max-h-[85vh] sm:max-h-none sm:h-full rounded-t-2xl sm:rounded-none shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <div className="flex items-center justify-between px-4 pt-3 pb-3">
+          <h2 className="text-lg font-semibold">Highlights</h2>
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 pb-4">
+          {isLoading && (
+            <p className="text-sm text-center py-8" style={{ color: hintColor }}>Loading...</p>
+          )}
+
+          {!isLoading && highlights.length === 0 && (
+            <p className="text-sm text-center py-8" style={{ color: hintColor }}>
+              Select text and pick a color in the popup to highlight it
+            </p>
+          )}
+
+          <ul className="flex flex-col gap-2">
+            {highlights.map((highlight) => (
+              <HighlightItem
+                key={highlight.id}
+                highlight={highlight}
+                isEditing={highlight.id === editingId}
+                onEdit={onEditingChange}
+                onUpdate={update}
+                onDelete={handleDelete}
+                onJump={handleJump}
+                colors={{ textColor, secondaryBg, hintColor, linkColor, bgColor }}
+              />
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
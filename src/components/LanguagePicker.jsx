@@ -0,0 +1,47 @@
+import { LANGUAGES } from '../constants/languages';
+import { hapticFeedback, isTelegramEnvironment } from '../telegram/telegramApp';
+
+export default function LanguagePicker({ sourceLang, targetLang, onSourceChange, onTargetChange, onSwap }) {
+  const isTelegram = isTelegramEnvironment();
+
+  const handleSwap = () => {
+    if (isTelegram) hapticFeedback('selection');
+    onSwap();
+  };
+
+  return (
+    <div className="flex items-center gap-1 text-xs">
+      <select
+        value={sourceLang}
+        onChange={(e) => onSourceChange(e.target.value)}
+        className="border border-gray-200 rounded px-1 py-0.5 bg-white text-gray-700"
+        aria-label="Source language"
+      >
+        {LANGUAGES.map((lang) => (
+          <option key={lang.code} value={lang.code}>
+            {lang.flag} {lang.code.toUpperCase()}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={handleSwap}
+        className="px-1 text-gray-500 hover:bg-gray-100 rounded transition-colors"
+        title="Swap languages"
+      >
+        ⇄
+      </button>
+      <select
+        value={targetLang}
+        onChange={(e) => onTargetChange(e.target.value)}
+        className="border border-gray-200 rounded px-1 py-0.5 bg-white text-gray-700"
+        aria-label="Target language"
+      >
+        {LANGUAGES.map((lang) => (
+          <option key={lang.code} value={lang.code}>
+            {lang.flag} {lang.code.toUpperCase()}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
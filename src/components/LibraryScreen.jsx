@@ -0,0 +1,164 @@
+import { useEffect } from 'react';
+import { useLibrary } from '../hooks/useLibrary';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function LibraryScreen({
+  show,
+  onClose,
+  onOpen,
+  onAdd,
+  onRemove,
+  currentDocumentId,
+  themeParams,
+  isDark,
+}) {
+  const { documents, isLoading, removeDocument } = useLibrary();
+  const isTelegram = isTelegramEnvironment();
+  // Without an open document there is nothing to go back to
+  const canClose = !!currentDocumentId;
+
+  // Telegram back button closes the library
+  useEffect(() => {
+    if (!show || !isTelegram || !canClose) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, canClose, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+
+  const handleOpen = (document) => {
+    if (isTelegram) hapticFeedback('selection');
+    onOpen(document);
+  };
+
+  const handleRemove = (document) => {
+    showConfirm(`Remove "${document.title}" from the library?`, async (confirmed) => {
+      if (!confirmed) return;
+      await removeDocument(document.id);
+      onRemove(document.id);
+    });
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    // Allow picking the same file again later
+    event.target.value = '';
+    if (file) onAdd(file);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex flex-col"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <div className="flex items-center justify-between gap-2 px-4 pt-4 pb-3">
+        <h2 className="text-lg font-semibold">Library</h2>
+        <div className="flex items-center gap-2">
+          <label
+            htmlFor="pdf-upload"
+            className="px-4 py-2 rounded-lg cursor-pointer font-medium"
+            style={{ backgroundColor: buttonBg, color: buttonText }}
+            onClick={() => isTelegram && hapticFeedback('impact', 'medium')}
+          >
+            Add PDF
+          </label>
+          <input
+            id="pdf-upload"
+            type="file"
+            accept="application/pdf,.pdf"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+          {canClose && !isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none px-1" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 pb-4">
+        {!isLoading && documents.length === 0 && (
+          <div className="text-center py-12" style={{ color: hintColor }}>
+            <p className="text-lg">Your library is empty</p>
+            <p className="text-sm mt-2">Tap "Add PDF" to pick a document</p>
+          </div>
+        )}
+
+        <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+          {documents.map((document) => {
+            const progress = Math.round((document.progress || 0) * 100);
+            const isCurrent = document.id === currentDocumentId;
+            return (
+              <li
+                key={document.id}
+                className="relative flex flex-col rounded-lg overflow-hidden"
+                style={{
+                  backgroundColor: secondaryBg,
+                  boxShadow: isCurrent ? `0 0 0 2px ${buttonBg}` : undefined,
+                }}
+              >
+                <button onClick={() => handleOpen(document)} className="flex flex-col text-left">
+                  <div className="aspect-[3/4] w-full flex items-center justify-center bg-white overflow-hidden">
+                    {document.thumbnail ? (
+                      <img src={document.thumbnail} alt="" className="w-full h-full object-cover object-top" />
+                    ) : (
+                      <span className="text-4xl">📄</span>
+                    )}
+                  </div>
+                  <div className="h-1 w-full bg-black/10">
+                    <div className="h-full" style={{ width: `${progress}%`, backgroundColor: buttonBg }} />
+                  </div>
+                  <div className="p-2">
+                    <div className="text-sm font-medium line-clamp-2 break-words">{document.title}</div>
+                    <div className="mt-1 text-xs" style={{ color: hintColor }}>
+                      {document.pageCount
+                        ? `${document.position?.pageNumber || 1} / ${document.pageCount} · ${progress}%`
+                        : 'Not opened yet'}
+                    </div>
+                    <div className="text-xs" style={{ color: hintColor }}>
+                      {formatDate(document.lastOpenedAt)}
+                    </div>
+                  </div>
+                </button>
+                <button
+                  onClick={() => handleRemove(document)}
+                  className="absolute top-1 right-1 w-7 h-7 rounded-full bg-black/50 text-white text-base leading-7 text-center"
+                  title="Remove"
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Download progress of a document, from pdf.js onLoadProgress
+ * Servers that don't send Content-Length only report loaded bytes,
+ * so the bar becomes indeterminate
+ */
+export default function LoadProgress({ progress, color, hintColor }) {
+  const loaded = progress?.loaded || 0;
+  const total = progress?.total > 0 ? progress.total : null;
+  const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : null;
+
+  return (
+    <div className="w-64 max-w-full p-8 flex flex-col items-center gap-2">
+      <div className="w-full h-1.5 rounded-full overflow-hidden bg-black/10">
+        {percent !== null ? (
+          <div className="h-full transition-[width]" style={{ width: `${percent}%`, backgroundColor: color }} />
+        ) : (
+          <div className="h-full w-1/3 animate-pulse" style={{ backgroundColor: color }} />
+        )}
+      </div>
+      <div className="text-sm" style={{ color: hintColor }}>
+        {loaded === 0
+          ? 'Loading PDF...'
+          : percent !== null
+            ? `Loading PDF... ${percent}% of ${formatSize(total)}`
+            : `Loading PDF... ${formatSize(loaded)}`}
+      </div>
+    </div>
+  );
+}
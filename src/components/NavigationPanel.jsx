@@ -0,0 +1,201 @@
+import { useEffect, useMemo, useState } from 'react';
+import PageThumbnails from './PageThumbnails';
+import { useOutline } from '../hooks/useOutline';
+import { findCurrentOutlineNode } from '../utils/outline';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+} from '../telegram/telegramApp';
+
+const TABS = {
+  OUTLINE: 'outline',
+  PAGES: 'pages',
+};
+
+function OutlineTree({ nodes, depth, currentId, onSelect, textColor, hintColor, linkColor }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  const toggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  return (
+    <ul className="flex flex-col">
+      {nodes.map((node) => {
+        const hasChildren = node.items.length > 0;
+        const isOpen = !collapsed.has(node.id);
+        const isCurrent = node.id === currentId;
+
+        return (
+          <li key={node.id}>
+            <div className="flex items-start gap-1" style={{ paddingLeft: depth * 16 }}>
+              <button
+                onClick={() => toggle(node.id)}
+                className={`w-5 shrink-0 py-1.5 text-xs ${hasChildren ? '' : 'invisible'}`}
+                style={{ color: hintColor }}
+                title={isOpen ? 'Collapse' : 'Expand'}
+              >
+                {isOpen ? '▾' : '▸'}
+              </button>
+              <button
+                onClick={() => node.pageNumber && onSelect(node.pageNumber)}
+                disabled={!node.pageNumber}
+                className="flex-1 min-w-0 flex items-baseline justify-between gap-2 py-1.5 text-left text-sm disabled:opacity-50"
+                style={{
+                  color: isCurrent ? linkColor : textColor,
+                  fontWeight: node.bold || isCurrent ? 600 : undefined,
+                  fontStyle: node.italic ? 'italic' : undefined,
+                }}
+              >
+                <span className="break-words">{node.title}</span>
+                {node.pageNumber && (
+                  <span className="shrink-0 text-xs tabular-nums" style={{ color: hintColor }}>
+                    {node.pageNumber}
+                  </span>
+                )}
+              </button>
+            </div>
+            {hasChildren && isOpen && (
+              <OutlineTree
+                nodes={node.items}
+                depth={depth + 1}
+                currentId={currentId}
+                onSelect={onSelect}
+                textColor={textColor}
+                hintColor={hintColor}
+                linkColor={linkColor}
+              />
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default function NavigationPanel({
+  show,
+  onClose,
+  onNavigate,
+  pdfDocument,
+  numPages,
+  pageNumber,
+  getPageSize,
+  themeParams,
+  isDark,
+}) {
+  const { outline, isLoading } = useOutline(pdfDocument);
+  const [tab, setTab] = useState(null);
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the sheet
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  const currentNode = useMemo(() => findCurrentOutlineNode(outline, pageNumber), [outline, pageNumber]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Documents without an outline open on the thumbnails
+  const activeTab = tab || (outline.length > 0 || isLoading ? TABS.OUTLINE : TABS.PAGES);
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const handleSelect = (page) => {
+    if (isTelegram) hapticFeedback('selection');
+    onNavigate(page);
+  };
+
+  const tabButton = (id, label) => (
+    <button
+      onClick={() => setTab(id)}
+      className="flex-1 py-1.5 rounded-md text-sm font-medium"
+      style={{
+        backgroundColor: activeTab === id ? bgColor : 'transparent',
+        color: activeTab === id ? textColor : hintColor,
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end sm:items-stretch sm:justify-start" data-selection-ignore>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      {/* Bottom sheet on phones, side panel on wider screens */}
+      <div
+        className="relative flex flex-col w-full sm:w-80 h-[85vh] sm:h-full rounded-t-2xl sm:rounded-none shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <div className="flex items-center justify-between px-4 pt-3 pb-2">
+          <h2 className="text-lg font-semibold">Contents</h2>
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+
+        <div className="flex gap-1 mx-4 mb-3 p-1 rounded-lg" style={{ backgroundColor: secondaryBg }}>
+          {tabButton(TABS.OUTLINE, 'Outline')}
+          {tabButton(TABS.PAGES, 'Pages')}
+        </div>
+
+        <div className="flex-1 min-h-0">
+          {activeTab === TABS.OUTLINE ? (
+            <div className="h-full overflow-y-auto px-2 pb-4">
+              {isLoading && (
+                <p className="text-sm text-center py-8" style={{ color: hintColor }}>Loading...</p>
+              )}
+              {!isLoading && outline.length === 0 && (
+                <p className="text-sm text-center py-8" style={{ color: hintColor }}>
+                  This document has no table of contents
+                </p>
+              )}
+              <OutlineTree
+                nodes={outline}
+                depth={0}
+                currentId={currentNode?.id}
+                onSelect={handleSelect}
+                textColor={textColor}
+                hintColor={hintColor}
+                linkColor={linkColor}
+              />
+            </div>
+          ) : (
+            pdfDocument && (
+              <PageThumbnails
+                pdfDocument={pdfDocument}
+                numPages={numPages}
+                pageNumber={pageNumber}
+                getPageSize={getPageSize}
+                onSelect={handleSelect}
+                linkColor={linkColor}
+                hintColor={hintColor}
+              />
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Current page field: type a number and press Enter (or leave the field) to jump
+ */
+export default function PageNumberInput({ pageNumber, numPages, onChange, className, style }) {
+  const [draft, setDraft] = useState(String(pageNumber));
+
+  // Follow navigation from buttons, gestures and scrolling
+  useEffect(() => {
+    setDraft(String(pageNumber));
+  }, [pageNumber]);
+
+  const commit = () => {
+    const value = parseInt(draft, 10);
+    if (Number.isNaN(value)) {
+      setDraft(String(pageNumber));
+      return;
+    }
+    const target = Math.min(Math.max(value, 1), numPages);
+    setDraft(String(target));
+    if (target !== pageNumber) onChange(target);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="numeric"
+      pattern="[0-9]*"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value.replace(/\D/g, ''))}
+      onFocus={(e) => e.target.select()}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') setDraft(String(pageNumber));
+      }}
+      className={className}
+      style={{ width: `${String(numPages).length + 1.5}ch`, ...style }}
+      aria-label="Page number"
+    />
+  );
+}
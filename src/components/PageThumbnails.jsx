@@ -0,0 +1,95 @@
+import { useEffect, useRef, useState } from 'react';
+import { Thumbnail } from 'react-pdf';
+
+const THUMBNAIL_WIDTH = 96;
+
+// Thumbnails rendered beyond the visible ones, in both directions
+const RENDER_BUFFER = 6;
+
+/**
+ * Grid of page thumbnails; only cells near the visible area render a canvas,
+ * the rest are placeholders sized from usePageSizes
+ */
+export default function PageThumbnails({ pdfDocument, numPages, pageNumber, getPageSize, onSelect, linkColor, hintColor }) {
+  const containerRef = useRef(null);
+  const cellRefs = useRef(new Map());
+  const [visibleRange, setVisibleRange] = useState({ first: pageNumber, last: pageNumber });
+
+  // Track which cells are on screen
+  useEffect(() => {
+    const visible = new Set();
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          const page = Number(entry.target.dataset.thumbnailPage);
+          if (entry.isIntersecting) visible.add(page);
+          else visible.delete(page);
+        });
+        if (visible.size === 0) return;
+        const pages = Array.from(visible);
+        setVisibleRange({ first: Math.min(...pages), last: Math.max(...pages) });
+      },
+      { root: containerRef.current }
+    );
+
+    cellRefs.current.forEach((element) => observer.observe(element));
+    return () => observer.disconnect();
+  }, [numPages]);
+
+  // Start at the current page
+  useEffect(() => {
+    // Only when the grid opens, not on every page change
+    cellRefs.current.get(pageNumber)?.scrollIntoView({ block: 'center' });
+  }, []);
+
+  const shouldRender = (page) =>
+    page >= visibleRange.first - RENDER_BUFFER && page <= visibleRange.last + RENDER_BUFFER;
+
+  return (
+    <div ref={containerRef} className="h-full overflow-y-auto px-4 pb-4">
+      <ul className="grid grid-cols-3 gap-3 justify-items-center">
+        {Array.from({ length: numPages }, (_, index) => {
+          const page = index + 1;
+          const size = getPageSize(page);
+          const isCurrent = page === pageNumber;
+
+          return (
+            <li
+              key={page}
+              data-thumbnail-page={page}
+              ref={(element) => {
+                if (element) cellRefs.current.set(page, element);
+                else cellRefs.current.delete(page);
+              }}
+              className="flex flex-col items-center gap-1"
+            >
+              <div
+                className="bg-white shadow overflow-hidden cursor-pointer"
+                style={{
+                  width: THUMBNAIL_WIDTH,
+                  height: (THUMBNAIL_WIDTH * size.height) / size.width,
+                  outline: isCurrent ? `2px solid ${linkColor}` : undefined,
+                }}
+                onClick={() => onSelect(page)}
+              >
+                {shouldRender(page) && (
+                  <Thumbnail
+                    pdf={pdfDocument}
+                    pageNumber={page}
+                    width={THUMBNAIL_WIDTH}
+                    loading={null}
+                    // Clicks bubble to the cell; react-pdf requires a handler without a link service
+                    onItemClick={() => {}}
+                  />
+                )}
+              </div>
+              <span className="text-xs" style={{ color: isCurrent ? linkColor : hintColor }}>
+                {page}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import { useEffect, useMemo } from 'react';
+import LanguagePicker from './LanguagePicker';
+import { usePageParagraphs } from '../hooks/usePageParagraphs';
+import { useParallelTranslation } from '../hooks/useParallelTranslation';
+import { useLanguagePreferences } from '../hooks/useLanguagePreferences';
+import { useReaderSettings } from '../hooks/useReaderSettings';
+import { findParagraphIndex } from '../utils/paragraphs';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+} from '../telegram/telegramApp';
+
+const LAYOUTS = {
+  SIDE_BY_SIDE: 'sideBySide',
+  INTERLINEAR: 'interlinear',
+};
+
+function TranslationText({ result, hintColor }) {
+  if (!result || result.isLoading) {
+    return <span className="animate-pulse" style={{ color: hintColor }}>Translating...</span>;
+  }
+  if (result.error) {
+    return <span className="text-red-500">{result.error}</span>;
+  }
+  return result.translation;
+}
+
+/**
+ * Translation of a whole page or one paragraph, shown next to the page
+ * Not a modal: the page stays visible and scrollable while reading along
+ * `focus` ({pageNumber, spanIndex}) narrows the panel to the paragraph containing that span
+ */
+export default function ParallelTranslationPanel({
+  show,
+  onClose,
+  pdfDocument,
+  pageNumber,
+  focus,
+  onShowWholePage,
+  themeParams,
+  isDark,
+}) {
+  const { sourceLang, targetLang, setSourceLang, setTargetLang, swapLanguages } = useLanguagePreferences();
+  const { settings, updateSettings } = useReaderSettings();
+  const isTelegram = isTelegramEnvironment();
+
+  const panelPage = focus?.pageNumber || pageNumber;
+  const { paragraphs, isLoading } = usePageParagraphs(show ? pdfDocument : null, panelPage);
+
+  // Paragraph mode falls back to the whole page if the span is not in any paragraph
+  const visibleParagraphs = useMemo(() => {
+    if (!focus) return paragraphs;
+    const index = findParagraphIndex(paragraphs, focus.spanIndex);
+    return index === -1 ? paragraphs : [paragraphs[index]];
+  }, [paragraphs, focus]);
+
+  const texts = useMemo(() => visibleParagraphs.map((paragraph) => paragraph.text), [visibleParagraphs]);
+  const { results, retry } = useParallelTranslation(texts, { sourceLang, targetLang, enabled: show });
+
+  // Telegram back button closes the panel
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const isSideBySide = settings.parallelLayout === LAYOUTS.SIDE_BY_SIDE;
+  const hasErrors = results.some((result) => result.error);
+
+  const setLayout = (layout) => {
+    if (isTelegram) hapticFeedback('selection');
+    updateSettings({ parallelLayout: layout });
+  };
+
+  const layoutButton = (layout, label) => (
+    <button
+      onClick={() => setLayout(layout)}
+      className="flex-1 py-1 rounded-md text-xs font-medium"
+      style={{
+        backgroundColor: settings.parallelLayout === layout ? bgColor : 'transparent',
+        color: settings.parallelLayout === layout ? textColor : hintColor,
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div
+      className="fixed z-30 inset-x-0 bottom-0 h-[55vh] sm:inset-y-0 sm:left-auto sm:right-0 sm:h-full sm:w-[28rem] flex flex-col rounded-t-2xl sm:rounded-none shadow-2xl"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <div className="flex items-center justify-between gap-2 px-4 pt-3 pb-2">
+        <h2 className="text-lg font-semibold">
+          {focus ? 'Paragraph' : 'Page'} {panelPage}
+        </h2>
+        <div className="flex items-center gap-2">
+          <LanguagePicker
+            sourceLang={sourceLang}
+            targetLang={targetLang}
+            onSourceChange={setSourceLang}
+            onTargetChange={setTargetLang}
+            onSwap={swapLanguages}
+          />
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none px-1" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 mx-4 mb-3">
+        <div className="flex flex-1 gap-1 p-1 rounded-lg" style={{ backgroundColor: secondaryBg }}>
+          {layoutButton(LAYOUTS.SIDE_BY_SIDE, 'Side by side')}
+          {layoutButton(LAYOUTS.INTERLINEAR, 'Interlinear')}
+        </div>
+        {focus && (
+          <button onClick={onShowWholePage} className="text-xs font-medium shrink-0" style={{ color: linkColor }}>
+            Whole page
+          </button>
+        )}
+        {hasErrors && (
+          <button onClick={retry} className="text-xs font-medium shrink-0" style={{ color: linkColor }}>
+            Retry
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 pb-4">
+        {isLoading && (
+          <p className="text-sm text-center py-8" style={{ color: hintColor }}>Reading page...</p>
+        )}
+        {!isLoading && visibleParagraphs.length === 0 && (
+          <p className="text-sm text-center py-8" style={{ color: hintColor }}>
+            This page has no text to translate (it may be a scanned image)
+          </p>
+        )}
+
+        <ol className="flex flex-col gap-4">
+          {visibleParagraphs.map((paragraph, index) => (
+            <li
+              key={`${panelPage}-${paragraph.spanStart}`}
+              className={isSideBySide ? 'grid grid-cols-2 gap-3' : 'flex flex-col gap-1'}
+            >
+              <p className="text-sm leading-relaxed" style={{ color: isSideBySide ? textColor : hintColor }}>
+                {paragraph.text}
+              </p>
+              <p className="text-sm leading-relaxed">
+                <TranslationText result={results[index]} hintColor={hintColor} />
+              </p>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
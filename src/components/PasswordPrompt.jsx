@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import { PasswordResponses } from 'react-pdf';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+} from '../telegram/telegramApp';
+
+/**
+ * Password dialog for encrypted PDFs, driven by react-pdf's onPassword
+ * `reason` is a PasswordResponses value: the first ask or a retry after a wrong password
+ */
+export default function PasswordPrompt({ show, reason, documentTitle, onSubmit, onCancel, themeParams, isDark }) {
+  const [password, setPassword] = useState('');
+  const isTelegram = isTelegramEnvironment();
+  const isRetry = reason === PasswordResponses.INCORRECT_PASSWORD;
+
+  // Start empty on every ask; signal a wrong password
+  useEffect(() => {
+    if (!show) return;
+    setPassword('');
+    if (isRetry && isTelegram) hapticFeedback('notification', 'error');
+  }, [show, reason, isRetry, isTelegram]);
+
+  // Telegram back button cancels
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onCancel);
+    return () => hideBackButton(onCancel);
+  }, [show, isTelegram, onCancel]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!password) return;
+    if (isTelegram) hapticFeedback('impact', 'medium');
+    onSubmit(password);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center" data-selection-ignore>
+      <div className="absolute inset-0 bg-black/40" onClick={onCancel} />
+
+      <form
+        onSubmit={handleSubmit}
+        className="relative w-full sm:w-96 rounded-t-2xl sm:rounded-2xl p-4 shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <h3 className="text-lg font-semibold mb-1">Password required</h3>
+        <p className="text-xs mb-4 break-words" style={{ color: hintColor }}>
+          {documentTitle ? `"${documentTitle}" is protected.` : 'This PDF is protected.'} Enter its password to open it.
+        </p>
+
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoFocus
+          autoComplete="off"
+          placeholder="Password"
+          className="w-full rounded-lg px-3 py-2 text-sm outline-none"
+          style={{ backgroundColor: secondaryBg, color: textColor }}
+        />
+        {isRetry && (
+          <div className="mt-2 text-sm text-red-500">Wrong password, try again</div>
+        )}
+
+        <div className="flex gap-2 mt-4">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 rounded-lg font-medium"
+            style={{ backgroundColor: secondaryBg, color: textColor }}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!password}
+            className="flex-1 px-4 py-2 rounded-lg font-medium transition-opacity disabled:opacity-50"
+            style={{ backgroundColor: buttonBg, color: buttonText }}
+          >
+            Open
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -1,65 +1,398 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
 import TranslationPopup from './TranslationPopup';
-import { hapticFeedback } from '../telegram/telegramApp';
+import VocabularyPanel from './VocabularyPanel';
+import AnkiOutboxPanel from './AnkiOutboxPanel';
+import ContinuousPages from './ContinuousPages';
+import LibraryScreen from './LibraryScreen';
+import SearchBar from './SearchBar';
+import NavigationPanel from './NavigationPanel';
+import PageNumberInput from './PageNumberInput';
+import HighlightLayer from './HighlightLayer';
+import HighlightsPanel from './HighlightsPanel';
+import LoadProgress from './LoadProgress';
+import PasswordPrompt from './PasswordPrompt';
+import ParallelTranslationPanel from './ParallelTranslationPanel';
+import SettingsPanel from './SettingsPanel';
+import ReadAloudBar from './ReadAloudBar';
+import ReviewScreen from './ReviewScreen';
+import StatsScreen from './StatsScreen';
+import ReadAloudLayer from './ReadAloudLayer';
+import { useAnkiOutbox } from '../hooks/useAnkiOutbox';
+import { useTranslationQueue } from '../hooks/useTranslationQueue';
+import { usePageSizes } from '../hooks/usePageSizes';
+import { useViewerGestures } from '../hooks/useViewerGestures';
+import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
+import { useViewportSize } from '../hooks/useViewportSize';
+import { useDocumentSearch } from '../hooks/useDocumentSearch';
+import { useHighlights } from '../hooks/useHighlights';
+import { useVocabulary } from '../hooks/useVocabulary';
+import { useReaderSettings } from '../hooks/useReaderSettings';
+import { useFileDrop } from '../hooks/useFileDrop';
+import { useReadAloud, READ_ALOUD_STATUS } from '../hooks/useReadAloud';
+import { useReview } from '../hooks/useReview';
+import { useReadingTracker } from '../hooks/useReadingTracker';
+import { useLanguagePreferences } from '../hooks/useLanguagePreferences';
+import { hapticFeedback, showAlert } from '../telegram/telegramApp';
+import { getDocumentInfo, getDocumentUrl } from '../utils/documentInfo';
+import { getLaunchDocument, clearLaunchDocument } from '../utils/documentSource';
+import { getLoadErrorMessage, PASSWORD_REQUIRED_MESSAGE } from '../utils/loadErrors';
+import { isPdfFile, getNotPdfMessage } from '../utils/pdfFile';
+import { getSentenceForRange } from '../utils/sentenceContext';
+import { getSelectionAnchor, getTextPointAtPosition } from '../utils/textAnchors';
+import { buildKnownWordIndex, findKnownWords, getKnownEntry } from '../utils/knownWords';
+import { renderThumbnail } from '../utils/thumbnail';
+import { markTextItem } from '../utils/textSearch';
+import {
+  MIN_SCALE,
+  MAX_SCALE,
+  SCALE_STEP,
+  ZOOM_MODES,
+  ZOOM_MODE_LABELS,
+  DEFAULT_ZOOM_MODE,
+  clampScale,
+  isZoomMode,
+  resolveScale,
+  getRenderPixelRatio,
+} from '../utils/zoom';
+import { addToLibrary, getLibraryDocument, updateLibraryDocument } from '../storage/libraryStore';
 
-// Configure PDF.js worker
-pdfjs.GlobalWorkerOptions.workerSrc = `//unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
+// Configure PDF.js worker (bundled, so it loads offline and behind restrictive networks)
+pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+// Character maps (CJK and other non-embedded encodings) and standard fonts,
+// served from pdfjs-dist by plugins/pdfjsAssets.js; a stable object so react-pdf doesn't reload
+const DOCUMENT_OPTIONS = {
+  cMapUrl: `${import.meta.env.BASE_URL}pdfjs/cmaps/`,
+  cMapPacked: true,
+  standardFontDataUrl: `${import.meta.env.BASE_URL}pdfjs/standard_fonts/`,
+};
 
 // LocalStorage keys
 const STORAGE_KEYS = {
+  DOCUMENT_ID: 'pdfViewer_documentId',
+  VIEW_MODE: 'pdfViewer_viewMode',
+  // Last named zoom mode, used for documents opened for the first time
+  ZOOM_MODE: 'pdfViewer_zoomMode',
+};
+
+// Single-document keys from before the library, migrated on first start
+const LEGACY_STORAGE_KEYS = {
   SCALE: 'pdfViewer_scale',
   PAGE_NUMBER: 'pdfViewer_pageNumber',
   FILE_PATH: 'pdfViewer_filePath',
 };
 
+const DEFAULT_PDF_PATH = '/C1_Lois_Lowry_The_Giver_Messenger.pdf';
+
+// Delay before the reading position is written to the library
+const POSITION_SAVE_DELAY_MS = 500;
+
+const getDefaultZoomMode = () => {
+  const saved = localStorage.getItem(STORAGE_KEYS.ZOOM_MODE);
+  return isZoomMode(saved) && saved !== ZOOM_MODES.CUSTOM ? saved : DEFAULT_ZOOM_MODE;
+};
+
+// Zoom mode and custom scale from a saved position
+const getSavedZoom = (position) => {
+  if (isZoomMode(position?.zoomMode)) {
+    return { zoomMode: position.zoomMode, customScale: clampScale(position.scale || 1.0) };
+  }
+  // Positions saved before zoom modes only have a raw scale
+  if (position?.scale) {
+    return { zoomMode: ZOOM_MODES.CUSTOM, customScale: clampScale(position.scale) };
+  }
+  return { zoomMode: getDefaultZoomMode(), customScale: 1.0 };
+};
+
+// Page layout modes
+const VIEW_MODES = {
+  SINGLE: 'single',
+  CONTINUOUS: 'continuous',
+};
+
 export default function PdfViewer({ isTelegram, themeParams, isDark }) {
-  // Load saved settings from localStorage or use defaults
+  // Current document; page and zoom are restored from its library record
   const [file, setFile] = useState(null);
+  const [documentId, setDocumentId] = useState(null);
   const [numPages, setNumPages] = useState(null);
-  const [pageNumber, setPageNumber] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEYS.PAGE_NUMBER);
-    return saved ? parseInt(saved, 10) : 1;
-  });
-  const [scale, setScale] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEYS.SCALE);
-    return saved ? parseFloat(saved) : 1.0;
+  const [pdfDocument, setPdfDocument] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  // Named zoom mode; the numeric scale is derived from it and the viewport
+  const [zoomMode, setZoomMode] = useState(getDefaultZoomMode);
+  const [customScale, setCustomScale] = useState(1.0);
+  const [availableSize, setAvailableSize] = useState(null);
+  const [viewMode, setViewMode] = useState(() => {
+    const saved = localStorage.getItem(STORAGE_KEYS.VIEW_MODE);
+    return saved === VIEW_MODES.CONTINUOUS ? VIEW_MODES.CONTINUOUS : VIEW_MODES.SINGLE;
   });
   const [error, setError] = useState(null);
+  // Download progress from pdf.js ({loaded, total}), null until the first chunk
+  const [loadProgress, setLoadProgress] = useState(null);
+  // Why the current document failed to load; the viewer shows it with a retry
+  const [loadError, setLoadError] = useState(null);
+  // Pending react-pdf password request ({callback, reason}) for encrypted PDFs
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const fileRef = useRef(file);
+  fileRef.current = file;
+  const documentIdRef = useRef(documentId);
+  documentIdRef.current = documentId;
   
   // Translation popup states
   const [selectedText, setSelectedText] = useState('');
   const [popupPosition, setPopupPosition] = useState({ x: 0, y: 0 });
   const [showPopup, setShowPopup] = useState(false);
+  const [selectionContext, setSelectionContext] = useState(null);
+  const [selectionPage, setSelectionPage] = useState(null);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  // Vocabulary entry when a known word was tapped (shown without a backend call)
+  const [savedEntry, setSavedEntry] = useState(null);
   const selectionTimeoutRef = useRef(null);
 
-  // Load default PDF on mount
-  useEffect(() => {
-    const savedFilePath = localStorage.getItem(STORAGE_KEYS.FILE_PATH);
-    const defaultPdfPath = savedFilePath || '/C1_Lois_Lowry_The_Giver_Messenger.pdf';
-    setFile(defaultPdfPath);
+  // Document library
+  const [showLibrary, setShowLibrary] = useState(false);
+
+  // Outline and thumbnails
+  const [showNavigation, setShowNavigation] = useState(false);
+
+  // Highlights list; editingHighlightId opens the note editor of one highlight
+  const [showHighlights, setShowHighlights] = useState(false);
+  const [editingHighlightId, setEditingHighlightId] = useState(null);
+
+  // Page / paragraph translation next to the page; focus narrows it to one paragraph
+  const [showParallel, setShowParallel] = useState(false);
+  const [parallelFocus, setParallelFocus] = useState(null);
+
+  // Full-text search
+  const [showSearch, setShowSearch] = useState(false);
+  const pendingSearchScrollRef = useRef(false);
+
+  // Vocabulary panel
+  const [showVocabulary, setShowVocabulary] = useState(false);
+
+  // Failed Anki additions awaiting retry
+  const ankiOutbox = useAnkiOutbox({ autoRetry: true });
+  const [showAnkiOutbox, setShowAnkiOutbox] = useState(false);
+
+  // Settings panel (pronunciation)
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Read-aloud player
+  const [showReadAloud, setShowReadAloud] = useState(false);
+
+  // Flashcard review of looked-up words
+  const review = useReview();
+  const [showReview, setShowReview] = useState(false);
+  const reviewDueCount = review.counts.new + review.counts.learning + review.counts.review;
+
+  // Reading statistics dashboard
+  const [showStats, setShowStats] = useState(false);
+
+  // Lookups made offline, translated when the connection returns
+  const translationQueue = useTranslationQueue();
+
+  const documentInfo = useMemo(() => getDocumentInfo(file), [file]);
+  const { getPageSize, loadedCount } = usePageSizes(pdfDocument);
+  const viewport = useViewportSize();
+  const search = useDocumentSearch(pdfDocument);
+  const highlights = useHighlights(documentInfo?.id || null);
+
+  // Pages are read in the source language of the translation pair
+  const { sourceLang, targetLang } = useLanguagePreferences();
+
+  // Words from the vocabulary, underlined in the text layer unless turned off
+  // Only the current language pair counts: a saved answer in another language is not known
+  const { entries: vocabularyEntries } = useVocabulary();
+  const { settings } = useReaderSettings();
+  const knownWordIndex = useMemo(() => {
+    if (!settings.underlineKnownWords) return null;
+    return buildKnownWordIndex(
+      vocabularyEntries.filter((entry) => entry.sourceLang === sourceLang && entry.targetLang === targetLang)
+    );
+  }, [settings.underlineKnownWords, vocabularyEntries, sourceLang, targetLang]);
+  const knownWordIndexRef = useRef(knownWordIndex);
+  knownWordIndexRef.current = knownWordIndex;
+
+  const readAloud = useReadAloud(pdfDocument, { pageNumber, onPageChange: setPageNumber, lang: sourceLang });
+  // Taps on the text start reading there while the player is open (read by the selection handler)
+  const readAloudTapRef = useRef(null);
+  readAloudTapRef.current = showReadAloud ? readAloud.startAt : null;
+
+  // Reading time per page of the loaded document; full-screen screens cover the page
+  useReadingTracker(numPages ? documentInfo : null, {
+    pageNumber,
+    paused: showLibrary || showReview || showStats,
+    keepAlive: readAloud.status === READ_ALOUD_STATUS.PLAYING,
+  });
+
+  // Gesture targets: root for fit width, viewer for touches/scroll, content for pinch preview
+  const rootRef = useRef(null);
+  const viewerRef = useRef(null);
+  const contentRef = useRef(null);
+  const pendingZoomAnchorRef = useRef(null);
+
+  // Show a library document at its saved position (or at the given page)
+  const openDocument = useCallback((record, page) => {
+    // react-pdf does not reload an unchanged file, so the open document is only brought back
+    if (record.id === documentIdRef.current && fileRef.current) {
+      if (page) setPageNumber(page);
+      setShowLibrary(false);
+      return;
+    }
+
+    setFile(record.file || record.url);
+    setDocumentId(record.id);
+    setPdfDocument(null);
+    setNumPages(null);
+    setLoadProgress(null);
+    setLoadError(null);
+    setPasswordRequest(null);
+    setPageNumber(page || record.position?.pageNumber || 1);
+    const savedZoom = getSavedZoom(record.position);
+    setZoomMode(savedZoom.zoomMode);
+    setCustomScale(savedZoom.customScale);
+    setError(null);
+    setShowLibrary(false);
+    localStorage.setItem(STORAGE_KEYS.DOCUMENT_ID, record.id);
+    updateLibraryDocument(record.id, { lastOpenedAt: Date.now() });
   }, []);
 
-  // Save scale to localStorage when it changes
+  // Open the document passed in the link, or restore the last opened one on mount
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.SCALE, scale.toString());
-  }, [scale]);
+    let cancelled = false;
+
+    const restore = async () => {
+      const launch = getLaunchDocument();
+      if (launch?.url) {
+        clearLaunchDocument();
+        try {
+          const record = await addToLibrary(launch.url);
+          if (!cancelled) openDocument(record);
+        } catch (err) {
+          // IndexedDB unavailable: open the link for this session only
+          console.warn('Failed to add document to library:', err);
+          if (!cancelled) setFile(launch.url);
+        }
+        return;
+      }
+      if (launch?.error) {
+        // Opening the last document below would clear an inline error
+        showAlert(launch.error);
+      }
+
+      const savedId = localStorage.getItem(STORAGE_KEYS.DOCUMENT_ID);
+      if (savedId !== null) {
+        const saved = savedId ? await getLibraryDocument(savedId) : null;
+        if (cancelled) return;
+        if (saved) {
+          openDocument(saved);
+        } else {
+          setShowLibrary(true);
+        }
+        return;
+      }
+
+      // First start: carry over the single-document position into the library
+      const legacyPath = localStorage.getItem(LEGACY_STORAGE_KEYS.FILE_PATH) || DEFAULT_PDF_PATH;
+      const legacyPage = parseInt(localStorage.getItem(LEGACY_STORAGE_KEYS.PAGE_NUMBER), 10);
+      const legacyScale = parseFloat(localStorage.getItem(LEGACY_STORAGE_KEYS.SCALE));
+      Object.values(LEGACY_STORAGE_KEYS).forEach((key) => localStorage.removeItem(key));
+
+      try {
+        const record = await addToLibrary(legacyPath);
+        if (cancelled) return;
+        openDocument({
+          ...record,
+          position: record.position || {
+            pageNumber: legacyPage || 1,
+            scale: legacyScale || 1.0,
+          },
+        });
+      } catch (err) {
+        // IndexedDB unavailable: still show the document, just without a library record
+        console.warn('Failed to add document to library:', err);
+        if (!cancelled) setFile(legacyPath);
+      }
+    };
+
+    restore();
+    return () => {
+      cancelled = true;
+    };
+  }, [openDocument]);
+
+  // Save view mode to localStorage when it changes
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.VIEW_MODE, viewMode);
+  }, [viewMode]);
 
-  // Save pageNumber to localStorage when it changes
+  // Remember the last named zoom mode as the default for new documents
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.PAGE_NUMBER, pageNumber.toString());
-  }, [pageNumber]);
+    if (zoomMode !== ZOOM_MODES.CUSTOM) {
+      localStorage.setItem(STORAGE_KEYS.ZOOM_MODE, zoomMode);
+    }
+  }, [zoomMode]);
+
+  // Measure the space a page can take: width of the viewer column and the
+  // stable viewport height below the toolbar (whole viewport when scrolling)
+  useLayoutEffect(() => {
+    const root = rootRef.current;
+    if (!root) return;
+
+    const measure = () => {
+      const style = window.getComputedStyle(root);
+      const width = root.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight) - 2;
+
+      let height = viewport.height - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+      const viewer = viewerRef.current;
+      if (viewer && viewMode === VIEW_MODES.SINGLE) {
+        const viewerTop = viewer.getBoundingClientRect().top + window.scrollY;
+        height = viewport.height - viewerTop - parseFloat(style.paddingBottom) - 2;
+      }
+
+      setAvailableSize((prev) => (prev?.width === width && prev?.height === height ? prev : { width, height }));
+    };
+
+    measure();
+    // Catches width changes without a window resize, e.g. a page scrollbar appearing
+    const observer = window.ResizeObserver ? new ResizeObserver(measure) : null;
+    observer?.observe(root);
+    return () => observer?.disconnect();
+  }, [viewport, viewMode, numPages]);
+
+  // Save the reading position of the open document once it has loaded
+  useEffect(() => {
+    if (!documentId || !pdfDocument || !numPages) return;
+    const timeoutId = setTimeout(() => {
+      updateLibraryDocument(documentId, {
+        position: { pageNumber, zoomMode, scale: customScale },
+        progress: numPages > 1 ? (pageNumber - 1) / (numPages - 1) : 1,
+      });
+    }, POSITION_SAVE_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [documentId, pdfDocument, numPages, pageNumber, zoomMode, customScale]);
 
   // Handle text selection in PDF
   useEffect(() => {
-    const handleTextSelection = () => {
+    const handleTextSelection = (event) => {
+      // Interactions inside the popup (language picker etc.) or panels are not selections
+      if (event.target?.closest?.('[data-translation-popup], [data-selection-ignore]')) {
+        return;
+      }
+
       // Clear any existing timeout
       if (selectionTimeoutRef.current) {
         clearTimeout(selectionTimeoutRef.current);
       }
 
+      // Tap on an underlined word from the vocabulary
+      const knownMark = event.target?.closest?.('mark.known-word');
+      const tap = event.changedTouches?.[0] || event;
+      const tapPoint = { x: tap.clientX, y: tap.clientY };
+
       // Wait a moment to ensure selection is complete
       selectionTimeoutRef.current = setTimeout(() => {
         const selection = window.getSelection();
@@ -70,25 +403,53 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
           const words = text.split(/\s+/);
           const limitedText = words.slice(0, 10).join(' ');
 
-          // Get selection position
-          const range = selection.getRangeAt(0);
-          const rect = range.getBoundingClientRect();
-
-          setSelectedText(limitedText);
-          setPopupPosition({
-            x: rect.left + rect.width / 2,
-            y: rect.top - 10,
-          });
-          setShowPopup(true);
+          openPopupForRange(selection.getRangeAt(0), limitedText, null);
 
           // Remove selection to hide native browser menu
           selection.removeAllRanges();
-        } else {
-          setShowPopup(false);
+          return;
+        }
+
+        const savedEntry = knownMark && knownWordIndexRef.current
+          ? getKnownEntry(knownWordIndexRef.current, knownMark.textContent)
+          : null;
+        if (savedEntry) {
+          const range = document.createRange();
+          range.selectNodeContents(knownMark);
+          openPopupForRange(range, knownMark.textContent, savedEntry);
+          return;
+        }
+
+        setShowPopup(false);
+        // Read-aloud player open: read from the tapped sentence
+        const tapped = readAloudTapRef.current && getTextPointAtPosition(tapPoint.x, tapPoint.y);
+        if (tapped) {
+          if (isTelegram) hapticFeedback('selection');
+          readAloudTapRef.current(tapped.pageNumber, tapped.point);
         }
       }, 500); // Show popup after 500ms delay
     };
 
+    const openPopupForRange = (range, text, savedEntry) => {
+      const rect = range.getBoundingClientRect();
+
+      setSelectedText(text);
+      setSavedEntry(savedEntry);
+      // Full sentence around the selection, rebuilt from text layer spans
+      setSelectionContext(getSentenceForRange(range));
+      // In continuous mode the selection may be on any rendered page
+      const pageElement = (range.startContainer.parentElement || range.startContainer)
+        .closest?.('[data-page-number]');
+      setSelectionPage(pageElement ? Number(pageElement.dataset.pageNumber) : null);
+      // Text layer position for highlighting, independent of zoom
+      setSelectionAnchor(getSelectionAnchor(range));
+      setPopupPosition({
+        x: rect.left + rect.width / 2,
+        y: rect.top - 10,
+      });
+      setShowPopup(true);
+    };
+
     // Listen for mouseup and touchend events (when user finishes selection)
     document.addEventListener('mouseup', handleTextSelection);
     document.addEventListener('touchend', handleTextSelection);
@@ -103,21 +464,50 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
     };
   }, []);
 
-  const onFileChange = (event) => {
-    const selectedFile = event.target.files?.[0];
-    if (selectedFile && selectedFile.type === 'application/pdf') {
+  // Store a picked file in the library and open it
+  const addDocument = async (selectedFile) => {
+    // Checks the header too: Android pickers often leave the MIME type empty
+    if (!(await isPdfFile(selectedFile))) {
+      setError(getNotPdfMessage(selectedFile));
+      setShowLibrary(false);
+      return;
+    }
+
+    try {
+      openDocument(await addToLibrary(selectedFile));
+    } catch (err) {
+      // Library storage failed (e.g. quota): open the file for this session only
+      console.warn('Failed to add document to library:', err);
       setFile(selectedFile);
-      setError(null);
+      setDocumentId(null);
+      setPdfDocument(null);
+      setNumPages(null);
+      setLoadProgress(null);
+      setLoadError(null);
+      setPasswordRequest(null);
       setPageNumber(1);
-      // Clear saved file path as user selected a local file
-      localStorage.removeItem(STORAGE_KEYS.FILE_PATH);
-    } else {
-      setError('Please select a valid PDF file');
-      setFile(null);
+      setError(null);
+      setShowLibrary(false);
     }
   };
 
-  const onDocumentLoadSuccess = ({ numPages }) => {
+  // Desktop: drop a PDF anywhere on the page to add it
+  const isDraggingFile = useFileDrop(addDocument);
+
+  // Close the viewer if the open document was removed from the library
+  const onDocumentRemoved = (id) => {
+    if (id !== documentId) return;
+    setFile(null);
+    setDocumentId(null);
+    setPdfDocument(null);
+    setNumPages(null);
+    // Empty (not missing) id: the library exists, there is just nothing open
+    localStorage.setItem(STORAGE_KEYS.DOCUMENT_ID, '');
+  };
+
+  const onDocumentLoadSuccess = async (pdf) => {
+    const { numPages } = pdf;
+    setPdfDocument(pdf);
     setNumPages(numPages);
     // Don't reset pageNumber, keep the current/saved page
     // But validate it's within bounds
@@ -125,16 +515,48 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
       const validPage = Math.min(Math.max(prevPage, 1), numPages);
       return validPage;
     });
-    
-    // Save file path if it's a string (URL)
-    if (typeof file === 'string') {
-      localStorage.setItem(STORAGE_KEYS.FILE_PATH, file);
+
+    // Fill in metadata that is only known once the PDF is parsed
+    if (!documentId) return;
+    const record = await getLibraryDocument(documentId);
+    if (!record) return;
+    const patch = {};
+    if (record.pageCount !== numPages) patch.pageCount = numPages;
+    if (!record.thumbnail) patch.thumbnail = await renderThumbnail(pdf);
+    if (Object.keys(patch).length > 0) {
+      updateLibraryDocument(documentId, patch);
     }
   };
 
-  const onDocumentLoadError = (error) => {
+  const onDocumentLoadError = async (error) => {
     console.error('Error loading PDF:', error);
-    setError('Error loading PDF file');
+    const failedFile = file;
+    const message = await getLoadErrorMessage(error, failedFile);
+    // Another document may have been opened while the file was inspected
+    if (fileRef.current === failedFile) setLoadError(message);
+  };
+
+  // Encrypted PDF: react-pdf asks again with INCORRECT_PASSWORD after a wrong one
+  const onDocumentPassword = useCallback((callback, reason) => {
+    setPasswordRequest({ callback, reason });
+  }, []);
+
+  const submitPassword = (password) => {
+    passwordRequest?.callback(password);
+    setPasswordRequest(null);
+  };
+
+  // Unmounting <Document> below aborts the pending load
+  const cancelPassword = useCallback(() => {
+    setPasswordRequest(null);
+    setLoadError(PASSWORD_REQUIRED_MESSAGE);
+  }, []);
+
+  // Mounting <Document> again starts a fresh load of the same file
+  const retryLoad = () => {
+    if (isTelegram) hapticFeedback('impact', 'light');
+    setLoadError(null);
+    setLoadProgress(null);
   };
 
   const goToPrevPage = () => {
@@ -147,22 +569,271 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
     setPageNumber((prev) => Math.min(prev + 1, numPages || 1));
   };
 
+  // Fit modes size the current page; in continuous mode the first page, so
+  // scrolling past pages of a different size does not rescale the document
+  const referencePageSize = getPageSize(viewMode === VIEW_MODES.CONTINUOUS ? 1 : pageNumber);
+  const getScaleForMode = (mode, nextCustomScale = customScale) => (
+    availableSize
+      ? resolveScale(mode, { pageSize: referencePageSize, available: availableSize, customScale: nextCustomScale })
+      : clampScale(mode === ZOOM_MODES.CUSTOM ? nextCustomScale : 1.0)
+  );
+  const scale = getScaleForMode(zoomMode);
+  const pixelRatio = getRenderPixelRatio(referencePageSize, scale, viewport.pixelRatio);
+
+  // Switch zoom, optionally keeping the given client point fixed on screen
+  const applyZoom = (mode, nextCustomScale, anchor) => {
+    const content = contentRef.current;
+    const target = getScaleForMode(mode, nextCustomScale);
+    if (content && anchor) {
+      const rect = content.getBoundingClientRect();
+      pendingZoomAnchorRef.current = {
+        anchor,
+        offsetX: anchor.x - rect.left,
+        offsetY: anchor.y - rect.top,
+        ratio: target / scale,
+      };
+    }
+    setZoomMode(mode);
+    if (mode === ZOOM_MODES.CUSTOM) setCustomScale(target);
+  };
+
   const zoomIn = () => {
     if (isTelegram) hapticFeedback('impact', 'light');
-    setScale((prev) => Math.min(prev + 0.2, 3.0));
+    applyZoom(ZOOM_MODES.CUSTOM, clampScale(scale + SCALE_STEP));
   };
 
   const zoomOut = () => {
     if (isTelegram) hapticFeedback('impact', 'light');
-    setScale((prev) => Math.max(prev - 0.2, 0.5));
+    applyZoom(ZOOM_MODES.CUSTOM, clampScale(scale - SCALE_STEP));
+  };
+
+  const selectZoomMode = (mode) => {
+    if (isTelegram) hapticFeedback('selection');
+    applyZoom(mode, scale);
+  };
+
+  const toggleViewMode = () => {
+    if (isTelegram) hapticFeedback('selection');
+    setViewMode((prev) => (prev === VIEW_MODES.SINGLE ? VIEW_MODES.CONTINUOUS : VIEW_MODES.SINGLE));
   };
 
   const resetZoom = () => {
     if (isTelegram) hapticFeedback('selection');
-    setScale(1.0);
+    applyZoom(DEFAULT_ZOOM_MODE);
+  };
+
+  const goToFirstPage = () => setPageNumber(1);
+  const goToLastPage = () => setPageNumber(numPages || 1);
+
+  // Restore anchor point after the zoomed layout is committed
+  useLayoutEffect(() => {
+    const pending = pendingZoomAnchorRef.current;
+    const content = contentRef.current;
+    if (!pending || !content) return;
+    pendingZoomAnchorRef.current = null;
+
+    const rect = content.getBoundingClientRect();
+    const dx = rect.left + pending.offsetX * pending.ratio - pending.anchor.x;
+    const dy = rect.top + pending.offsetY * pending.ratio - pending.anchor.y;
+    if (viewerRef.current) viewerRef.current.scrollLeft += dx;
+    window.scrollBy(0, dy);
+  }, [scale]);
+
+  // Horizontal swipes page only when there is nothing to pan in that direction
+  const canPanHorizontally = (direction) => {
+    const viewer = viewerRef.current;
+    if (!viewer) return false;
+    return direction > 0
+      ? viewer.scrollLeft + viewer.clientWidth < viewer.scrollWidth - 1
+      : viewer.scrollLeft > 0;
+  };
+
+  useViewerGestures(viewerRef, {
+    enabled: !!numPages && !showPopup,
+    previewRef: contentRef,
+    onSwipeLeft: () => {
+      if (!canPanHorizontally(1)) goToNextPage();
+    },
+    onSwipeRight: () => {
+      if (!canPanHorizontally(-1)) goToPrevPage();
+    },
+    onPinchEnd: (ratio, anchor) => {
+      if (isTelegram) hapticFeedback('selection');
+      applyZoom(ZOOM_MODES.CUSTOM, clampScale(scale * ratio), anchor);
+    },
+    onDoubleTap: (point) => {
+      if (isTelegram) hapticFeedback('selection');
+      applyZoom(zoomMode === ZOOM_MODES.FIT_WIDTH ? ZOOM_MODES.ACTUAL_SIZE : ZOOM_MODES.FIT_WIDTH, scale, point);
+    },
+  });
+
+  const openSearch = () => {
+    if (isTelegram) hapticFeedback('impact', 'medium');
+    setShowSearch(true);
+  };
+
+  useKeyboardShortcuts(
+    {
+      ArrowLeft: goToPrevPage,
+      ArrowRight: goToNextPage,
+      PageUp: goToPrevPage,
+      PageDown: goToNextPage,
+      Home: goToFirstPage,
+      End: goToLastPage,
+      '+': zoomIn,
+      '=': zoomIn,
+      '-': zoomOut,
+      '_': zoomOut,
+      '0': resetZoom,
+      '/': openSearch,
+    },
+    {
+      enabled: !!numPages &&
+        !showLibrary &&
+        !showNavigation &&
+        !showSearch &&
+        !showHighlights &&
+        !showVocabulary &&
+        !showAnkiOutbox &&
+        !showSettings &&
+        !showReview &&
+        !showStats,
+    }
+  );
+
+  // Show the page of the active search hit; the hit is scrolled into view
+  // once its text layer has been rendered with highlights
+  // (keyed by position, since results are rebuilt as indexing progresses)
+  const { activeResult, activeIndex: activeSearchIndex, getHighlights } = search;
+  const activeSearchPage = activeResult?.pageNumber;
+  useEffect(() => {
+    if (!activeSearchPage) return;
+    pendingSearchScrollRef.current = true;
+    setPageNumber(activeSearchPage);
+  }, [activeSearchPage, activeSearchIndex]);
+
+  // Text layer content: search hits take precedence over known-word underlines
+  const textRenderer = useCallback(({ str, pageNumber: page, itemIndex }) => {
+    const searchRanges = showSearch ? getHighlights(page, itemIndex) : [];
+    const knownRanges = knownWordIndex
+      ? findKnownWords(str, knownWordIndex)
+        .filter((range) => !searchRanges.some((hit) => range.start < hit.end && hit.start < range.end))
+        .map((range) => ({ ...range, className: 'known-word' }))
+      : [];
+    return markTextItem(str, [...searchRanges, ...knownRanges]);
+  }, [showSearch, getHighlights, knownWordIndex]);
+  const customTextRenderer = showSearch || knownWordIndex ? textRenderer : undefined;
+
+  const onTextLayerRendered = useCallback(() => {
+    if (!pendingSearchScrollRef.current) return;
+    const hit = viewerRef.current?.querySelector('.search-hit-active');
+    if (!hit) return;
+    pendingSearchScrollRef.current = false;
+    hit.scrollIntoView({ block: 'center', inline: 'nearest' });
+  }, []);
+
+  const closeSearch = useCallback(() => {
+    setShowSearch(false);
+    search.setQuery('');
+  }, [search.setQuery]);
+
+  const closeNavigation = useCallback(() => setShowNavigation(false), []);
+  const navigateFromPanel = useCallback((page) => {
+    setPageNumber(page);
+    setShowNavigation(false);
+  }, []);
+
+  const addHighlightFromSelection = (color) =>
+    highlights.add({ documentTitle: documentInfo?.title, anchor: selectionAnchor, color });
+
+  const editHighlightNote = (highlight) => {
+    setShowPopup(false);
+    setEditingHighlightId(highlight.id);
+    setShowHighlights(true);
+  };
+
+  const closeHighlights = useCallback(() => {
+    setShowHighlights(false);
+    setEditingHighlightId(null);
+  }, []);
+
+  const jumpToHighlight = (highlight) => {
+    setPageNumber(highlight.pageNumber);
+    closeHighlights();
+  };
+
+  const { getPageHighlights } = highlights;
+  const { sentenceAnchor: readAloudSentence, wordAnchor: readAloudWord } = readAloud;
+  const renderPageOverlay = useCallback(
+    (page) => (
+      <>
+        <HighlightLayer highlights={getPageHighlights(page)} />
+        {readAloudSentence?.pageNumber === page && (
+          <ReadAloudLayer sentence={readAloudSentence} word={readAloudWord} />
+        )}
+      </>
+    ),
+    [getPageHighlights, readAloudSentence, readAloudWord]
+  );
+
+  const closeLibrary = useCallback(() => setShowLibrary(false), []);
+  const closeParallel = useCallback(() => {
+    setShowParallel(false);
+    setParallelFocus(null);
+  }, []);
+
+  // Translate the paragraph around the current selection (word lookups stay in the popup)
+  const translateSelectedParagraph = () => {
+    if (!selectionAnchor) return;
+    setParallelFocus({ pageNumber: selectionAnchor.pageNumber, spanIndex: selectionAnchor.start.index });
+    setShowParallel(true);
+    setShowPopup(false);
+  };
+  const closeVocabulary = useCallback(() => setShowVocabulary(false), []);
+  const closeAnkiOutbox = useCallback(() => setShowAnkiOutbox(false), []);
+  const closeSettings = useCallback(() => setShowSettings(false), []);
+  const closeReview = useCallback(() => setShowReview(false), []);
+  const closeStats = useCallback(() => setShowStats(false), []);
+
+  const { stop: stopReadAloud, play: playReadAloud } = readAloud;
+  const closeReadAloud = useCallback(() => {
+    setShowReadAloud(false);
+    stopReadAloud();
+  }, [stopReadAloud]);
+  const openReadAloud = () => {
+    if (!readAloud.isSupported) {
+      showAlert("This browser can't read text aloud");
+      return;
+    }
+    setShowReadAloud(true);
+    playReadAloud();
+  };
+
+  // Jump to the page where a vocabulary entry was looked up
+  const jumpToEntry = async (entry) => {
+    if (entry.documentId === documentInfo?.id) {
+      setPageNumber(entry.pageNumber);
+      setShowVocabulary(false);
+      return;
+    }
+
+    let record = await getLibraryDocument(entry.documentId);
+    const url = getDocumentUrl(entry.documentId);
+    if (!record && url) {
+      record = await addToLibrary(url).catch(() => null);
+    }
+    if (record) {
+      openDocument(record, entry.pageNumber);
+      setShowVocabulary(false);
+      return;
+    }
+
+    showAlert(`Add "${entry.documentTitle}" to the library first to jump to page ${entry.pageNumber}`);
   };
 
   // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
   const buttonBg = themeParams?.button_color || '#3b82f6';
   const buttonText = themeParams?.button_text_color || '#ffffff';
   const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
@@ -170,30 +841,204 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
 
   return (
     <div 
-      className={`flex flex-col items-center w-full ${isTelegram ? 'px-2 py-2' : 'px-4 py-4'}`}
+      ref={rootRef}
+      className={`flex flex-col items-center w-full ${isTelegram ? 'px-2 py-2' : 'px-4 py-4'} ${
+        showParallel ? 'sm:pr-[28rem]' : ''
+      }`}
       onContextMenu={(e) => e.preventDefault()}
       style={{ WebkitTouchCallout: 'none' }}
     >
-      {/* File input */}
-      <div className={isTelegram ? 'mb-3' : 'mb-6'}>
-        <label
-          htmlFor="pdf-upload"
-          className="px-6 py-3 rounded-lg cursor-pointer transition-colors inline-block font-medium"
+      {/* Library and panels */}
+      <div className={`flex flex-wrap items-center justify-center gap-2 ${isTelegram ? 'mb-3' : 'mb-6'}`}>
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('impact', 'medium');
+            setShowLibrary(true);
+          }}
+          className="px-6 py-3 rounded-lg transition-colors font-medium"
           style={{
             backgroundColor: buttonBg,
             color: buttonText
           }}
-          onClick={() => isTelegram && hapticFeedback('impact', 'medium')}
         >
-          Open PDF
-        </label>
-        <input
-          id="pdf-upload"
-          type="file"
-          accept="application/pdf"
-          onChange={onFileChange}
-          className="hidden"
-        />
+          📚 Library
+        </button>
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('impact', 'medium');
+            setShowVocabulary(true);
+          }}
+          className="px-4 py-3 rounded-lg transition-colors font-medium"
+          style={{
+            backgroundColor: secondaryBg,
+            color: hintColor
+          }}
+          title="Vocabulary"
+        >
+          📖 Words
+        </button>
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('impact', 'medium');
+            setShowReview(true);
+          }}
+          className="relative px-4 py-3 rounded-lg transition-colors font-medium"
+          style={{
+            backgroundColor: secondaryBg,
+            color: hintColor
+          }}
+          title="Review words"
+        >
+          🗂 Review
+          {reviewDueCount > 0 && (
+            <span className="absolute -top-1.5 -right-1.5 min-w-[20px] h-5 px-1 rounded-full bg-red-500 text-white text-xs leading-5 text-center">
+              {reviewDueCount}
+            </span>
+          )}
+        </button>
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('impact', 'medium');
+            setShowStats(true);
+          }}
+          className="px-4 py-3 rounded-lg transition-colors font-medium"
+          style={{
+            backgroundColor: secondaryBg,
+            color: hintColor
+          }}
+          title="Reading statistics"
+        >
+          📊
+        </button>
+        {numPages && (
+          <button
+            onClick={() => {
+              if (isTelegram) hapticFeedback('impact', 'medium');
+              setShowNavigation(true);
+            }}
+            className="px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: secondaryBg,
+              color: hintColor
+            }}
+            title="Contents and pages"
+          >
+            ☰
+          </button>
+        )}
+        {numPages && (
+          <button
+            onClick={() => {
+              if (isTelegram) hapticFeedback('impact', 'medium');
+              setShowHighlights(true);
+            }}
+            className="px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: secondaryBg,
+              color: hintColor
+            }}
+            title="Highlights and notes"
+          >
+            🖍
+          </button>
+        )}
+        {numPages && (
+          <button
+            onClick={() => {
+              if (isTelegram) hapticFeedback('impact', 'medium');
+              if (showParallel) {
+                closeParallel();
+              } else {
+                setParallelFocus(null);
+                setShowParallel(true);
+              }
+            }}
+            className="px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: showParallel ? buttonBg : secondaryBg,
+              color: showParallel ? buttonText : hintColor
+            }}
+            title="Translate page"
+          >
+            ⇆
+          </button>
+        )}
+        {numPages && (
+          <button
+            onClick={openSearch}
+            className="px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: secondaryBg,
+              color: hintColor
+            }}
+            title="Search (/)"
+          >
+            🔍
+          </button>
+        )}
+        {numPages && (
+          <button
+            onClick={() => {
+              if (isTelegram) hapticFeedback('impact', 'medium');
+              if (showReadAloud) closeReadAloud();
+              else openReadAloud();
+            }}
+            className="px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: showReadAloud ? buttonBg : secondaryBg,
+              color: showReadAloud ? buttonText : hintColor
+            }}
+            title="Read aloud"
+          >
+            🎧
+          </button>
+        )}
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('impact', 'medium');
+            setShowSettings(true);
+          }}
+          className="px-4 py-3 rounded-lg transition-colors font-medium"
+          style={{
+            backgroundColor: secondaryBg,
+            color: hintColor
+          }}
+          title="Settings"
+        >
+          ⚙
+        </button>
+        {ankiOutbox.pendingCount > 0 && (
+          <button
+            onClick={() => {
+              if (isTelegram) hapticFeedback('impact', 'medium');
+              setShowAnkiOutbox(true);
+            }}
+            className="relative px-4 py-3 rounded-lg transition-colors font-medium"
+            style={{
+              backgroundColor: secondaryBg,
+              color: hintColor
+            }}
+            title="Pending Anki notes"
+          >
+            Anki
+            <span className="absolute -top-1.5 -right-1.5 min-w-[20px] h-5 px-1 rounded-full bg-yellow-500 text-white text-xs leading-5 text-center">
+              {ankiOutbox.pendingCount}
+            </span>
+          </button>
+        )}
+        {(!translationQueue.isOnline || translationQueue.pendingCount > 0) && (
+          <span
+            className="px-4 py-3 rounded-lg text-sm font-medium"
+            style={{
+              backgroundColor: secondaryBg,
+              color: hintColor
+            }}
+            title="Words looked up offline are translated when the connection returns"
+          >
+            {translationQueue.isOnline ? '⏳' : 'Offline'}
+            {translationQueue.pendingCount > 0 && ` · ${translationQueue.pendingCount} queued`}
+          </span>
+        )}
       </div>
 
       {/* Error message */}
@@ -203,6 +1048,16 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
         </div>
       )}
 
+      {/* Full-text search */}
+      <SearchBar
+        show={showSearch && !!numPages}
+        onClose={closeSearch}
+        search={search}
+        numPages={numPages}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
       {/* PDF Document */}
       {file && (
         <div className="flex flex-col items-center">
@@ -225,8 +1080,16 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
                 >
                   Previous
                 </button>
-                <span className={`font-medium ${isTelegram ? 'text-sm' : ''}`} style={{ color: hintColor }}>
-                  Page {pageNumber} of {numPages}
+                <span className={`flex items-center gap-1 font-medium ${isTelegram ? 'text-sm' : ''}`} style={{ color: hintColor }}>
+                  Page
+                  <PageNumberInput
+                    pageNumber={pageNumber}
+                    numPages={numPages}
+                    onChange={setPageNumber}
+                    className="px-1 py-0.5 rounded text-center outline-none"
+                    style={{ backgroundColor: 'transparent', color: hintColor, border: `1px solid ${hintColor}55` }}
+                  />
+                  of {numPages}
                 </span>
                 <button
                   onClick={goToNextPage}
@@ -248,7 +1111,7 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
               >
                 <button
                   onClick={zoomOut}
-                  disabled={scale <= 0.5}
+                  disabled={scale <= MIN_SCALE}
                   className={`${isTelegram ? 'px-2.5 py-1.5' : 'px-3 py-2'} rounded transition-opacity disabled:opacity-30 disabled:cursor-not-allowed text-lg font-bold`}
                   style={{
                     backgroundColor: buttonBg,
@@ -258,20 +1121,28 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
                 >
                   −
                 </button>
-                <button
-                  onClick={resetZoom}
-                  className={`${isTelegram ? 'px-2.5 py-1.5 text-xs' : 'px-3 py-2 text-sm'} rounded transition-opacity`}
+                <select
+                  value={zoomMode}
+                  onChange={(e) => selectZoomMode(e.target.value)}
+                  className={`${isTelegram ? 'px-1.5 py-1.5 text-xs' : 'px-2 py-2 text-sm'} rounded outline-none`}
                   style={{
                     backgroundColor: secondaryBg,
                     color: hintColor
                   }}
-                  title="Reset zoom"
+                  title="Zoom mode"
                 >
-                  {Math.round(scale * 100)}%
-                </button>
+                  {Object.entries(ZOOM_MODE_LABELS).map(([mode, label]) => (
+                    <option key={mode} value={mode}>
+                      {mode === zoomMode ? `${label} · ${Math.round(scale * 100)}%` : label}
+                    </option>
+                  ))}
+                  {zoomMode === ZOOM_MODES.CUSTOM && (
+                    <option value={ZOOM_MODES.CUSTOM}>{Math.round(scale * 100)}%</option>
+                  )}
+                </select>
                 <button
                   onClick={zoomIn}
-                  disabled={scale >= 3.0}
+                  disabled={scale >= MAX_SCALE}
                   className={`${isTelegram ? 'px-2.5 py-1.5' : 'px-3 py-2'} rounded transition-opacity disabled:opacity-30 disabled:cursor-not-allowed text-lg font-bold`}
                   style={{
                     backgroundColor: buttonBg,
@@ -282,44 +1153,250 @@ export default function PdfViewer({ isTelegram, themeParams, isDark }) {
                   +
                 </button>
               </div>
+
+              {/* View mode toggle */}
+              <button
+                onClick={toggleViewMode}
+                className={`${isTelegram ? 'px-3 py-2 text-sm' : 'px-4 py-3'} rounded-lg font-medium transition-opacity`}
+                style={{
+                  backgroundColor: secondaryBg,
+                  color: hintColor
+                }}
+                title={viewMode === VIEW_MODES.SINGLE ? 'Continuous scroll' : 'Single page'}
+              >
+                {viewMode === VIEW_MODES.SINGLE ? '↕ Scroll' : '▭ Single'}
+              </button>
             </div>
           )}
 
-          {/* PDF Document viewer */}
-          <div className="border border-gray-300 shadow-lg overflow-auto max-w-full">
-            <Document
-              file={file}
-              onLoadSuccess={onDocumentLoadSuccess}
-              onLoadError={onDocumentLoadError}
-              loading={
-                <div className="p-8 text-gray-600">Loading PDF...</div>
-              }
+          {/* PDF Document viewer, or why it failed to load */}
+          {loadError ? (
+            <div className="w-full max-w-md p-4 rounded-lg text-center" style={{ backgroundColor: secondaryBg }}>
+              <p className="font-medium mb-1 break-words" style={{ color: textColor }}>
+                Couldn't open {documentInfo ? `"${documentInfo.title}"` : 'this PDF'}
+              </p>
+              <p className="text-sm mb-4" style={{ color: hintColor }}>{loadError}</p>
+              <div className="flex gap-2 justify-center">
+                <button
+                  onClick={() => setShowLibrary(true)}
+                  className="px-4 py-2 rounded-lg font-medium"
+                  style={{ backgroundColor: bgColor, color: textColor }}
+                >
+                  Library
+                </button>
+                <button
+                  onClick={retryLoad}
+                  className="px-4 py-2 rounded-lg font-medium"
+                  style={{ backgroundColor: buttonBg, color: buttonText }}
+                >
+                  Try again
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div
+              ref={viewerRef}
+              className={`overflow-auto max-w-full ${
+                viewMode === VIEW_MODES.CONTINUOUS ? '' : 'border border-gray-300 shadow-lg'
+              }`}
+              style={{ touchAction: 'pan-x pan-y' }}
             >
-              <Page
-                pageNumber={pageNumber}
-                scale={scale}
-                renderTextLayer={true}
-                renderAnnotationLayer={true}
-              />
-            </Document>
-          </div>
+              <div ref={contentRef}>
+                <Document
+                  file={file}
+                  onLoadSuccess={onDocumentLoadSuccess}
+                  onLoadError={onDocumentLoadError}
+                  onLoadProgress={setLoadProgress}
+                  onPassword={onDocumentPassword}
+                  options={DOCUMENT_OPTIONS}
+                  error={null}
+                  loading={
+                    <LoadProgress progress={loadProgress} color={buttonBg} hintColor={hintColor} />
+                  }
+                >
+                  {viewMode === VIEW_MODES.CONTINUOUS && pdfDocument ? (
+                    <ContinuousPages
+                      key={documentInfo?.id}
+                      numPages={numPages}
+                      scale={scale}
+                      pageNumber={pageNumber}
+                      onPageChange={setPageNumber}
+                      getPageSize={getPageSize}
+                      loadedCount={loadedCount}
+                      devicePixelRatio={viewport.pixelRatio}
+                      customTextRenderer={customTextRenderer}
+                      onRenderTextLayerSuccess={onTextLayerRendered}
+                      renderPageOverlay={renderPageOverlay}
+                    />
+                  ) : (
+                    <Page
+                      pageNumber={pageNumber}
+                      scale={scale}
+                      devicePixelRatio={pixelRatio}
+                      customTextRenderer={customTextRenderer}
+                      onRenderTextLayerSuccess={onTextLayerRendered}
+                      renderTextLayer={true}
+                      renderAnnotationLayer={true}
+                    >
+                      {renderPageOverlay(pageNumber)}
+                    </Page>
+                  )}
+                </Document>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
       {/* Instructions when no file is selected */}
       {!file && !error && (
         <div className="text-gray-500 text-center mt-8">
-          <p className="text-lg">Click "Open PDF" to select a PDF file</p>
+          <p className="text-lg">Open the library to pick or add a PDF file</p>
           <p className="text-sm mt-2">The document will be displayed here</p>
         </div>
       )}
 
+      {/* Password for encrypted PDFs */}
+      <PasswordPrompt
+        show={!!passwordRequest}
+        reason={passwordRequest?.reason}
+        documentTitle={documentInfo?.title}
+        onSubmit={submitPassword}
+        onCancel={cancelPassword}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Drop target for files dragged onto the page */}
+      {isDraggingFile && (
+        <div className="fixed inset-0 z-50 p-4 pointer-events-none bg-black/40">
+          <div
+            className="w-full h-full flex items-center justify-center rounded-2xl border-4 border-dashed text-xl font-medium"
+            style={{ borderColor: buttonBg, backgroundColor: `${bgColor}cc`, color: textColor }}
+          >
+            Drop a PDF to add it to the library
+          </div>
+        </div>
+      )}
+
       {/* Translation Popup */}
       <TranslationPopup
         selectedText={selectedText}
         position={popupPosition}
         onClose={() => setShowPopup(false)}
         show={showPopup}
+        source={{
+          documentId: documentInfo?.id,
+          documentTitle: documentInfo?.title,
+          pageNumber: selectionPage || pageNumber,
+          context: selectionContext,
+        }}
+        onHighlight={selectionAnchor && documentInfo ? addHighlightFromSelection : undefined}
+        onEditNote={editHighlightNote}
+        savedEntry={savedEntry}
+        onTranslateParagraph={selectionAnchor && pdfDocument ? translateSelectedParagraph : undefined}
+      />
+
+      {/* Page / paragraph translation */}
+      <ParallelTranslationPanel
+        show={showParallel && !!pdfDocument}
+        onClose={closeParallel}
+        pdfDocument={pdfDocument}
+        pageNumber={pageNumber}
+        focus={parallelFocus}
+        onShowWholePage={() => setParallelFocus(null)}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Highlights and notes */}
+      <HighlightsPanel
+        show={showHighlights}
+        onClose={closeHighlights}
+        highlights={highlights}
+        editingId={editingHighlightId}
+        onEditingChange={setEditingHighlightId}
+        onJump={jumpToHighlight}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Outline and page thumbnails */}
+      <NavigationPanel
+        show={showNavigation && !!numPages}
+        onClose={closeNavigation}
+        onNavigate={navigateFromPanel}
+        pdfDocument={pdfDocument}
+        numPages={numPages}
+        pageNumber={pageNumber}
+        getPageSize={getPageSize}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Document library */}
+      <LibraryScreen
+        show={showLibrary}
+        onClose={closeLibrary}
+        onOpen={openDocument}
+        onAdd={addDocument}
+        onRemove={onDocumentRemoved}
+        currentDocumentId={file ? documentId : null}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Vocabulary history */}
+      <VocabularyPanel
+        show={showVocabulary}
+        onClose={closeVocabulary}
+        onJump={jumpToEntry}
+        currentDocumentId={documentInfo?.id}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Flashcard review */}
+      <ReviewScreen
+        show={showReview}
+        onClose={closeReview}
+        review={review}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Reading statistics */}
+      <StatsScreen
+        show={showStats}
+        onClose={closeStats}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Anki outbox */}
+      <AnkiOutboxPanel
+        show={showAnkiOutbox}
+        onClose={closeAnkiOutbox}
+        outbox={ankiOutbox}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Read-aloud player */}
+      <ReadAloudBar
+        show={showReadAloud && !!numPages}
+        onClose={closeReadAloud}
+        readAloud={readAloud}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+
+      {/* Pronunciation settings */}
+      <SettingsPanel
+        show={showSettings}
+        onClose={closeSettings}
+        themeParams={themeParams}
+        isDark={isDark}
       />
     </div>
   );
@@ -0,0 +1,97 @@
+import { useEffect } from 'react';
+import { READ_ALOUD_STATUS } from '../hooks/useReadAloud';
+import { hapticFeedback, isTelegramEnvironment, showBackButton, hideBackButton } from '../telegram/telegramApp';
+
+// Speeds offered by the speed button, in the order they cycle
+const RATES = [0.75, 1, 1.25, 1.5, 2];
+
+export default function ReadAloudBar({ show, onClose, readAloud, themeParams, isDark }) {
+  const { status, position, sentenceCount, notice, rate, setRate, play, pause, next, prev } = readAloud;
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the player
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+
+  const isPlaying = status === READ_ALOUD_STATUS.PLAYING;
+
+  const withHaptic = (action) => () => {
+    if (isTelegram) hapticFeedback('selection');
+    action();
+  };
+
+  const cycleRate = () => {
+    const index = RATES.indexOf(rate);
+    setRate(RATES[(index + 1) % RATES.length]);
+  };
+
+  let caption = notice;
+  if (!caption && position) {
+    caption = sentenceCount > 0
+      ? `Page ${position.pageNumber} · ${Math.min(position.sentenceIndex + 1, sentenceCount)} / ${sentenceCount}`
+      : `Page ${position.pageNumber}`;
+  }
+  if (!caption) caption = 'Tap a sentence to start reading from it';
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 flex items-center gap-1 px-2 py-2 rounded-full shadow-2xl"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <button
+        onClick={withHaptic(prev)}
+        disabled={!position}
+        className="w-9 h-9 rounded-full text-lg disabled:opacity-30"
+        title="Previous sentence"
+      >
+        ⏮
+      </button>
+      <button
+        onClick={withHaptic(isPlaying ? pause : play)}
+        className="w-11 h-11 rounded-full text-lg"
+        style={{ backgroundColor: buttonBg, color: buttonText }}
+        title={isPlaying ? 'Pause' : 'Play'}
+      >
+        {isPlaying ? '⏸' : '▶'}
+      </button>
+      <button
+        onClick={withHaptic(next)}
+        disabled={!position}
+        className="w-9 h-9 rounded-full text-lg disabled:opacity-30"
+        title="Next sentence"
+      >
+        ⏭
+      </button>
+      <button
+        onClick={withHaptic(cycleRate)}
+        className="min-w-[3rem] h-9 px-2 rounded-full text-sm font-medium tabular-nums"
+        title="Speed"
+      >
+        {rate}×
+      </button>
+      <span className="px-2 text-xs max-w-[10rem] truncate" style={{ color: hintColor }}>
+        {caption}
+      </span>
+      {!isTelegram && (
+        <button onClick={onClose} className="w-8 h-8 text-xl leading-none" style={{ color: hintColor }} title="Close">
+          ×
+        </button>
+      )}
+    </div>
+  );
+}
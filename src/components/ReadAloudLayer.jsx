@@ -0,0 +1,80 @@
+import { useEffect, useRef, useState } from 'react';
+import { getAnchorRects } from '../utils/textAnchors';
+
+const SENTENCE_FILL = 'rgba(59, 130, 246, 0.18)';
+const WORD_FILL = 'rgba(59, 130, 246, 0.45)';
+
+/**
+ * Read-aloud overlay for one page: the sentence being read and the spoken word
+ * Rectangles are resolved from the text layer like highlights; the sentence is kept on screen
+ */
+export default function ReadAloudLayer({ sentence, word }) {
+  const layerRef = useRef(null);
+  const sentenceRef = useRef(null);
+  // `measured` is the sentence the rects belong to
+  const [rects, setRects] = useState({ measured: null, sentence: [], word: [] });
+
+  useEffect(() => {
+    const layer = layerRef.current;
+    const pageElement = layer?.parentElement;
+    if (!pageElement || !sentence) {
+      setRects({ measured: null, sentence: [], word: [] });
+      return;
+    }
+
+    let frameId = null;
+    const measure = () => {
+      frameId = null;
+      const sentenceRects = getAnchorRects(pageElement, sentence) || [];
+      setRects({
+        measured: sentenceRects.length > 0 ? sentence : null,
+        sentence: sentenceRects,
+        word: (word && getAnchorRects(pageElement, word)) || [],
+      });
+    };
+    const scheduleMeasure = () => {
+      if (frameId === null) frameId = requestAnimationFrame(measure);
+    };
+
+    // The text layer fills in asynchronously and is rebuilt on zoom and search
+    const observer = new MutationObserver((mutations) => {
+      if (mutations.some((mutation) => !layer.contains(mutation.target))) scheduleMeasure();
+    });
+    observer.observe(pageElement, { childList: true, subtree: true });
+    scheduleMeasure();
+
+    return () => {
+      observer.disconnect();
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [sentence, word]);
+
+  // Follow the reading: bring a new sentence into view once it has been measured
+  useEffect(() => {
+    if (rects.measured) sentenceRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [rects.measured]);
+
+  const toStyle = (rect, fill) => ({
+    left: `${rect.left * 100}%`,
+    top: `${rect.top * 100}%`,
+    width: `${rect.width * 100}%`,
+    height: `${rect.height * 100}%`,
+    backgroundColor: fill,
+  });
+
+  return (
+    <div ref={layerRef} className="absolute inset-0 pointer-events-none" style={{ mixBlendMode: 'multiply' }}>
+      {rects.sentence.map((rect, index) => (
+        <div
+          key={`sentence-${index}`}
+          ref={index === 0 ? sentenceRef : undefined}
+          className="absolute rounded-sm"
+          style={toStyle(rect, SENTENCE_FILL)}
+        />
+      ))}
+      {rects.word.map((rect, index) => (
+        <div key={`word-${index}`} className="absolute rounded-sm" style={toStyle(rect, WORD_FILL)} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSpeech } from '../hooks/useSpeech';
+import { GRADES, formatInterval } from '../utils/srs';
+import ContextSentence from './ContextSentence';
+import DictionarySenses from './DictionarySenses';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showMainButton,
+  hideMainButton,
+} from '../telegram/telegramApp';
+
+const GRADE_BUTTONS = [
+  { grade: GRADES.AGAIN, label: 'Again', color: '#ef4444', key: '1' },
+  { grade: GRADES.HARD, label: 'Hard', color: '#f59e0b', key: '2' },
+  { grade: GRADES.GOOD, label: 'Good', color: '#22c55e', key: '3' },
+  { grade: GRADES.EASY, label: 'Easy', color: '#3b82f6', key: '4' },
+];
+
+function Stat({ value, label, hintColor }) {
+  return (
+    <div className="flex flex-col items-center">
+      <span className="text-2xl font-semibold tabular-nums">{value}</span>
+      <span className="text-xs" style={{ color: hintColor }}>{label}</span>
+    </div>
+  );
+}
+
+/**
+ * Full-screen flashcard review
+ * The front shows the word, the back its translation, senses and the sentence it was met in.
+ * In Telegram the MainButton shows the answer and then moves on (grading "Good")
+ *
+ * @param {Object} props
+ * @param {boolean} props.show - Whether the screen is open
+ * @param {function(): void} props.onClose - Close the screen
+ * @param {Object} props.review - Value of useReview()
+ */
+export default function ReviewScreen({ show, onClose, review, themeParams, isDark }) {
+  const { isLoading, card, counts, stats, previews, nextDueAt, grade, refresh } = review;
+  const { isSupported: canSpeak, speakingId, speak, stop } = useSpeech();
+  const [revealed, setRevealed] = useState(false);
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the review
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  // Pick up cards that became due since the last visit
+  useEffect(() => {
+    if (show) refresh();
+    else stop();
+  }, [show, refresh, stop]);
+
+  // Every card starts with its front
+  const cardKey = card ? `${card.id}:${card.reps}` : null;
+  useEffect(() => {
+    setRevealed(false);
+    stop();
+  }, [cardKey, stop]);
+
+  // Nothing left for now: come back when the next learning card is due
+  useEffect(() => {
+    if (!show || card || !nextDueAt) return;
+    const timer = setTimeout(refresh, Math.max(0, nextDueAt - Date.now()) + 500);
+    return () => clearTimeout(timer);
+  }, [show, card, nextDueAt, refresh]);
+
+  const reveal = useCallback(() => {
+    if (isTelegram) hapticFeedback('selection');
+    setRevealed(true);
+  }, [isTelegram]);
+
+  const handleGrade = useCallback((value) => {
+    if (isTelegram) hapticFeedback('impact', value === GRADES.AGAIN ? 'heavy' : 'light');
+    grade(value);
+  }, [isTelegram, grade]);
+
+  const advance = useCallback(() => {
+    if (revealed) handleGrade(GRADES.GOOD);
+    else reveal();
+  }, [revealed, handleGrade, reveal]);
+
+  // Telegram MainButton: "Show answer", then "Next"
+  useEffect(() => {
+    if (!show || !isTelegram || !card) return;
+    showMainButton(revealed ? 'Next' : 'Show answer', advance);
+    return () => hideMainButton(advance);
+  }, [show, isTelegram, card, revealed, advance]);
+
+  // Keyboard: space/enter to reveal and continue, 1-4 to grade
+  useEffect(() => {
+    if (!show || !card) return;
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, select, textarea')) return;
+      if (event.key === ' ' || event.key === 'Enter') {
+        event.preventDefault();
+        advance();
+        return;
+      }
+      const button = revealed && GRADE_BUTTONS.find((item) => item.key === event.key);
+      if (button) handleGrade(button.grade);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [show, card, revealed, advance, handleGrade]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+  const buttonText = themeParams?.button_text_color || '#ffffff';
+
+  const dictionary = card?.dictionary;
+  const speechId = card ? `review:${card.id}` : null;
+  const isSpeaking = speechId && speakingId === speechId;
+
+  const toggleSpeech = () => {
+    if (isTelegram) hapticFeedback('selection');
+    if (isSpeaking) stop();
+    else speak(card.text, { id: speechId, lang: card.sourceLang });
+  };
+
+  const renderDone = () => {
+    if (stats.total === 0) {
+      return (
+        <div className="text-center py-12" style={{ color: hintColor }}>
+          <p className="text-lg">Nothing to review yet</p>
+          <p className="text-sm mt-2">Words you look up while reading become review cards</p>
+        </div>
+      );
+    }
+
+    const accuracy = stats.reviewed > 0 ? `${Math.round((stats.correct / stats.reviewed) * 100)}%` : '—';
+    return (
+      <div className="flex flex-col items-center gap-6 py-12 text-center">
+        <div>
+          <p className="text-lg font-medium">All done for now</p>
+          <p className="text-sm mt-1" style={{ color: hintColor }}>
+            {nextDueAt
+              ? `More cards in ${formatInterval(nextDueAt, Date.now())}`
+              : 'Come back tomorrow for the next reviews'}
+          </p>
+        </div>
+        <div className="grid grid-cols-4 gap-4 w-full max-w-sm rounded-lg px-3 py-4" style={{ backgroundColor: secondaryBg }}>
+          <Stat value={stats.reviewed} label="reviewed" hintColor={hintColor} />
+          <Stat value={accuracy} label="correct" hintColor={hintColor} />
+          <Stat value={stats.learned} label="new words" hintColor={hintColor} />
+          <Stat value={stats.streak} label={stats.streak === 1 ? 'day streak' : 'days streak'} hintColor={hintColor} />
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex flex-col"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <div className="flex items-center justify-between gap-2 px-4 pt-4 pb-3">
+        <h2 className="text-lg font-semibold">Review</h2>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-2 text-sm font-medium tabular-nums" title="New · Learning · Due">
+            <span style={{ color: '#3b82f6' }}>{counts.new}</span>
+            <span style={{ color: '#ef4444' }}>{counts.learning}</span>
+            <span style={{ color: '#22c55e' }}>{counts.review}</span>
+          </div>
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none px-1" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 pb-4">
+        {!isLoading && !card && renderDone()}
+
+        {card && (
+          <div className="max-w-lg mx-auto flex flex-col gap-4 pt-6">
+            <div className="flex flex-col items-center gap-1 text-center">
+              <div className="flex items-center gap-2">
+                <span className="text-3xl font-semibold break-words">{card.text}</span>
+                {canSpeak && (
+                  <button
+                    onClick={toggleSpeech}
+                    className="w-9 h-9 rounded-full text-lg"
+                    style={{ color: isSpeaking ? linkColor : hintColor }}
+                    title={isSpeaking ? 'Stop' : 'Pronounce'}
+                  >
+                    🔊
+                  </button>
+                )}
+              </div>
+              {revealed && dictionary?.transcription && (
+                <span className="text-sm" style={{ color: hintColor }}>/{dictionary.transcription}/</span>
+              )}
+            </div>
+
+            {revealed && (
+              <div className="flex flex-col gap-3 rounded-lg p-4" style={{ backgroundColor: secondaryBg }}>
+                <div>
+                  <div className="text-xl font-medium break-words">{card.translation}</div>
+                  {(dictionary?.partOfSpeech || dictionary?.lemma) && (
+                    <div className="text-xs mt-1" style={{ color: hintColor }}>
+                      {[dictionary.partOfSpeech, dictionary.lemma && `base form: ${dictionary.lemma}`]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  )}
+                  <DictionarySenses
+                    senses={dictionary?.senses}
+                    translation={card.translation}
+                    partOfSpeech={dictionary?.partOfSpeech}
+                  />
+                </div>
+                {card.context && (
+                  <div>
+                    <ContextSentence sentence={card.context} text={card.text} className="text-sm italic" />
+                    {card.documentTitle && (
+                      <div className="text-xs mt-1 truncate" style={{ color: hintColor }}>
+                        {card.documentTitle}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {card && (
+        <div className="px-4 pb-4 pt-2">
+          {revealed ? (
+            <div className="grid grid-cols-4 gap-2 max-w-lg mx-auto">
+              {GRADE_BUTTONS.map((button) => (
+                <button
+                  key={button.grade}
+                  onClick={() => handleGrade(button.grade)}
+                  className="flex flex-col items-center py-2 rounded-lg"
+                  style={{ backgroundColor: secondaryBg }}
+                >
+                  <span className="text-sm font-medium" style={{ color: button.color }}>{button.label}</span>
+                  <span className="text-xs tabular-nums" style={{ color: hintColor }}>{previews?.[button.grade]}</span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            !isTelegram && (
+              <button
+                onClick={reveal}
+                className="block w-full max-w-lg mx-auto py-3 rounded-lg font-medium"
+                style={{ backgroundColor: buttonBg, color: buttonText }}
+              >
+                Show answer
+              </button>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useEffect, useRef, useState } from 'react';
+import { hapticFeedback, isTelegramEnvironment, showBackButton, hideBackButton } from '../telegram/telegramApp';
+
+// Common words can match thousands of times; the list shows the first ones
+const MAX_LISTED_RESULTS = 200;
+
+export default function SearchBar({ show, onClose, search, numPages, themeParams, isDark }) {
+  const { query, setQuery, results, activeIndex, goToResult, next, prev, indexedCount, isIndexing } = search;
+  const [showResults, setShowResults] = useState(false);
+  const inputRef = useRef(null);
+  const isTelegram = isTelegramEnvironment();
+
+  // Focus the field when the bar opens
+  useEffect(() => {
+    if (show) inputRef.current?.focus();
+  }, [show]);
+
+  // Telegram back button closes the search
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (isTelegram) hapticFeedback('selection');
+      if (event.shiftKey) prev();
+      else next();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  const handleSelect = (index) => {
+    if (isTelegram) hapticFeedback('selection');
+    goToResult(index);
+    setShowResults(false);
+  };
+
+  const counter = results.length > 0 ? `${activeIndex + 1} / ${results.length}` : query.trim() ? '0' : '';
+
+  return (
+    <div
+      className="sticky top-0 z-20 w-full max-w-2xl mb-3 rounded-lg shadow-lg"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <div className="flex items-center gap-2 p-2">
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setShowResults(true);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search in document"
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg text-sm outline-none"
+          style={{ backgroundColor: secondaryBg, color: textColor }}
+        />
+        <span className="text-xs tabular-nums shrink-0" style={{ color: hintColor }}>
+          {counter}
+        </span>
+        <button
+          onClick={prev}
+          disabled={results.length === 0}
+          className="px-2 py-1 text-lg leading-none disabled:opacity-30"
+          style={{ color: linkColor }}
+          title="Previous match (Shift+Enter)"
+        >
+          ↑
+        </button>
+        <button
+          onClick={next}
+          disabled={results.length === 0}
+          className="px-2 py-1 text-lg leading-none disabled:opacity-30"
+          style={{ color: linkColor }}
+          title="Next match (Enter)"
+        >
+          ↓
+        </button>
+        <button
+          onClick={() => setShowResults((prevShow) => !prevShow)}
+          disabled={results.length === 0}
+          className="px-2 py-1 text-sm disabled:opacity-30"
+          style={{ color: linkColor }}
+          title="All matches"
+        >
+          ☰
+        </button>
+        {!isTelegram && (
+          <button onClick={onClose} className="text-xl leading-none px-1" style={{ color: hintColor }} title="Close">
+            ×
+          </button>
+        )}
+      </div>
+
+      {isIndexing && (
+        <div className="px-3 pb-2 text-xs" style={{ color: hintColor }}>
+          Indexing pages… {indexedCount} / {numPages}
+        </div>
+      )}
+
+      {showResults && results.length > 0 && (
+        <ul className="max-h-[50vh] overflow-y-auto px-2 pb-2 flex flex-col gap-1">
+          {results.slice(0, MAX_LISTED_RESULTS).map((result, index) => (
+            <li key={`${result.pageNumber}-${index}`}>
+              <button
+                onClick={() => handleSelect(index)}
+                className="w-full text-left rounded-lg px-3 py-2 text-sm"
+                style={{ backgroundColor: index === activeIndex ? secondaryBg : 'transparent' }}
+              >
+                <span className="text-xs mr-2" style={{ color: hintColor }}>
+                  p. {result.pageNumber}
+                </span>
+                {result.snippet.before}
+                <mark className="rounded px-0.5 bg-yellow-300 text-black">{result.snippet.match}</mark>
+                {result.snippet.after}
+              </button>
+            </li>
+          ))}
+          {results.length > MAX_LISTED_RESULTS && (
+            <li className="px-3 py-2 text-xs" style={{ color: hintColor }}>
+              {results.length - MAX_LISTED_RESULTS} more matches — use ↑ ↓ to step through them
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import { useReaderSettings } from '../hooks/useReaderSettings';
+import { useLanguagePreferences } from '../hooks/useLanguagePreferences';
+import { useSpeech } from '../hooks/useSpeech';
+import { DEFAULT_SETTINGS } from '../storage/settingsStore';
+import { clearTranslationCache } from '../storage/translationCache';
+import { LANGUAGES } from '../constants/languages';
+import { getVoicesForLanguage } from '../utils/speech';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+// Phrase spoken by the "Test" button in each language
+const SAMPLE_PHRASES = {
+  en: 'The quick brown fox jumps over the lazy dog.',
+  de: 'Ich lese jeden Abend ein Kapitel.',
+  fr: 'Je lis un chapitre chaque soir.',
+  es: 'Leo un capítulo cada noche.',
+  it: 'Leggo un capitolo ogni sera.',
+  ru: 'Каждый вечер я читаю одну главу.',
+};
+
+const SPEECH_RANGE = { min: 0.5, max: 2, step: 0.1 };
+
+function SliderRow({ label, value, onChange, hintColor, linkColor }) {
+  return (
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="flex items-center justify-between">
+        {label}
+        <span className="text-xs tabular-nums" style={{ color: hintColor }}>
+          {value.toFixed(1)}×
+        </span>
+      </span>
+      <input
+        type="range"
+        min={SPEECH_RANGE.min}
+        max={SPEECH_RANGE.max}
+        step={SPEECH_RANGE.step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ accentColor: linkColor }}
+      />
+    </label>
+  );
+}
+
+export default function SettingsPanel({ show, onClose, themeParams, isDark }) {
+  const { settings, updateSettings } = useReaderSettings();
+  const { sourceLang } = useLanguagePreferences();
+  const { isSupported, voices, speakingId, speak, stop } = useSpeech();
+  // Voices are chosen per language; start with the language being read
+  const [voiceLang, setVoiceLang] = useState(sourceLang);
+  const [isCacheCleared, setIsCacheCleared] = useState(false);
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the sheet
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  // Reopening follows the current source language
+  useEffect(() => {
+    if (show) setVoiceLang(sourceLang);
+    else stop();
+  }, [show, sourceLang, stop]);
+
+  useEffect(() => {
+    if (!show) setIsCacheCleared(false);
+  }, [show]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const languageVoices = getVoicesForLanguage(voices, voiceLang);
+  const selectedVoice = settings.speechVoices[voiceLang] || '';
+
+  const selectVoice = (voiceURI) => {
+    const speechVoices = { ...settings.speechVoices };
+    if (voiceURI) speechVoices[voiceLang] = voiceURI;
+    else delete speechVoices[voiceLang];
+    updateSettings({ speechVoices });
+  };
+
+  const testVoice = () => {
+    if (isTelegram) hapticFeedback('selection');
+    if (speakingId) stop();
+    else speak(SAMPLE_PHRASES[voiceLang], { lang: voiceLang });
+  };
+
+  const resetSpeech = () => {
+    if (isTelegram) hapticFeedback('impact', 'light');
+    updateSettings({
+      speechVoices: DEFAULT_SETTINGS.speechVoices,
+      speechRate: DEFAULT_SETTINGS.speechRate,
+      speechPitch: DEFAULT_SETTINGS.speechPitch,
+    });
+  };
+
+  const clearCache = () => {
+    showConfirm('Clear cached translations? Words and paragraphs will be translated again.', async (confirmed) => {
+      if (!confirmed) return;
+      if (isTelegram) hapticFeedback('notification', 'success');
+      await clearTranslationCache();
+      setIsCacheCleared(true);
+    });
+  };
+
+  const fieldStyle = { backgroundColor: secondaryBg, color: textColor };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end sm:items-stretch sm:justify-end" data-selection-ignore>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      {/* Bottom sheet on phones, side panel on wider screens */}
+      <div
+        className="relative flex flex-col w-full sm:w-96 max-h-[85vh] sm:max-h-none sm:h-full rounded-t-2xl sm:rounded-none shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <div className="flex items-center justify-between px-4 pt-3 pb-3">
+          <h2 className="text-lg font-semibold">Settings</h2>
+          {!isTelegram && (
+            <button onClick={onClose} className="text-xl leading-none" style={{ color: hintColor }} title="Close">
+              ×
+            </button>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 pb-4 flex flex-col gap-4">
+          <section className="flex flex-col gap-3">
+            <h3 className="text-sm font-semibold">Pronunciation</h3>
+
+            {!isSupported && (
+              <p className="text-sm" style={{ color: hintColor }}>
+                This browser can't speak text. Words with recorded audio from the server still play.
+              </p>
+            )}
+
+            {isSupported && (
+              <>
+                <label className="flex flex-col gap-1 text-sm">
+                  Language
+                  <select
+                    value={voiceLang}
+                    onChange={(e) => setVoiceLang(e.target.value)}
+                    className="w-full rounded-lg px-3 py-2 text-sm outline-none"
+                    style={fieldStyle}
+                  >
+                    {LANGUAGES.map((lang) => (
+                      <option key={lang.code} value={lang.code}>
+                        {lang.flag} {lang.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <label className="flex flex-col gap-1 text-sm">
+                  Voice
+                  <select
+                    value={selectedVoice}
+                    onChange={(e) => selectVoice(e.target.value)}
+                    className="w-full rounded-lg px-3 py-2 text-sm outline-none"
+                    style={fieldStyle}
+                  >
+                    <option value="">Automatic</option>
+                    {languageVoices.map((voice) => (
+                      <option key={voice.voiceURI} value={voice.voiceURI}>
+                        {voice.name} ({voice.lang})
+                      </option>
+                    ))}
+                  </select>
+                  {languageVoices.length === 0 && (
+                    <span className="text-xs" style={{ color: hintColor }}>
+                      No voice for this language is installed; the browser will try its default voice
+                    </span>
+                  )}
+                </label>
+
+                <SliderRow
+                  label="Speed"
+                  value={settings.speechRate}
+                  onChange={(speechRate) => updateSettings({ speechRate })}
+                  hintColor={hintColor}
+                  linkColor={linkColor}
+                />
+                <SliderRow
+                  label="Pitch"
+                  value={settings.speechPitch}
+                  onChange={(speechPitch) => updateSettings({ speechPitch })}
+                  hintColor={hintColor}
+                  linkColor={linkColor}
+                />
+
+                <div className="flex items-center justify-between text-sm">
+                  <button onClick={resetSpeech} style={{ color: hintColor }}>
+                    Reset
+                  </button>
+                  <button onClick={testVoice} className="font-medium" style={{ color: linkColor }}>
+                    {speakingId ? 'Stop' : '🔊 Test'}
+                  </button>
+                </div>
+              </>
+            )}
+          </section>
+
+          <section className="flex flex-col gap-2">
+            <h3 className="text-sm font-semibold">Translation cache</h3>
+            <p className="text-sm" style={{ color: hintColor }}>
+              Translations are kept for 30 days, so repeated lookups work offline. Your vocabulary is not affected.
+            </p>
+            <div className="flex items-center justify-between text-sm">
+              <span style={{ color: hintColor }}>{isCacheCleared ? 'Cache cleared' : ''}</span>
+              <button
+                onClick={clearCache}
+                disabled={isCacheCleared}
+                className="font-medium"
+                style={{ color: isCacheCleared ? hintColor : linkColor }}
+              >
+                Clear cache
+              </button>
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
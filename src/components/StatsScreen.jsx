@@ -0,0 +1,235 @@
+import { useEffect } from 'react';
+import { useReadingStats } from '../hooks/useReadingStats';
+import { formatDuration } from '../utils/readingStats';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+function formatDay(day) {
+  return new Date(day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function Stat({ value, label, hintColor }) {
+  return (
+    <div className="flex flex-col items-center text-center">
+      <span className="text-xl font-semibold tabular-nums">{value}</span>
+      <span className="text-xs" style={{ color: hintColor }}>{label}</span>
+    </div>
+  );
+}
+
+/**
+ * New words per day as a bar chart; today is the last bar
+ */
+function NewWordsChart({ chart, barColor, hintColor }) {
+  const max = Math.max(1, ...chart.map((item) => item.newWords));
+  const total = chart.reduce((sum, item) => sum + item.newWords, 0);
+
+  return (
+    <div>
+      <div className="flex items-end gap-0.5 h-28">
+        {chart.map((item) => (
+          <div
+            key={item.day}
+            className="flex-1 rounded-t-sm"
+            style={{
+              height: item.newWords > 0 ? `${Math.max(4, (item.newWords / max) * 100)}%` : '2px',
+              backgroundColor: item.newWords > 0 ? barColor : hintColor,
+              opacity: item.newWords > 0 ? 1 : 0.3,
+            }}
+            title={`${formatDay(item.day)}: ${plural(item.newWords, 'new word')}`}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 text-xs" style={{ color: hintColor }}>
+        <span>{formatDay(chart[0].day)}</span>
+        <span>{plural(total, 'word')} in {chart.length} days</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
+
+export default function StatsScreen({ show, onClose, themeParams, isDark }) {
+  const stats = useReadingStats({ enabled: show });
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the dashboard
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const buttonBg = themeParams?.button_color || '#3b82f6';
+
+  const { today, streak, longestStreak, chart, recentDays, documents, sessions, totalWords } = stats;
+  const isEmpty = !stats.isLoading && recentDays.length === 0 && totalWords === 0;
+
+  const handleClear = () => {
+    showConfirm('Reset reading statistics? Your vocabulary is kept.', async (confirmed) => {
+      if (!confirmed) return;
+      if (isTelegram) hapticFeedback('notification', 'warning');
+      await stats.clearAll();
+    });
+  };
+
+  const sectionStyle = { backgroundColor: secondaryBg };
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex flex-col"
+      style={{ backgroundColor: bgColor, color: textColor }}
+      data-selection-ignore
+    >
+      <div className="flex items-center justify-between gap-2 px-4 pt-4 pb-3">
+        <h2 className="text-lg font-semibold">Statistics</h2>
+        {!isTelegram && (
+          <button onClick={onClose} className="text-xl leading-none px-1" style={{ color: hintColor }} title="Close">
+            ×
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 pb-4">
+        {isEmpty && (
+          <div className="text-center py-12" style={{ color: hintColor }}>
+            <p className="text-lg">No reading yet</p>
+            <p className="text-sm mt-2">Reading time, pages and looked-up words show up here</p>
+          </div>
+        )}
+
+        {!stats.isLoading && !isEmpty && (
+          <div className="max-w-2xl mx-auto flex flex-col gap-4">
+            <section className="rounded-lg p-4" style={sectionStyle}>
+              <h3 className="text-sm font-semibold mb-3">Today</h3>
+              <div className="grid grid-cols-4 gap-2">
+                <Stat value={formatDuration(today.readingMs)} label="reading" hintColor={hintColor} />
+                <Stat value={today.pagesRead} label="pages" hintColor={hintColor} />
+                <Stat value={today.lookups} label="lookups" hintColor={hintColor} />
+                <Stat value={today.newWords} label="new words" hintColor={hintColor} />
+              </div>
+            </section>
+
+            <section className="rounded-lg p-4" style={sectionStyle}>
+              <div className="grid grid-cols-3 gap-2">
+                <Stat value={`🔥 ${streak}`} label={streak === 1 ? 'day streak' : 'days streak'} hintColor={hintColor} />
+                <Stat value={longestStreak} label="best streak" hintColor={hintColor} />
+                <Stat value={totalWords} label="words in total" hintColor={hintColor} />
+              </div>
+            </section>
+
+            <section className="rounded-lg p-4" style={sectionStyle}>
+              <h3 className="text-sm font-semibold mb-3">New words</h3>
+              <NewWordsChart chart={chart} barColor={buttonBg} hintColor={hintColor} />
+            </section>
+
+            {recentDays.length > 0 && (
+              <section className="rounded-lg p-4" style={sectionStyle}>
+                <h3 className="text-sm font-semibold mb-2">Recent days</h3>
+                <ul className="flex flex-col divide-y divide-black/10">
+                  {recentDays.map((day) => (
+                    <li key={day.day} className="py-2">
+                      <div className="flex items-baseline justify-between gap-2 text-sm">
+                        <span className="font-medium">{formatDay(day.day)}</span>
+                        <span className="tabular-nums" style={{ color: hintColor }}>
+                          {formatDuration(day.readingMs)} · {plural(day.pagesRead, 'page')}
+                        </span>
+                      </div>
+                      {day.documents.map((document) => (
+                        <div
+                          key={document.documentId}
+                          className="flex items-baseline justify-between gap-2 text-xs mt-0.5"
+                          style={{ color: hintColor }}
+                        >
+                          <span className="truncate">{document.title}</span>
+                          <span className="shrink-0 tabular-nums">
+                            {plural(document.pagesRead, 'page')} · {formatDuration(document.readingMs)}
+                          </span>
+                        </div>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {documents.length > 0 && (
+              <section className="rounded-lg p-4" style={sectionStyle}>
+                <h3 className="text-sm font-semibold mb-2">Documents</h3>
+                <ul className="flex flex-col divide-y divide-black/10">
+                  {documents.map((document) => (
+                    <li key={document.documentId} className="py-2">
+                      <div className="text-sm font-medium truncate">{document.title}</div>
+                      <div className="text-xs mt-0.5" style={{ color: hintColor }}>
+                        {formatDuration(document.readingMs)} · {plural(document.pagesRead, 'page')} read
+                        {document.pagesRead > 0 && (
+                          <>
+                            {' · '}{formatDuration(document.readingMs / document.pagesRead)} per page
+                            {' · '}{(document.lookups / document.pagesRead).toFixed(1)} lookups per page
+                          </>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {sessions.length > 0 && (
+              <section className="rounded-lg p-4" style={sectionStyle}>
+                <h3 className="text-sm font-semibold mb-2">Sessions</h3>
+                <ul className="flex flex-col divide-y divide-black/10">
+                  {sessions.map((session) => (
+                    <li key={session.id} className="py-2">
+                      <div className="flex items-baseline justify-between gap-2 text-sm">
+                        <span className="truncate">{session.title}</span>
+                        <span className="shrink-0 text-xs" style={{ color: hintColor }}>
+                          {formatTime(session.startedAt)}
+                        </span>
+                      </div>
+                      <div className="text-xs mt-0.5" style={{ color: hintColor }}>
+                        {formatDuration(session.readingMs)} · {plural(session.pagesRead, 'page')}
+                        {' · '}{plural(session.lookups, 'lookup')} · {plural(session.uniqueWords, 'unique word')}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            <button onClick={handleClear} className="self-center text-sm py-2" style={{ color: hintColor }}>
+              Reset statistics
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
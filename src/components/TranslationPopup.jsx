@@ -1,20 +1,60 @@
 import { useEffect, useRef, useState } from 'react';
 import { useTranslation } from '../hooks/useTranslation';
+import { useSpeech } from '../hooks/useSpeech';
+import { useLanguagePreferences } from '../hooks/useLanguagePreferences';
+import { getLanguage } from '../constants/languages';
+import { HIGHLIGHT_COLORS } from '../constants/highlightColors';
 import { hapticFeedback, isTelegramEnvironment } from '../telegram/telegramApp';
+import LanguagePicker from './LanguagePicker';
+import ContextSentence from './ContextSentence';
+import DictionarySenses from './DictionarySenses';
 
-export default function TranslationPopup({ selectedText, position, onClose, show }) {
+export default function TranslationPopup({
+  selectedText,
+  position,
+  onClose,
+  show,
+  source,
+  onHighlight,
+  onEditNote,
+  savedEntry,
+  onTranslateParagraph,
+}) {
   const popupRef = useRef(null);
-  const [sourceLang, setSourceLang] = useState('en');
-  const [targetLang, setTargetLang] = useState('ru');
+  // Highlight created from this selection (null until a color is picked)
+  const [highlight, setHighlight] = useState(null);
+  // Saved vocabulary translation is shown without a request until the user asks for a new one
+  const [showSaved, setShowSaved] = useState(true);
+  const saved = showSaved ? savedEntry : null;
+  const { sourceLang, targetLang, setSourceLang, setTargetLang, swapLanguages } = useLanguagePreferences();
   const isTelegram = isTelegramEnvironment();
 
   // Use translation hook (now includes automatic Anki integration)
-  const { translation, isLoading, error, ankiStatus, reset } = useTranslation(selectedText, {
+  const {
+    translation,
+    dictionary,
+    audio,
+    languagePair,
+    isLoading,
+    error,
+    ankiStatus,
+    isCached,
+    isQueued,
+    attempt,
+    maxAttempts,
+    retry,
+    refresh,
+    reset,
+  } = useTranslation(selectedText, {
     sourceLang,
     targetLang,
-    enabled: show,
+    source,
+    enabled: show && !saved,
   });
   
+  const speech = useSpeech();
+  const { stop: stopSpeaking } = speech;
+
   // Haptic feedback on show
   useEffect(() => {
     if (show && isTelegram) {
@@ -46,13 +86,52 @@ export default function TranslationPopup({ selectedText, position, onClose, show
   useEffect(() => {
     if (!show) {
       reset();
+      stopSpeaking();
+    }
+  }, [show, reset, stopSpeaking]);
+
+  // A new selection starts without a highlight
+  useEffect(() => {
+    setHighlight(null);
+    setShowSaved(true);
+  }, [selectedText, show]);
+
+  // Changing the language pair asks the backend instead of showing the saved pair
+  const withFreshTranslation = (handler) => (...args) => {
+    setShowSaved(false);
+    handler(...args);
+  };
+
+  const handleHighlight = async (color) => {
+    if (isTelegram) hapticFeedback('impact', 'light');
+    try {
+      setHighlight(await onHighlight(color));
+    } catch (err) {
+      console.error('Failed to save highlight:', err);
     }
-  }, [show, reset]);
+  };
 
   if (!show || !selectedText) {
     return null;
   }
 
+  const sourceLanguage = getLanguage(saved?.sourceLang || languagePair?.sourceLang || sourceLang);
+  // Dictionary details of whatever translation is on screen (absent for plain translations)
+  const entry = saved ? saved.dictionary : !isLoading && !error ? dictionary : null;
+  // Recorded audio is only kept for the fresh response; saved words are spoken by the browser
+  const recorded = saved ? null : audio;
+  const context = source?.context && source.context !== selectedText ? source.context : null;
+
+  const togglePronunciation = (id, text, audioUrl) => {
+    if (isTelegram) hapticFeedback('selection');
+    if (speech.speakingId === id) {
+      speech.stop();
+    } else {
+      speech.speak(text, { id, lang: sourceLanguage?.code || sourceLang, audioUrl });
+    }
+  };
+  const canSpeak = speech.isSupported || !!recorded;
+
   return (
     <div
       ref={popupRef}
@@ -72,34 +151,104 @@ export default function TranslationPopup({ selectedText, position, onClose, show
           {selectedText}
         </div>
         
-        {/* Placeholder for pronunciation and audio */}
+        {entry?.lemma && (
+          <div className="-mt-1 mb-2 text-xs text-gray-500">
+            base form: <span className="font-medium text-gray-700">{entry.lemma}</span>
+          </div>
+        )}
+
+        {/* Part of speech, transcription and source language */}
         <div className="flex items-center gap-2 text-sm text-gray-500">
-          <span className="italic">noun</span>
-          <button
-            className="p-1 hover:bg-gray-100 rounded transition-colors"
-            title="Listen"
-          >
-            <svg
-              className="w-4 h-4"
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
+          {canSpeak && (
+            <button
+              onClick={() => togglePronunciation('word', selectedText, recorded?.word)}
+              className={`p-1 rounded transition-colors ${
+                speech.speakingId === 'word' ? 'bg-blue-50 text-blue-500' : 'hover:bg-gray-100'
+              }`}
+              title={speech.speakingId === 'word' ? 'Stop' : 'Listen'}
             >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15.414A2 2 0 0013 14V6a2 2 0 10-4 0v8a2 2 0 001.414.586z"
-              />
-            </svg>
-          </button>
-          <span className="ml-2">🇺🇸</span>
+              <svg
+                className="w-4 h-4"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15.414A2 2 0 0013 14V6a2 2 0 10-4 0v8a2 2 0 001.414.586z"
+                />
+              </svg>
+            </button>
+          )}
+          {entry?.partOfSpeech && <span className="italic">{entry.partOfSpeech}</span>}
+          {entry?.transcription && (
+            <span className="text-gray-600" title="Transcription">/{entry.transcription}/</span>
+          )}
+          {sourceLanguage && (
+            <span title={sourceLanguage.name}>{sourceLanguage.flag}</span>
+          )}
+          <div className="ml-auto">
+            <LanguagePicker
+              sourceLang={sourceLang}
+              targetLang={targetLang}
+              onSourceChange={withFreshTranslation(setSourceLang)}
+              onTargetChange={withFreshTranslation(setTargetLang)}
+              onSwap={withFreshTranslation(swapLanguages)}
+            />
+          </div>
         </div>
       </div>
 
+      {/* Sentence the text was selected from */}
+      {context && (
+        <div className="mb-3">
+          <ContextSentence
+            sentence={context}
+            text={selectedText}
+            className="text-xs italic text-gray-500 leading-relaxed max-h-24 overflow-y-auto"
+          />
+          {canSpeak && (
+            <button
+              onClick={() => togglePronunciation('sentence', context, recorded?.sentence)}
+              className="mt-1 text-xs text-gray-400 underline hover:text-gray-600 transition-colors"
+            >
+              {speech.speakingId === 'sentence' ? 'Stop reading' : 'Read sentence'}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Translation area */}
       <div className="border-t border-gray-200 pt-3">
-        {isLoading && (
+        {saved && (
+          <div>
+            <div className="text-gray-800 text-sm leading-relaxed">
+              {saved.translation}
+            </div>
+            <DictionarySenses
+              senses={saved.dictionary?.senses}
+              translation={saved.translation}
+              partOfSpeech={saved.dictionary?.partOfSpeech}
+            />
+            <div className="mt-2 flex items-center gap-2 text-xs text-gray-400">
+              <span className="px-1.5 py-0.5 rounded bg-gray-100">from your vocabulary</span>
+              <button
+                onClick={() => {
+                  if (isTelegram) hapticFeedback('selection');
+                  setShowSaved(false);
+                }}
+                className="underline hover:text-gray-600 transition-colors"
+                title="Translate this occurrence again"
+              >
+                Translate again
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!saved && isLoading && (
           <div className="flex items-center gap-2 text-gray-500 text-sm">
             <svg
               className="animate-spin h-4 w-4"
@@ -122,20 +271,56 @@ export default function TranslationPopup({ selectedText, position, onClose, show
               ></path>
             </svg>
             <span>Translating...</span>
+            {attempt > 1 && (
+              <span className="text-xs text-gray-400">
+                (attempt {attempt} of {maxAttempts})
+              </span>
+            )}
           </div>
         )}
         
-        {!isLoading && error && (
+        {!saved && !isLoading && error && (
           <div className="text-red-500 text-sm">
             <strong>Error:</strong> {error}
+            <button
+              onClick={() => {
+                if (isTelegram) hapticFeedback('selection');
+                retry();
+              }}
+              className="ml-2 text-xs underline text-gray-500 hover:text-gray-700 transition-colors"
+            >
+              Try again
+            </button>
           </div>
         )}
         
-        {!isLoading && !error && translation && (
+        {!saved && !isLoading && !error && translation && (
           <div>
             <div className="text-gray-800 text-sm leading-relaxed">
               {translation}
             </div>
+            <DictionarySenses
+              senses={dictionary?.senses}
+              translation={translation}
+              partOfSpeech={dictionary?.partOfSpeech}
+            />
+
+            {/* Cache indicator with forced refresh */}
+            {isCached && (
+              <div className="mt-2 flex items-center gap-2 text-xs text-gray-400">
+                <span className="px-1.5 py-0.5 rounded bg-gray-100">cached</span>
+                <button
+                  onClick={() => {
+                    if (isTelegram) hapticFeedback('selection');
+                    refresh();
+                  }}
+                  className="underline hover:text-gray-600 transition-colors"
+                  title="Fetch a fresh translation"
+                >
+                  Refresh
+                </button>
+              </div>
+            )}
             
             {/* Anki status indicator */}
             {ankiStatus && (
@@ -173,7 +358,7 @@ export default function TranslationPopup({ selectedText, position, onClose, show
                       />
                     </svg>
                     <span className="text-yellow-600" title={ankiStatus.error}>
-                      Translation saved (Anki unavailable)
+                      Anki unavailable, queued for retry
                     </span>
                   </>
                 )}
@@ -182,12 +367,62 @@ export default function TranslationPopup({ selectedText, position, onClose, show
           </div>
         )}
         
-        {!isLoading && !error && !translation && (
+        {!saved && !isLoading && !error && isQueued && (
+          <div className="text-sm text-gray-500">
+            You're offline. The word is saved and will be translated when you're back online —
+            it will appear in your word history.
+          </div>
+        )}
+
+        {!saved && !isLoading && !error && !translation && !isQueued && (
           <div className="text-gray-400 text-sm italic">
             Translation will appear here...
           </div>
         )}
       </div>
+
+      {/* Highlight action */}
+      {onHighlight && (
+        <div className="mt-3 pt-3 border-t border-gray-200 flex items-center gap-2 text-xs text-gray-500">
+          {highlight ? (
+            <>
+              <span className="text-green-600">✓ Highlighted</span>
+              <button
+                onClick={() => onEditNote(highlight)}
+                className="ml-auto underline hover:text-gray-700 transition-colors"
+              >
+                Add note
+              </button>
+            </>
+          ) : (
+            <>
+              <span>Highlight</span>
+              {HIGHLIGHT_COLORS.map((color) => (
+                <button
+                  key={color.id}
+                  onClick={() => handleHighlight(color.id)}
+                  className="w-5 h-5 rounded-full border border-black/10"
+                  style={{ backgroundColor: color.swatch }}
+                  title={`Highlight ${color.name.toLowerCase()}`}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Longer passages go to the page translation panel, not to the vocabulary */}
+      {onTranslateParagraph && (
+        <button
+          onClick={() => {
+            if (isTelegram) hapticFeedback('selection');
+            onTranslateParagraph();
+          }}
+          className="mt-2 w-full text-left text-xs text-gray-500 underline hover:text-gray-700 transition-colors"
+        >
+          ¶ Translate the whole paragraph
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,223 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useVocabulary } from '../hooks/useVocabulary';
+import { useReaderSettings } from '../hooks/useReaderSettings';
+import ExportDialog from './ExportDialog';
+import ContextSentence from './ContextSentence';
+import { getLanguage } from '../constants/languages';
+import {
+  hapticFeedback,
+  isTelegramEnvironment,
+  showBackButton,
+  hideBackButton,
+  showConfirm,
+} from '../telegram/telegramApp';
+
+const ALL_DOCUMENTS = 'all';
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+export default function VocabularyPanel({ show, onClose, onJump, currentDocumentId, themeParams, isDark }) {
+  const { entries, documents, isLoading, deleteEntry, clearAll } = useVocabulary();
+  const [query, setQuery] = useState('');
+  const [documentFilter, setDocumentFilter] = useState(ALL_DOCUMENTS);
+  const [showExport, setShowExport] = useState(false);
+  const { settings, updateSettings } = useReaderSettings();
+  const isTelegram = isTelegramEnvironment();
+
+  // Telegram back button closes the sheet
+  useEffect(() => {
+    if (!show || !isTelegram) return;
+    showBackButton(onClose);
+    return () => hideBackButton(onClose);
+  }, [show, isTelegram, onClose]);
+
+  const filteredEntries = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return entries.filter((entry) => {
+      if (documentFilter !== ALL_DOCUMENTS && entry.documentId !== documentFilter) {
+        return false;
+      }
+      if (!needle) return true;
+      return (
+        entry.text.toLowerCase().includes(needle) ||
+        entry.translation.toLowerCase().includes(needle) ||
+        (entry.context || '').toLowerCase().includes(needle)
+      );
+    });
+  }, [entries, query, documentFilter]);
+
+  if (!show) {
+    return null;
+  }
+
+  // Theme-aware colors
+  const bgColor = themeParams?.bg_color || (isDark ? '#1a1a1a' : '#ffffff');
+  const textColor = themeParams?.text_color || (isDark ? '#ffffff' : '#000000');
+  const secondaryBg = themeParams?.secondary_bg_color || (isDark ? '#2a2a2a' : '#f4f4f5');
+  const hintColor = themeParams?.hint_color || (isDark ? '#999999' : '#666666');
+  const linkColor = themeParams?.link_color || '#3b82f6';
+
+  const handleJump = (entry) => {
+    if (isTelegram) hapticFeedback('selection');
+    onJump(entry);
+  };
+
+  const handleDelete = (entry) => {
+    if (isTelegram) hapticFeedback('impact', 'light');
+    deleteEntry(entry.id);
+  };
+
+  const handleClearAll = () => {
+    showConfirm('Delete all words from your vocabulary?', (confirmed) => {
+      if (confirmed) clearAll();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-end sm:items-stretch sm:justify-end" data-selection-ignore>
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+
+      {/* Bottom sheet on phones, side panel on wider screens */}
+      <div
+        className="relative flex flex-col w-full sm:w-96 max-h-[85vh] sm:max-h-none sm:h-full rounded-t-2xl sm:rounded-none shadow-2xl"
+        style={{ backgroundColor: bgColor, color: textColor }}
+      >
+        <div className="flex items-center justify-between px-4 pt-3 pb-2">
+          <h2 className="text-lg font-semibold">Vocabulary</h2>
+          <div className="flex items-center gap-3 text-sm">
+            {entries.length > 0 && (
+              <>
+                <button onClick={() => setShowExport(true)} style={{ color: linkColor }}>
+                  Export
+                </button>
+                <button onClick={handleClearAll} style={{ color: hintColor }}>
+                  Clear
+                </button>
+              </>
+            )}
+            {!isTelegram && (
+              <button onClick={onClose} className="text-xl leading-none" style={{ color: hintColor }} title="Close">
+                ×
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Search and document filter */}
+        <div className="flex flex-col gap-2 px-4 pb-3">
+          <label className="flex items-center gap-2 text-sm" style={{ color: hintColor }}>
+            <input
+              type="checkbox"
+              checked={settings.underlineKnownWords}
+              onChange={(e) => updateSettings({ underlineKnownWords: e.target.checked })}
+            />
+            Underline saved words in the book
+          </label>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search words, translations, sentences"
+            className="w-full rounded-lg px-3 py-2 text-sm outline-none"
+            style={{ backgroundColor: secondaryBg, color: textColor }}
+          />
+          {documents.length > 1 && (
+            <select
+              value={documentFilter}
+              onChange={(e) => setDocumentFilter(e.target.value)}
+              className="w-full rounded-lg px-3 py-2 text-sm outline-none"
+              style={{ backgroundColor: secondaryBg, color: textColor }}
+            >
+              <option value={ALL_DOCUMENTS}>All documents</option>
+              {documents.map((doc) => (
+                <option key={doc.id} value={doc.id}>
+                  {doc.title}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {/* Entries */}
+        <div className="flex-1 overflow-y-auto px-4 pb-4">
+          {isLoading && (
+            <p className="text-sm text-center py-8" style={{ color: hintColor }}>Loading...</p>
+          )}
+
+          {!isLoading && filteredEntries.length === 0 && (
+            <p className="text-sm text-center py-8" style={{ color: hintColor }}>
+              {entries.length === 0 ? 'Words you translate will appear here' : 'Nothing found'}
+            </p>
+          )}
+
+          <ul className="flex flex-col gap-2">
+            {filteredEntries.map((entry) => (
+              <li key={entry.id} className="rounded-lg p-3" style={{ backgroundColor: secondaryBg }}>
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="font-semibold break-words">
+                      {entry.text}
+                      <span className="ml-1 text-xs font-normal" style={{ color: hintColor }}>
+                        {getLanguage(entry.sourceLang)?.flag} → {getLanguage(entry.targetLang)?.flag}
+                      </span>
+                    </div>
+                    <div className="text-sm break-words">{entry.translation}</div>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(entry)}
+                    className="text-lg leading-none px-1"
+                    style={{ color: hintColor }}
+                    title="Delete"
+                  >
+                    ×
+                  </button>
+                </div>
+
+                <ContextSentence
+                  sentence={entry.context}
+                  text={entry.text}
+                  className="mt-1 text-xs italic"
+                  style={{ color: hintColor }}
+                />
+
+                <div className="mt-2 flex items-center justify-between text-xs" style={{ color: hintColor }}>
+                  <span className="truncate">
+                    {entry.documentTitle && `${entry.documentTitle} · `}
+                    {formatDate(entry.updatedAt)}
+                    {entry.lookupCount > 1 && ` · ×${entry.lookupCount}`}
+                  </span>
+                  {entry.pageNumber && (
+                    <button
+                      onClick={() => handleJump(entry)}
+                      className="shrink-0 ml-2 font-medium"
+                      style={{ color: linkColor }}
+                    >
+                      {entry.documentId === currentDocumentId ? `Go to page ${entry.pageNumber}` : `Open p. ${entry.pageNumber}`}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Exports what the current search and filter show */}
+      <ExportDialog
+        show={showExport}
+        onClose={() => setShowExport(false)}
+        entries={filteredEntries}
+        themeParams={themeParams}
+        isDark={isDark}
+      />
+    </div>
+  );
+}
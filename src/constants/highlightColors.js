@@ -0,0 +1,21 @@
+/**
+ * Highlight colors
+ * `fill` is drawn over the page with multiply blending, so text stays readable
+ */
+export const HIGHLIGHT_COLORS = [
+  { id: 'yellow', name: 'Yellow', fill: 'rgba(250, 204, 21, 0.45)', swatch: '#facc15' },
+  { id: 'green', name: 'Green', fill: 'rgba(74, 222, 128, 0.4)', swatch: '#4ade80' },
+  { id: 'blue', name: 'Blue', fill: 'rgba(96, 165, 250, 0.4)', swatch: '#60a5fa' },
+  { id: 'pink', name: 'Pink', fill: 'rgba(244, 114, 182, 0.4)', swatch: '#f472b6' },
+];
+
+export const DEFAULT_HIGHLIGHT_COLOR = HIGHLIGHT_COLORS[0].id;
+
+/**
+ * Get color definition by id (falls back to the default color)
+ * @param {string} id - Color id
+ * @returns {{id: string, name: string, fill: string, swatch: string}}
+ */
+export function getHighlightColor(id) {
+  return HIGHLIGHT_COLORS.find((color) => color.id === id) || HIGHLIGHT_COLORS[0];
+}
@@ -0,0 +1,36 @@
+/**
+ * Supported translation languages
+ * Codes are ISO 639-1 and must match what the backend accepts
+ */
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', flag: '🇺🇸' },
+  { code: 'de', name: 'Deutsch', flag: '🇩🇪' },
+  { code: 'fr', name: 'Français', flag: '🇫🇷' },
+  { code: 'es', name: 'Español', flag: '🇪🇸' },
+  { code: 'it', name: 'Italiano', flag: '🇮🇹' },
+  { code: 'ru', name: 'Русский', flag: '🇷🇺' },
+];
+
+export const LANGUAGE_CODES = LANGUAGES.map((lang) => lang.code);
+
+export const DEFAULT_SOURCE_LANG = 'en';
+export const DEFAULT_TARGET_LANG = 'ru';
+
+/**
+ * Find language metadata by code
+ * @param {string} code - Language code (e.g., 'en')
+ * @returns {{code: string, name: string, flag: string}|null}
+ */
+export function getLanguage(code) {
+  return LANGUAGES.find((lang) => lang.code === code) || null;
+}
+
+/**
+ * Check whether a language code is supported
+ * @param {string} code - Language code
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(code) {
+  return LANGUAGE_CODES.includes(code);
+}
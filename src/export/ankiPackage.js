@@ -0,0 +1,251 @@
+/**
+ * Anki .apkg builder
+ * Generates an Anki collection (schema v11) with sql.js and zips it with JSZip
+ * Heavy dependencies are loaded on demand so they stay out of the main bundle
+ */
+
+const DECK_ID = 1700000000001;
+const MODEL_ID = 1700000000002;
+
+const SCHEMA_SQL = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = `.card {
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  font-size: 22px;
+  text-align: center;
+  color: #1f2937;
+  background-color: #ffffff;
+}
+.extra { font-size: 16px; color: #6b7280; margin-top: 12px; }`;
+
+let sqlPromise = null;
+
+async function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([
+      import('sql.js'),
+      import('sql.js/dist/sql-wasm-browser.wasm?url'),
+    ]).then(([sqlModule, wasmModule]) =>
+      sqlModule.default({ locateFile: () => wasmModule.default })
+    );
+  }
+  return sqlPromise;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function stripHtml(value) {
+  return String(value).replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Anki checksum: first 8 hex digits of SHA-1 of the sort field
+ * @param {string} value - Sort field
+ * @returns {Promise<number>}
+ */
+async function fieldChecksum(value) {
+  const bytes = new TextEncoder().encode(stripHtml(value));
+  const digest = await crypto.subtle.digest('SHA-1', bytes);
+  const hex = Array.from(new Uint8Array(digest).slice(0, 4))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return parseInt(hex, 16);
+}
+
+/**
+ * Stable note guid so re-importing the same word updates instead of duplicating
+ * @param {string} value - Unique note key
+ * @returns {string}
+ */
+function noteGuid(value) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i += 1) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return `pdft${(hash >>> 0).toString(36)}`;
+}
+
+function buildModel(fieldNames, deckId, now) {
+  const [frontField, ...backFields] = fieldNames;
+  const backHtml = backFields
+    .map((name, index) => (index === 0 ? `{{${name}}}` : `<div class="extra">{{${name}}}</div>`))
+    .join('\n');
+
+  return {
+    [MODEL_ID]: {
+      id: MODEL_ID,
+      name: 'PDF Translator',
+      type: 0,
+      mod: now,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: [
+        {
+          name: 'Card 1',
+          ord: 0,
+          qfmt: `{{${frontField}}}`,
+          afmt: `{{FrontSide}}\n<hr id="answer">\n${backHtml}`,
+          did: null,
+          bqfmt: '',
+          bafmt: '',
+        },
+      ],
+      flds: fieldNames.map((name, ord) => ({
+        name,
+        ord,
+        sticky: false,
+        rtl: false,
+        font: 'Arial',
+        size: 20,
+        media: [],
+      })),
+      css: CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      tags: [],
+      vers: [],
+      req: [[0, 'any', [0]]],
+    },
+  };
+}
+
+function buildDecks(deckName, now) {
+  const baseDeck = {
+    desc: '',
+    dyn: 0,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    conf: 1,
+    usn: -1,
+    mod: now,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0],
+  };
+
+  return {
+    1: { ...baseDeck, id: 1, name: 'Default' },
+    [DECK_ID]: { ...baseDeck, id: DECK_ID, name: deckName },
+  };
+}
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, bury: true, minSpace: 1 },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  },
+};
+
+/**
+ * Build an .apkg file
+ * @param {Object} options
+ * @param {string} options.deckName - Deck name shown in Anki
+ * @param {string[]} options.fieldNames - Note field names; first one is the card front
+ * @param {Array<{key: string, fields: string[], tags?: string[]}>} options.notes - Note data
+ * @returns {Promise<Blob>} .apkg file
+ */
+export async function buildAnkiPackage({ deckName, fieldNames, notes }) {
+  const [SQL, { default: JSZip }] = await Promise.all([loadSql(), import('jszip')]);
+
+  const db = new SQL.Database();
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+
+  try {
+    db.run(SCHEMA_SQL);
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [
+        now,
+        nowMs,
+        nowMs,
+        JSON.stringify({ nextPos: notes.length + 1, curDeck: DECK_ID, curModel: MODEL_ID, activeDecks: [DECK_ID] }),
+        JSON.stringify(buildModel(fieldNames, DECK_ID, now)),
+        JSON.stringify(buildDecks(deckName, now)),
+        JSON.stringify(DECK_CONFIG),
+        '{}',
+      ]
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+
+    for (let index = 0; index < notes.length; index += 1) {
+      const note = notes[index];
+      const noteId = nowMs + index;
+      const fields = note.fields.map((value) => escapeHtml(value ?? ''));
+      const tags = note.tags?.length ? ` ${note.tags.join(' ')} ` : '';
+
+      insertNote.run([
+        noteId,
+        noteGuid(note.key),
+        MODEL_ID,
+        now,
+        tags,
+        fields.join('\x1f'),
+        stripHtml(fields[0]),
+        await fieldChecksum(fields[0]),
+      ]);
+      insertCard.run([noteId, noteId, DECK_ID, now, index + 1]);
+    }
+
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file('collection.anki2', db.export());
+    zip.file('media', '{}');
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/octet-stream' });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,180 @@
+import { isTelegramEnvironment } from '../telegram/telegramApp';
+
+/**
+ * Vocabulary export
+ * Turns vocabulary entries into offline Anki decks (.apkg), CSV or TSV files
+ */
+
+export const EXPORT_FORMATS = {
+  APKG: 'apkg',
+  CSV: 'csv',
+  TSV: 'tsv',
+};
+
+/**
+ * Exportable fields, in card order
+ */
+export const EXPORT_FIELDS = [
+  { id: 'word', label: 'Word', getValue: (entry) => entry.text },
+  { id: 'translation', label: 'Translation', getValue: (entry) => entry.translation },
+  { id: 'context', label: 'Context', getValue: (entry) => entry.context || '' },
+  { id: 'page', label: 'Page', getValue: formatPageReference },
+];
+
+export const DEFAULT_EXPORT_FIELDS = ['word', 'translation', 'context', 'page'];
+
+const DEFAULT_DECK_NAME = 'PDF Translator';
+
+/**
+ * Human readable page reference, e.g. "The Giver, p. 12"
+ * @param {import('../storage/vocabularyStore').VocabularyEntry} entry
+ * @returns {string}
+ */
+export function formatPageReference(entry) {
+  const parts = [];
+  if (entry.documentTitle) parts.push(entry.documentTitle);
+  if (entry.pageNumber) parts.push(`p. ${entry.pageNumber}`);
+  return parts.join(', ');
+}
+
+function getSelectedFields(fieldIds) {
+  return EXPORT_FIELDS.filter((field) => fieldIds.includes(field.id));
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeTsvValue(value) {
+  return String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Build CSV text (RFC 4180, header row)
+ * @param {Object[]} entries - Vocabulary entries
+ * @param {string[]} fieldIds - Field ids from EXPORT_FIELDS
+ * @returns {string}
+ */
+export function toCsv(entries, fieldIds) {
+  const fields = getSelectedFields(fieldIds);
+  const rows = [
+    fields.map((field) => escapeCsvValue(field.label)).join(','),
+    ...entries.map((entry) => fields.map((field) => escapeCsvValue(field.getValue(entry))).join(',')),
+  ];
+  return rows.join('\r\n');
+}
+
+/**
+ * Build TSV text without header (Quizlet import format)
+ * @param {Object[]} entries - Vocabulary entries
+ * @param {string[]} fieldIds - Field ids from EXPORT_FIELDS
+ * @returns {string}
+ */
+export function toTsv(entries, fieldIds) {
+  const fields = getSelectedFields(fieldIds);
+  return entries
+    .map((entry) => fields.map((field) => escapeTsvValue(field.getValue(entry))).join('\t'))
+    .join('\n');
+}
+
+/**
+ * Merge entries of the same word + pair (history keeps one per page)
+ * @param {Object[]} entries - Vocabulary entries
+ * @returns {Object[]} One entry per word, most recent context
+ */
+function uniqueByWord(entries) {
+  const byWord = new Map();
+  entries.forEach((entry) => {
+    const key = `${entry.sourceLang}:${entry.targetLang}:${entry.normalizedText}`;
+    const existing = byWord.get(key);
+    if (!existing || entry.updatedAt > existing.updatedAt) {
+      byWord.set(key, entry);
+    }
+  });
+  return Array.from(byWord.values());
+}
+
+/**
+ * Export vocabulary entries to a file
+ * @param {Object[]} entries - Vocabulary entries
+ * @param {Object} options
+ * @param {string} options.format - Format from EXPORT_FORMATS
+ * @param {string[]} options.fieldIds - Field ids from EXPORT_FIELDS
+ * @param {string} [options.deckName] - Anki deck name (apkg only)
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export async function exportVocabulary(entries, { format, fieldIds, deckName = DEFAULT_DECK_NAME }) {
+  const fields = getSelectedFields(fieldIds);
+  if (fields.length === 0) {
+    throw new Error('Select at least one field to export');
+  }
+
+  const words = uniqueByWord(entries);
+  if (words.length === 0) {
+    throw new Error('Nothing to export');
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  const baseName = `vocabulary-${date}`;
+
+  switch (format) {
+    case EXPORT_FORMATS.APKG: {
+      if (fields.length < 2) {
+        throw new Error('Anki cards need at least two fields (front and back)');
+      }
+
+      // Loaded on demand: pulls in sql.js and JSZip
+      const { buildAnkiPackage } = await import('./ankiPackage');
+      const blob = await buildAnkiPackage({
+        deckName,
+        fieldNames: fields.map((field) => field.label),
+        notes: words.map((entry) => ({
+          key: `${entry.sourceLang}:${entry.targetLang}:${entry.normalizedText}`,
+          fields: fields.map((field) => field.getValue(entry)),
+          tags: ['pdf-translator', `${entry.sourceLang}-${entry.targetLang}`],
+        })),
+      });
+      return { blob, filename: `${baseName}.apkg` };
+    }
+
+    case EXPORT_FORMATS.CSV: {
+      // BOM so Excel opens UTF-8 correctly
+      const blob = new Blob(['\uFEFF', toCsv(words, fieldIds)], { type: 'text/csv;charset=utf-8' });
+      return { blob, filename: `${baseName}.csv` };
+    }
+
+    case EXPORT_FORMATS.TSV: {
+      const blob = new Blob([toTsv(words, fieldIds)], { type: 'text/tab-separated-values;charset=utf-8' });
+      return { blob, filename: `${baseName}.tsv` };
+    }
+
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Save an exported file
+ * Inside Telegram mobile the share sheet is used when available, since downloads are blocked
+ * @param {Blob} blob - File content
+ * @param {string} filename - File name
+ * @returns {Promise<void>}
+ */
+export async function saveExportedFile(blob, filename) {
+  const file = new File([blob], filename, { type: blob.type });
+
+  if (isTelegramEnvironment() && navigator.canShare?.({ files: [file] })) {
+    await navigator.share({ files: [file], title: filename });
+    return;
+  }
+
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getAnkiOutboxItems,
+  removeAnkiOutboxItem,
+  clearAnkiOutbox,
+  subscribeToAnkiOutbox,
+} from '../storage/ankiOutboxStore';
+import { flushAnkiOutbox } from '../api/ankiOutbox';
+import { getTelegramApp } from '../telegram/telegramApp';
+
+// Automatic retries are throttled; manual retries are not
+const AUTO_RETRY_INTERVAL_MS = 30000;
+
+/**
+ * Hook for the Anki outbox (failed Anki additions awaiting retry)
+ * With autoRetry, queued notes are re-sent when connectivity returns or the app regains focus
+ *
+ * @param {Object} options
+ * @param {boolean} options.autoRetry - Retry on online/focus/visibility events
+ * @returns {Object} { items, pendingCount, isSyncing, lastResult, retryAll, retryItem, discardItem, discardAll }
+ */
+export function useAnkiOutbox({ autoRetry = false } = {}) {
+  const [items, setItems] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const lastAutoRetryRef = useRef(0);
+  const startupRetryDoneRef = useRef(false);
+
+  const reload = useCallback(async () => {
+    setItems(await getAnkiOutboxItems());
+    setIsLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToAnkiOutbox(reload);
+  }, [reload]);
+
+  const flush = useCallback(async (options) => {
+    setIsSyncing(true);
+    try {
+      const result = await flushAnkiOutbox(options);
+      setLastResult(result);
+      return result;
+    } catch (error) {
+      console.error('Anki outbox retry failed:', error);
+      return null;
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  const retryAll = useCallback(() => flush(), [flush]);
+  const retryItem = useCallback((id) => flush({ ids: [id] }), [flush]);
+
+  const discardItem = useCallback((id) => removeAnkiOutboxItem(id).catch((error) => {
+    console.error('Failed to discard Anki outbox item:', error);
+  }), []);
+
+  const discardAll = useCallback(() => clearAnkiOutbox().catch((error) => {
+    console.error('Failed to clear Anki outbox:', error);
+  }), []);
+
+  const pendingCount = items.length;
+
+  const autoFlush = useCallback(() => {
+    if (!navigator.onLine) return;
+    if (Date.now() - lastAutoRetryRef.current < AUTO_RETRY_INTERVAL_MS) return;
+    lastAutoRetryRef.current = Date.now();
+    flush();
+  }, [flush]);
+
+  // Notes left over from a previous session are retried once at startup
+  useEffect(() => {
+    if (!autoRetry || !isLoaded || startupRetryDoneRef.current) return;
+    startupRetryDoneRef.current = true;
+    if (pendingCount > 0) autoFlush();
+  }, [autoRetry, isLoaded, pendingCount, autoFlush]);
+
+  // Retry when connectivity returns or the app regains focus
+  useEffect(() => {
+    if (!autoRetry || pendingCount === 0) return;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') autoFlush();
+    };
+
+    window.addEventListener('online', autoFlush);
+    window.addEventListener('focus', autoFlush);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    // Telegram fires 'activated' when the Mini App comes back to foreground
+    const tg = getTelegramApp();
+    tg?.onEvent?.('activated', autoFlush);
+
+    return () => {
+      window.removeEventListener('online', autoFlush);
+      window.removeEventListener('focus', autoFlush);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      tg?.offEvent?.('activated', autoFlush);
+    };
+  }, [autoRetry, pendingCount, autoFlush]);
+
+  return {
+    items,
+    pendingCount,
+    isSyncing,
+    lastResult,
+    retryAll,
+    retryItem,
+    discardItem,
+    discardAll,
+  };
+}
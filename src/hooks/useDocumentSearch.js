@@ -0,0 +1,120 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { buildPageText, findInPage, normalizeQuery } from '../utils/textSearch';
+
+// Publish indexing progress in batches so large books don't re-render per page
+const BATCH_SIZE = 10;
+
+// Shortest query that is searched (single letters match almost everything)
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Hook for full-text search in a PDF document
+ * Page texts are extracted in the background once the document loads;
+ * results grow as indexing progresses
+ *
+ * @param {Object|null} pdfDocument - pdfjs document proxy
+ * @returns {Object} { query, setQuery, results, activeIndex, activeResult, goToResult,
+ *   next, prev, indexedCount, isIndexing, getHighlights }
+ */
+export function useDocumentSearch(pdfDocument) {
+  const [pageTexts, setPageTexts] = useState([]);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  useEffect(() => {
+    setPageTexts([]);
+    setActiveIndex(0);
+    if (!pdfDocument) return;
+
+    let cancelled = false;
+
+    (async () => {
+      const loaded = [];
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber += 1) {
+        try {
+          const page = await pdfDocument.getPage(pageNumber);
+          // Same call as react-pdf's text layer (no marked content), so item indexes match customTextRenderer
+          loaded.push(buildPageText(await page.getTextContent()));
+        } catch (error) {
+          // Document was destroyed (file switched) or the page has no text
+          if (cancelled) return;
+          loaded.push(buildPageText({ items: [] }));
+        }
+
+        if (cancelled) return;
+        if (pageNumber % BATCH_SIZE === 0 || pageNumber === pdfDocument.numPages) {
+          setPageTexts([...loaded]);
+          // Let rendering and input run between batches
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument]);
+
+  const foldedQuery = useMemo(() => normalizeQuery(query), [query]);
+
+  const results = useMemo(() => {
+    if (foldedQuery.length < MIN_QUERY_LENGTH) return [];
+    return pageTexts.flatMap((pageText, index) => findInPage(pageText, foldedQuery, index + 1));
+  }, [pageTexts, foldedQuery]);
+
+  // A new query starts from the first hit
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [foldedQuery]);
+
+  const activeResult = results[Math.min(activeIndex, results.length - 1)] || null;
+
+  const goToResult = useCallback((index) => {
+    setActiveIndex(index);
+  }, []);
+
+  const next = useCallback(() => {
+    if (results.length === 0) return;
+    setActiveIndex((prev) => (prev + 1) % results.length);
+  }, [results.length]);
+
+  const prev = useCallback(() => {
+    if (results.length === 0) return;
+    setActiveIndex((prev) => (prev - 1 + results.length) % results.length);
+  }, [results.length]);
+
+  // Highlight ranges for one page, grouped by text item index
+  const highlightsByPage = useMemo(() => {
+    const byPage = new Map();
+    results.forEach((result) => {
+      const isActive = result === activeResult;
+      const items = byPage.get(result.pageNumber) || new Map();
+      result.ranges.forEach(({ itemIndex, start, end }) => {
+        const ranges = items.get(itemIndex) || [];
+        ranges.push({ start, end, className: isActive ? 'search-hit search-hit-active' : 'search-hit' });
+        items.set(itemIndex, ranges);
+      });
+      byPage.set(result.pageNumber, items);
+    });
+    return byPage;
+  }, [results, activeResult]);
+
+  const getHighlights = useCallback(
+    (pageNumber, itemIndex) => highlightsByPage.get(pageNumber)?.get(itemIndex) || [],
+    [highlightsByPage]
+  );
+
+  return {
+    query,
+    setQuery,
+    results,
+    activeIndex: activeResult ? results.indexOf(activeResult) : -1,
+    activeResult,
+    goToResult,
+    next,
+    prev,
+    indexedCount: pageTexts.length,
+    isIndexing: !!pdfDocument && pageTexts.length < pdfDocument.numPages,
+    getHighlights,
+  };
+}
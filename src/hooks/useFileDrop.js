@@ -0,0 +1,64 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Only drags that carry files (not selected text or links) are accepted
+const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+/**
+ * Hook for dropping files anywhere on the page
+ * dragenter/dragleave fire for every child element, so nesting is counted
+ *
+ * @param {function(File): void} onDrop - Called with the first dropped file
+ * @returns {boolean} Whether files are being dragged over the page
+ */
+export function useFileDrop(onDrop) {
+  const [isDragging, setIsDragging] = useState(false);
+  const onDropRef = useRef(onDrop);
+  onDropRef.current = onDrop;
+
+  useEffect(() => {
+    let depth = 0;
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      depth += 1;
+      setIsDragging(true);
+    };
+
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      // Required for the drop event to fire
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      depth = Math.max(depth - 1, 0);
+      if (depth === 0) setIsDragging(false);
+    };
+
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      // Keep the browser from navigating to the file
+      event.preventDefault();
+      depth = 0;
+      setIsDragging(false);
+      const file = event.dataTransfer.files?.[0];
+      if (file) onDropRef.current(file);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  return isDragging;
+}
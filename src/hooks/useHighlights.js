@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  addHighlight,
+  updateHighlight,
+  deleteHighlight,
+  getDocumentHighlights,
+  subscribeToHighlights,
+} from '../storage/highlightStore';
+
+// Shared empty list so pages without highlights keep a stable prop
+const NO_HIGHLIGHTS = [];
+
+/**
+ * Hook for highlights of one document
+ * Reloads automatically whenever the store changes
+ * @param {string|null} documentId - Open document
+ * @returns {Object} { highlights, getPageHighlights, isLoading, add, update, remove }
+ */
+export function useHighlights(documentId) {
+  const [highlights, setHighlights] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    if (!documentId) {
+      setHighlights([]);
+      setIsLoading(false);
+      return;
+    }
+    const loaded = await getDocumentHighlights(documentId);
+    setHighlights(loaded);
+    setIsLoading(false);
+  }, [documentId]);
+
+  useEffect(() => {
+    setHighlights([]);
+    setIsLoading(true);
+    reload();
+    return subscribeToHighlights(reload);
+  }, [reload]);
+
+  const byPage = useMemo(() => {
+    const map = new Map();
+    highlights.forEach((highlight) => {
+      const list = map.get(highlight.pageNumber) || [];
+      list.push(highlight);
+      map.set(highlight.pageNumber, list);
+    });
+    return map;
+  }, [highlights]);
+
+  const getPageHighlights = useCallback((pageNumber) => byPage.get(pageNumber) || NO_HIGHLIGHTS, [byPage]);
+
+  const add = useCallback(
+    (draft) => addHighlight({ ...draft, documentId }),
+    [documentId]
+  );
+
+  const update = useCallback((id, patch) => updateHighlight(id, patch).catch((error) => {
+    console.error('Failed to update highlight:', error);
+  }), []);
+
+  const remove = useCallback((id) => deleteHighlight(id).catch((error) => {
+    console.error('Failed to delete highlight:', error);
+  }), []);
+
+  return {
+    highlights,
+    getPageHighlights,
+    isLoading,
+    add,
+    update,
+    remove,
+  };
+}
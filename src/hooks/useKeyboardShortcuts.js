@@ -0,0 +1,35 @@
+import { useEffect, useRef } from 'react';
+
+const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable="true"]';
+
+/**
+ * Hook for global keyboard shortcuts
+ * Ignored while typing in form fields and when system modifiers are held
+ * (so Ctrl/Cmd + "+" keeps zooming the browser)
+ *
+ * @param {Object<string, function(KeyboardEvent): void>} bindings - Map of KeyboardEvent.key to handler
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Whether shortcuts are active
+ */
+export function useKeyboardShortcuts(bindings, { enabled = true } = {}) {
+  const bindingsRef = useRef(bindings);
+  bindingsRef.current = bindings;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.target?.closest?.(EDITABLE_SELECTOR)) return;
+
+      const handler = bindingsRef.current[event.key];
+      if (handler) {
+        event.preventDefault();
+        handler(event);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  DEFAULT_SOURCE_LANG,
+  DEFAULT_TARGET_LANG,
+  isSupportedLanguage,
+} from '../constants/languages';
+import { validateLanguagePair } from '../types/translation';
+
+// LocalStorage keys
+const STORAGE_KEYS = {
+  SOURCE_LANG: 'translator_sourceLang',
+  TARGET_LANG: 'translator_targetLang',
+};
+
+// Mounted hook instances, kept in sync when one of them changes the pair
+const listeners = new Set();
+
+// A saved pair with an unknown language or the same language twice falls back to the default
+function loadPair() {
+  try {
+    return validateLanguagePair({
+      sourceLang: localStorage.getItem(STORAGE_KEYS.SOURCE_LANG),
+      targetLang: localStorage.getItem(STORAGE_KEYS.TARGET_LANG),
+    });
+  } catch {
+    return { sourceLang: DEFAULT_SOURCE_LANG, targetLang: DEFAULT_TARGET_LANG };
+  }
+}
+
+/**
+ * Hook for the persisted default translation language pair
+ * Choice is stored in localStorage and restored on next launch; every component using
+ * the hook sees the same pair
+ *
+ * @returns {Object} { sourceLang, targetLang, setSourceLang, setTargetLang, swapLanguages }
+ */
+export function useLanguagePreferences() {
+  const [sourceLang, setSourceLangState] = useState(() => loadPair().sourceLang);
+  const [targetLang, setTargetLangState] = useState(() => loadPair().targetLang);
+
+  // Save pair to localStorage when it changes and tell the other instances
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEYS.SOURCE_LANG, sourceLang);
+    localStorage.setItem(STORAGE_KEYS.TARGET_LANG, targetLang);
+    listeners.forEach((listener) => listener(sourceLang, targetLang));
+  }, [sourceLang, targetLang]);
+
+  useEffect(() => {
+    const listener = (source, target) => {
+      setSourceLangState(source);
+      setTargetLangState(target);
+    };
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+
+  // Picking the same language on both sides swaps the pair instead
+  const setSourceLang = useCallback((lang) => {
+    if (!isSupportedLanguage(lang)) return;
+    if (lang === targetLang) {
+      setTargetLangState(sourceLang);
+    }
+    setSourceLangState(lang);
+  }, [sourceLang, targetLang]);
+
+  const setTargetLang = useCallback((lang) => {
+    if (!isSupportedLanguage(lang)) return;
+    if (lang === sourceLang) {
+      setSourceLangState(targetLang);
+    }
+    setTargetLangState(lang);
+  }, [sourceLang, targetLang]);
+
+  const swapLanguages = useCallback(() => {
+    setSourceLangState(targetLang);
+    setTargetLangState(sourceLang);
+  }, [sourceLang, targetLang]);
+
+  return {
+    sourceLang,
+    targetLang,
+    setSourceLang,
+    setTargetLang,
+    swapLanguages,
+  };
+}
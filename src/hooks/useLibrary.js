@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getLibraryDocuments,
+  removeFromLibrary,
+  subscribeToLibrary,
+} from '../storage/libraryStore';
+
+/**
+ * Hook for the document library
+ * Reloads automatically whenever the store changes
+ * @returns {Object} { documents, isLoading, removeDocument }
+ */
+export function useLibrary() {
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setDocuments(await getLibraryDocuments());
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToLibrary(reload);
+  }, [reload]);
+
+  const removeDocument = useCallback((id) => removeFromLibrary(id).catch((error) => {
+    console.error('Failed to remove document:', error);
+  }), []);
+
+  return {
+    documents,
+    isLoading,
+    removeDocument,
+  };
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { loadOutline } from '../utils/outline';
+
+/**
+ * Hook that loads the outline (table of contents) of a PDF document
+ * @param {Object|null} pdfDocument - pdfjs document proxy
+ * @returns {{outline: import('../utils/outline').OutlineNode[], isLoading: boolean}}
+ */
+export function useOutline(pdfDocument) {
+  const [outline, setOutline] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setOutline([]);
+    if (!pdfDocument) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    loadOutline(pdfDocument)
+      .then((result) => {
+        if (!cancelled) setOutline(result);
+      })
+      .catch((error) => {
+        if (!cancelled) console.warn('Failed to load outline:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument]);
+
+  return { outline, isLoading };
+}
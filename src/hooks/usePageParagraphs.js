@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { extractParagraphs } from '../utils/paragraphs';
+
+/**
+ * Hook for the paragraphs of one PDF page
+ *
+ * @param {Object|null} pdfDocument - pdfjs document proxy
+ * @param {number|null} pageNumber - Page to read
+ * @returns {{paragraphs: import('../utils/paragraphs').Paragraph[], isLoading: boolean}}
+ */
+export function usePageParagraphs(pdfDocument, pageNumber) {
+  const [paragraphs, setParagraphs] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    setParagraphs([]);
+    if (!pdfDocument || !pageNumber) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+
+    (async () => {
+      try {
+        const page = await pdfDocument.getPage(pageNumber);
+        // Marked content is included so span indexes match the text layer
+        const textContent = await page.getTextContent({ includeMarkedContent: true });
+        if (!cancelled) setParagraphs(extractParagraphs(textContent));
+      } catch (error) {
+        // Document was destroyed (file switched) or the page has no text
+        if (!cancelled) console.warn('Failed to read page text:', error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument, pageNumber]);
+
+  return { paragraphs, isLoading };
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+
+// US Letter in PDF points, used until real sizes are known
+const FALLBACK_SIZE = { width: 612, height: 792 };
+
+// Publish sizes in batches so large books don't re-render per page
+const BATCH_SIZE = 25;
+
+/**
+ * Hook that loads unscaled page sizes of a PDF document in the background
+ * Needed to reserve space for pages that are not rendered (virtualization)
+ *
+ * @param {Object|null} pdfDocument - pdfjs document proxy
+ * @returns {{getPageSize: function(number): {width: number, height: number}, loadedCount: number}}
+ *   Size getter by page number and how many leading pages have real sizes
+ */
+export function usePageSizes(pdfDocument) {
+  const [sizes, setSizes] = useState([]);
+
+  useEffect(() => {
+    setSizes([]);
+    if (!pdfDocument) return;
+
+    let cancelled = false;
+
+    (async () => {
+      const loaded = [];
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber += 1) {
+        try {
+          const page = await pdfDocument.getPage(pageNumber);
+          const viewport = page.getViewport({ scale: 1 });
+          loaded.push({ width: viewport.width, height: viewport.height });
+        } catch (error) {
+          // Document was destroyed (file switched) or the page is broken
+          if (cancelled) return;
+          loaded.push(loaded[loaded.length - 1] || FALLBACK_SIZE);
+        }
+
+        if (cancelled) return;
+        if (pageNumber % BATCH_SIZE === 0 || pageNumber === pdfDocument.numPages) {
+          setSizes([...loaded]);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument]);
+
+  const getPageSize = (pageNumber) => sizes[pageNumber - 1] || sizes[0] || FALLBACK_SIZE;
+
+  return { getPageSize, loadedCount: sizes.length };
+}
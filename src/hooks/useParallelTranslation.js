@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  translateText,
+  peekTranslation,
+  isAbortError,
+  getTranslationErrorMessage,
+  ENDPOINTS,
+  TRANSLATION_ERROR_CODES,
+} from '../api/translateApi';
+
+/**
+ * @typedef {Object} ParallelTranslationResult
+ * @property {string} translation - Translated text ('' until it arrives)
+ * @property {boolean} isLoading - Waiting for this text
+ * @property {string|null} error - Why the text could not be translated
+ */
+
+const PENDING = { translation: '', isLoading: true, error: null };
+
+/**
+ * Hook for translating a list of passages (paragraphs of a page) one after another
+ * Results appear as each passage arrives; cached passages show up immediately.
+ * Uses the plain translate endpoint and skips the vocabulary history,
+ * so long passages never turn into Anki cards
+ *
+ * @param {string[]} texts - Passages to translate
+ * @param {Object} options
+ * @param {string} options.sourceLang - Source language code
+ * @param {string} options.targetLang - Target language code
+ * @param {boolean} [options.enabled] - Whether to translate
+ * @returns {{results: ParallelTranslationResult[], retry: function(): void}}
+ */
+export function useParallelTranslation(texts, { sourceLang, targetLang, enabled = true }) {
+  const [results, setResults] = useState([]);
+  // Bumped by retry to re-run failed passages
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!enabled) {
+      setResults([]);
+      return;
+    }
+
+    const initial = texts.map((text) => {
+      const cached = peekTranslation({ text, sourceLang, targetLang }, { endpoint: ENDPOINTS.TRANSLATE });
+      return cached ? { translation: cached.translation, isLoading: false, error: null } : PENDING;
+    });
+    setResults(initial);
+
+    const controller = new AbortController();
+    const update = (index, result) => {
+      setResults((prev) => prev.map((item, i) => (i === index ? result : item)));
+    };
+
+    (async () => {
+      for (let index = 0; index < texts.length; index += 1) {
+        if (!initial[index].isLoading) continue;
+
+        try {
+          const result = await translateText(
+            { text: texts[index], sourceLang, targetLang },
+            { endpoint: ENDPOINTS.TRANSLATE, signal: controller.signal }
+          );
+          if (controller.signal.aborted) return;
+          update(index, { translation: result.translation, isLoading: false, error: null });
+        } catch (error) {
+          if (isAbortError(error) || controller.signal.aborted) return;
+
+          const message = getTranslationErrorMessage(error);
+          if (
+            error.code === TRANSLATION_ERROR_CODES.NETWORK ||
+            error.code === TRANSLATION_ERROR_CODES.TIMEOUT
+          ) {
+            // Backend unreachable - the remaining passages would fail the same way
+            setResults((prev) => prev.map((item, i) => (
+              i >= index && item.isLoading ? { translation: '', isLoading: false, error: message } : item
+            )));
+            return;
+          }
+          update(index, { translation: '', isLoading: false, error: message });
+        }
+      }
+    })();
+
+    return () => controller.abort();
+  }, [texts, sourceLang, targetLang, enabled, attempt]);
+
+  const retry = useCallback(() => setAttempt((prev) => prev + 1), []);
+
+  return { results, retry };
+}
@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useReaderSettings } from './useReaderSettings';
+import {
+  buildSpanText,
+  splitSentences,
+  toTextAnchor,
+  getSpokenWordRange,
+  findSentenceAtPoint,
+} from '../utils/readAloud';
+import { isSpeechSupported, isSpeechInterrupted, loadVoices, pickVoice, speakText, stopSpeech } from '../utils/speech';
+
+export const READ_ALOUD_STATUS = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+};
+
+// Position on a page that is still loading: the last sentence (skipping back)
+const LAST_SENTENCE = -1;
+
+// Scanned books have no text; stop instead of flipping through them
+const MAX_EMPTY_PAGES = 3;
+
+/**
+ * Hook for reading pages aloud sentence by sentence
+ * Page text comes from pdfjs; the sentence and word being spoken are exposed as text
+ * layer anchors for highlighting. Pages turn automatically at the end of the text.
+ * Pausing cancels the utterance (speechSynthesis.pause is unreliable on Android),
+ * so resuming restarts the current sentence
+ *
+ * @param {Object|null} pdfDocument - pdfjs document proxy
+ * @param {Object} options
+ * @param {number} options.pageNumber - Page shown in the viewer (reading starts here)
+ * @param {function(number): void} options.onPageChange - Show a page when reading moves to it
+ * @param {string} options.lang - ISO 639-1 language code of the document
+ * @returns {Object} { isSupported, status, position, sentenceCount, sentenceAnchor, wordAnchor,
+ *   notice, rate, setRate, play, pause, next, prev, startAt, stop }
+ */
+export function useReadAloud(pdfDocument, { pageNumber, onPageChange, lang }) {
+  const { settings, updateSettings } = useReaderSettings();
+  const [status, setStatus] = useState(READ_ALOUD_STATUS.IDLE);
+  // { pageNumber, sentenceIndex, point? } - point is a tap waiting for the page text
+  const [position, setPosition] = useState(null);
+  // { pageNumber, spanText, sentences } for the page being read
+  const [page, setPage] = useState(null);
+  const [wordAnchor, setWordAnchor] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const onPageChangeRef = useRef(onPageChange);
+  onPageChangeRef.current = onPageChange;
+  const emptyPagesRef = useRef(0);
+
+  const positionPage = position?.pageNumber;
+  const isActive = status !== READ_ALOUD_STATUS.IDLE;
+
+  // Another document: nothing to continue
+  useEffect(() => {
+    setStatus(READ_ALOUD_STATUS.IDLE);
+    setPosition(null);
+    setPage(null);
+  }, [pdfDocument]);
+
+  // Load the text of the page being read
+  useEffect(() => {
+    if (!pdfDocument || !positionPage) return;
+
+    let cancelled = false;
+    (async () => {
+      let textContent = { items: [] };
+      try {
+        const pdfPage = await pdfDocument.getPage(positionPage);
+        // Marked content is included so span indexes match the text layer
+        textContent = await pdfPage.getTextContent({ includeMarkedContent: true });
+      } catch (error) {
+        // Document was destroyed (file switched) or the page has no text
+        if (cancelled) return;
+        console.warn('Failed to read page text:', error);
+      }
+      if (cancelled) return;
+
+      const spanText = buildSpanText(textContent);
+      setPage({ pageNumber: positionPage, spanText, sentences: splitSentences(spanText, positionPage) });
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument, positionPage]);
+
+  const pageReady = page && page.pageNumber === positionPage;
+
+  // Resolve positions that need the page text (a tap, or the last sentence)
+  useEffect(() => {
+    if (!pageReady) return;
+    if (!position.point && position.sentenceIndex !== LAST_SENTENCE) return;
+
+    const sentenceIndex = position.point
+      ? findSentenceAtPoint(page.spanText, page.sentences, position.point)
+      : page.sentences.length - 1;
+    setPosition({ pageNumber: position.pageNumber, sentenceIndex: Math.max(0, sentenceIndex) });
+  }, [pageReady, page, position]);
+
+  // Follow page changes made while not speaking; while playing, reading turns pages itself
+  // (in continuous mode scrolling along with the reading reports pages too)
+  const statusRef = useRef(status);
+  statusRef.current = status;
+  useEffect(() => {
+    if (statusRef.current === READ_ALOUD_STATUS.PLAYING || !pageNumber) return;
+    setPosition((prev) => (prev && prev.pageNumber !== pageNumber ? { pageNumber, sentenceIndex: 0 } : prev));
+  }, [pageNumber]);
+
+  const turnPage = useCallback((nextPage, sentenceIndex = 0) => {
+    setWordAnchor(null);
+    setPosition({ pageNumber: nextPage, sentenceIndex });
+    onPageChangeRef.current(nextPage);
+  }, []);
+
+  // Speak the current sentence, then move on
+  const voiceURI = settings.speechVoices[lang];
+  const { readAloudRate: rate, speechPitch: pitch } = settings;
+  const sentenceIndex = position?.sentenceIndex;
+  const isResolved = pageReady && !position.point && sentenceIndex !== LAST_SENTENCE;
+  useEffect(() => {
+    if (status !== READ_ALOUD_STATUS.PLAYING || !isResolved) return;
+
+    const sentence = page.sentences[sentenceIndex];
+    if (!sentence) {
+      // End of the page (or a page without text)
+      if (page.sentences.length === 0) emptyPagesRef.current += 1;
+      if (emptyPagesRef.current > MAX_EMPTY_PAGES) {
+        setNotice('No text to read on these pages');
+        setStatus(READ_ALOUD_STATUS.PAUSED);
+      } else if (page.pageNumber < pdfDocument.numPages) {
+        turnPage(page.pageNumber + 1);
+      } else {
+        setNotice('End of document');
+        setStatus(READ_ALOUD_STATUS.PAUSED);
+        setPosition({ pageNumber: page.pageNumber, sentenceIndex: Math.max(0, page.sentences.length - 1) });
+      }
+      return;
+    }
+
+    let cancelled = false;
+    setWordAnchor(null);
+
+    (async () => {
+      const voices = await loadVoices();
+      if (cancelled) return;
+
+      try {
+        await speakText(sentence.text, {
+          lang,
+          voice: pickVoice(voices, lang, voiceURI),
+          rate,
+          pitch,
+          onBoundary: (event) => {
+            if (cancelled || event.name === 'sentence') return;
+            const range = getSpokenWordRange(sentence, event.charIndex, event.charLength);
+            setWordAnchor(range ? toTextAnchor(page.spanText, page.pageNumber, range.start, range.end) : null);
+          },
+        });
+        if (cancelled) return;
+        emptyPagesRef.current = 0;
+        setPosition((prev) => ({ pageNumber: prev.pageNumber, sentenceIndex: prev.sentenceIndex + 1 }));
+      } catch (error) {
+        if (cancelled) return;
+        // Interrupted by something else (e.g. a word pronounced from the popup): just pause
+        if (!isSpeechInterrupted(error)) console.warn('Read aloud failed:', error);
+        setStatus(READ_ALOUD_STATUS.PAUSED);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      stopSpeech();
+    };
+  }, [status, isResolved, page, sentenceIndex, pdfDocument, lang, voiceURI, rate, pitch, turnPage]);
+
+  // Stop speaking when the viewer goes away
+  useEffect(() => () => {
+    if (isActive) stopSpeech();
+  }, [isActive]);
+
+  const play = useCallback(() => {
+    setNotice(null);
+    emptyPagesRef.current = 0;
+    setPosition((prev) => prev || { pageNumber, sentenceIndex: 0 });
+    setStatus(READ_ALOUD_STATUS.PLAYING);
+  }, [pageNumber]);
+
+  const pause = useCallback(() => {
+    setStatus(READ_ALOUD_STATUS.PAUSED);
+  }, []);
+
+  const stop = useCallback(() => {
+    setStatus(READ_ALOUD_STATUS.IDLE);
+    setPosition(null);
+    setWordAnchor(null);
+    setNotice(null);
+  }, []);
+
+  const next = useCallback(() => {
+    if (!isResolved) return;
+    setNotice(null);
+    if (sentenceIndex + 1 < page.sentences.length) {
+      setPosition({ pageNumber: page.pageNumber, sentenceIndex: sentenceIndex + 1 });
+    } else if (page.pageNumber < pdfDocument.numPages) {
+      turnPage(page.pageNumber + 1);
+    }
+  }, [isResolved, sentenceIndex, page, pdfDocument, turnPage]);
+
+  const prev = useCallback(() => {
+    if (!isResolved) return;
+    setNotice(null);
+    if (sentenceIndex > 0) {
+      setPosition({ pageNumber: page.pageNumber, sentenceIndex: sentenceIndex - 1 });
+    } else if (page.pageNumber > 1) {
+      turnPage(page.pageNumber - 1, LAST_SENTENCE);
+    }
+  }, [isResolved, sentenceIndex, page, turnPage]);
+
+  /**
+   * Start reading from a tapped point of the text layer
+   * The tapped page is on screen already, so the viewer is not moved
+   * @param {number} tappedPage - Page that was tapped
+   * @param {import('../utils/textAnchors').TextPoint} point - Tapped text point
+   */
+  const startAt = useCallback((tappedPage, point) => {
+    setNotice(null);
+    emptyPagesRef.current = 0;
+    setWordAnchor(null);
+    setPosition({ pageNumber: tappedPage, sentenceIndex: 0, point });
+    setStatus(READ_ALOUD_STATUS.PLAYING);
+  }, []);
+
+  const setRate = useCallback((readAloudRate) => updateSettings({ readAloudRate }), [updateSettings]);
+
+  const sentence = isResolved ? page.sentences[sentenceIndex] : null;
+
+  return {
+    isSupported: isSpeechSupported(),
+    status,
+    position,
+    sentenceCount: pageReady ? page.sentences.length : 0,
+    sentenceAnchor: isActive ? sentence?.anchor || null : null,
+    wordAnchor: status === READ_ALOUD_STATUS.PLAYING ? wordAnchor : null,
+    notice,
+    rate,
+    setRate,
+    play,
+    pause,
+    next,
+    prev,
+    startAt,
+    stop,
+  };
+}
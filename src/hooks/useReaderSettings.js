@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getSettings, subscribeToSettings, updateSettings } from '../storage/settingsStore';
+
+/**
+ * Hook for reader settings shared across components
+ * @returns {{settings: import('../storage/settingsStore').ReaderSettings, updateSettings: function(Object): void}}
+ */
+export function useReaderSettings() {
+  const settings = useSyncExternalStore(subscribeToSettings, getSettings);
+  return { settings, updateSettings };
+}
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useVocabulary } from './useVocabulary';
+import { getReadingSessions, subscribeToReadingStats, clearReadingStats } from '../storage/readingStatsStore';
+import { startOfDay } from '../utils/srs';
+import {
+  MIN_PAGE_READING_MS,
+  countStreak,
+  findLongestStreak,
+  getLastDays,
+  summarizeDays,
+  summarizeDocuments,
+  countNewWordsByDay,
+} from '../utils/readingStats';
+
+// A day counts for the streak after a minute of reading or any lookup
+const MIN_ACTIVE_DAY_MS = 60 * 1000;
+
+const CHART_DAYS = 30;
+const RECENT_DAYS = 7;
+const RECENT_SESSIONS = 10;
+
+/**
+ * Hook for the reading statistics dashboard
+ * Combines reading sessions with the vocabulary history (new words per day)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Load and follow changes only while the dashboard is open
+ * @returns {Object} { isLoading, today, streak, longestStreak, chart, recentDays, documents,
+ *   sessions, totalWords, clearAll }
+ */
+export function useReadingStats({ enabled = true } = {}) {
+  const { entries } = useVocabulary();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    const loaded = await getReadingSessions(0);
+    setSessions(loaded);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+    reload();
+    return subscribeToReadingStats(reload);
+  }, [enabled, reload]);
+
+  const stats = useMemo(() => {
+    const today = startOfDay(Date.now());
+    const days = summarizeDays(sessions);
+    const newWords = countNewWordsByDay(entries);
+
+    const activeDays = new Set(
+      Array.from(days.values())
+        .filter((day) => day.readingMs >= MIN_ACTIVE_DAY_MS || day.lookups > 0)
+        .map((day) => day.day)
+    );
+
+    const todayStats = days.get(today);
+    let totalWords = 0;
+    newWords.forEach((count) => {
+      totalWords += count;
+    });
+
+    return {
+      today: {
+        readingMs: todayStats?.readingMs || 0,
+        pagesRead: todayStats?.pagesRead || 0,
+        lookups: todayStats?.lookups || 0,
+        newWords: newWords.get(today) || 0,
+      },
+      streak: countStreak(activeDays, today),
+      longestStreak: findLongestStreak(activeDays),
+      chart: getLastDays(today, CHART_DAYS).map((day) => ({
+        day,
+        newWords: newWords.get(day) || 0,
+        readingMs: days.get(day)?.readingMs || 0,
+      })),
+      recentDays: Array.from(days.values())
+        .filter((day) => day.readingMs > 0 || day.lookups > 0)
+        .sort((a, b) => b.day - a.day)
+        .slice(0, RECENT_DAYS),
+      documents: summarizeDocuments(sessions),
+      sessions: sessions
+        .filter((session) => session.readingMs > 0 || session.lookups > 0)
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, RECENT_SESSIONS)
+        .map((session) => ({
+          id: session.id,
+          title: session.documentTitle || session.documentId,
+          startedAt: session.startedAt,
+          readingMs: session.readingMs,
+          pagesRead: Object.values(session.pages).filter((page) => page.readingMs >= MIN_PAGE_READING_MS).length,
+          lookups: session.lookups,
+          uniqueWords: session.words.length,
+        })),
+      totalWords,
+    };
+  }, [sessions, entries]);
+
+  const clearAll = useCallback(() => clearReadingStats().catch((error) => {
+    console.error('Failed to clear reading statistics:', error);
+  }), []);
+
+  return {
+    isLoading,
+    ...stats,
+    clearAll,
+  };
+}
@@ -0,0 +1,130 @@
+import { useEffect, useRef, useCallback } from 'react';
+import {
+  startReadingSession,
+  endReadingSession,
+  addPageTime,
+  saveReadingSession,
+} from '../storage/readingStatsStore';
+
+// Without any interaction for this long the reader is assumed to be away
+const IDLE_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Coming back after this long starts a new session
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// How often the open session is saved
+const SAVE_INTERVAL_MS = 30 * 1000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'scroll', 'touchstart'];
+
+/**
+ * Hook recording reading time of the open document
+ * Time is counted for the page on screen while the app is visible and the reader is
+ * active; it stops after IDLE_TIMEOUT_MS without interaction (reading aloud keeps it going)
+ *
+ * @param {Object|null} documentInfo - Open document ({ id, title }), null while nothing is loaded
+ * @param {Object} options
+ * @param {number} options.pageNumber - Page shown in the viewer
+ * @param {boolean} [options.paused] - Stop counting (e.g. a full-screen panel covers the page)
+ * @param {boolean} [options.keepAlive] - Count time without interaction (e.g. while reading aloud)
+ */
+export function useReadingTracker(documentInfo, { pageNumber, paused = false, keepAlive = false }) {
+  const documentId = documentInfo?.id || null;
+  const documentRef = useRef(documentInfo);
+  documentRef.current = documentInfo;
+
+  const pageRef = useRef(pageNumber);
+  const keepAliveRef = useRef(keepAlive);
+  keepAliveRef.current = keepAlive;
+  // Start of the time not yet added to the page; null while not counting
+  const segmentStartRef = useRef(null);
+  const lastActivityRef = useRef(0);
+
+  const isCounting = !!documentId && !paused;
+
+  // Add the time since the segment start to the current page, up to the idle cutoff
+  const flush = useCallback((now) => {
+    if (segmentStartRef.current === null) return;
+    if (keepAliveRef.current) lastActivityRef.current = now;
+    const end = Math.min(now, lastActivityRef.current + IDLE_TIMEOUT_MS);
+    addPageTime(pageRef.current, end - segmentStartRef.current);
+    segmentStartRef.current = now;
+  }, []);
+
+  // Declared before the session effect so its cleanup saves into the session being closed
+  useEffect(() => {
+    if (!isCounting) return;
+
+    const resume = (now) => {
+      segmentStartRef.current = now;
+      lastActivityRef.current = now;
+    };
+
+    let hiddenAt = null;
+    const handleVisibilityChange = () => {
+      const now = Date.now();
+      if (document.hidden) {
+        flush(now);
+        segmentStartRef.current = null;
+        hiddenAt = now;
+        saveReadingSession();
+        return;
+      }
+      if (hiddenAt !== null && now - hiddenAt > SESSION_GAP_MS) {
+        startReadingSession(documentRef.current);
+      }
+      hiddenAt = null;
+      resume(now);
+    };
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (segmentStartRef.current === null) return;
+      // Back from idle: the idle time is not counted
+      if (now - lastActivityRef.current > IDLE_TIMEOUT_MS) {
+        flush(now);
+      }
+      lastActivityRef.current = now;
+    };
+
+    const handlePageHide = () => {
+      flush(Date.now());
+      saveReadingSession();
+    };
+
+    const intervalId = setInterval(() => {
+      flush(Date.now());
+      saveReadingSession();
+    }, SAVE_INTERVAL_MS);
+
+    if (!document.hidden) resume(Date.now());
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, handleActivity, { capture: true, passive: true }));
+
+    return () => {
+      flush(Date.now());
+      segmentStartRef.current = null;
+      saveReadingSession();
+      clearInterval(intervalId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, handleActivity, { capture: true }));
+    };
+  }, [isCounting, documentId, flush]);
+
+  useEffect(() => {
+    if (!documentId) return;
+    startReadingSession(documentRef.current);
+    return () => endReadingSession();
+  }, [documentId]);
+
+  // Page change: the time so far belongs to the previous page; turning a page is activity
+  useEffect(() => {
+    if (pageRef.current === pageNumber) return;
+    const now = Date.now();
+    flush(now);
+    if (segmentStartRef.current !== null) lastActivityRef.current = now;
+    pageRef.current = pageNumber;
+  }, [pageNumber, flush]);
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useVocabulary } from './useVocabulary';
+import { syncReviewCards, gradeReviewCard, getReviewLog, subscribeToReview } from '../storage/reviewStore';
+import { CARD_STATES, GRADES, startOfDay, previewIntervals } from '../utils/srs';
+import { countStreak } from '../utils/readingStats';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// New words introduced per day; the rest wait for the following days
+const NEW_CARDS_PER_DAY = 20;
+
+// Learning cards due this soon are shown rather than making the user wait at the end of a session
+const LEARN_AHEAD = 20 * 60 * 1000;
+
+// How far back the log is loaded for the streak
+const STREAK_DAYS = 365;
+
+function isLearning(card) {
+  return card.state === CARD_STATES.LEARNING || card.state === CARD_STATES.RELEARNING;
+}
+
+function byDue(a, b) {
+  return a.due - b.due;
+}
+
+/**
+ * Hook for the spaced-repetition review of looked-up words
+ * Cards are kept in sync with the vocabulary history; the queue holds learning cards
+ * that are due, reviews due today and today's share of new words
+ * @returns {Object} { isLoading, card, counts, stats, previews, nextDueAt, grade, refresh }
+ */
+export function useReview() {
+  const { entries, isLoading: isVocabularyLoading } = useVocabulary();
+  const [cards, setCards] = useState([]);
+  const [log, setLog] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (isVocabularyLoading) return;
+
+    let cancelled = false;
+    syncReviewCards(entries).then((synced) => {
+      if (cancelled) return;
+      setCards(synced);
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [entries, isVocabularyLoading]);
+
+  const reloadLog = useCallback(async () => {
+    const loaded = await getReviewLog(startOfDay(Date.now()) - STREAK_DAYS * DAY);
+    setLog(loaded);
+  }, []);
+
+  useEffect(() => {
+    reloadLog();
+    return subscribeToReview(reloadLog);
+  }, [reloadLog]);
+
+  const today = startOfDay(now);
+  const tomorrow = startOfDay(today + DAY + DAY / 2);
+
+  const { queue, counts, nextDueAt } = useMemo(() => {
+    const newReviewedToday = log.filter(
+      (entry) => entry.reviewedAt >= today && entry.previousState === CARD_STATES.NEW
+    ).length;
+    const newLimit = Math.max(0, NEW_CARDS_PER_DAY - newReviewedToday);
+
+    const learning = cards.filter(isLearning).sort(byDue);
+    const reviews = cards.filter((card) => card.state === CARD_STATES.REVIEW && card.due < tomorrow).sort(byDue);
+    const newCards = cards.filter((card) => card.state === CARD_STATES.NEW).sort(byDue).slice(0, newLimit);
+
+    const learningDue = learning.filter((card) => card.due <= now);
+    const learningAhead = learning.filter((card) => card.due > now && card.due <= now + LEARN_AHEAD);
+    const waiting = learning.find((card) => card.due > now + LEARN_AHEAD);
+
+    return {
+      queue: [...learningDue, ...reviews, ...newCards, ...learningAhead],
+      counts: {
+        new: newCards.length,
+        learning: learning.filter((card) => card.due < tomorrow).length,
+        review: reviews.length,
+      },
+      nextDueAt: waiting ? waiting.due : null,
+    };
+  }, [cards, log, now, today, tomorrow]);
+
+  const stats = useMemo(() => {
+    const todayLog = log.filter((entry) => entry.reviewedAt >= today);
+    return {
+      reviewed: todayLog.length,
+      correct: todayLog.filter((entry) => entry.grade !== GRADES.AGAIN).length,
+      learned: todayLog.filter((entry) => entry.previousState === CARD_STATES.NEW).length,
+      streak: countStreak(new Set(log.map((entry) => startOfDay(entry.reviewedAt))), today),
+      total: cards.length,
+    };
+  }, [log, cards, today]);
+
+  const card = queue[0] || null;
+  const previews = useMemo(() => (card ? previewIntervals(card, now) : null), [card, now]);
+
+  /**
+   * Grade the current card
+   * @param {string} value - Value from GRADES
+   */
+  const grade = useCallback(async (value) => {
+    if (!card) return;
+    try {
+      const updated = await gradeReviewCard(card, value);
+      setCards((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    } catch (error) {
+      console.error('Failed to save review:', error);
+    }
+    setNow(Date.now());
+  }, [card]);
+
+  // Learning cards become due while the screen is open, and days change
+  const refresh = useCallback(() => setNow(Date.now()), []);
+
+  return {
+    isLoading,
+    card,
+    counts,
+    stats,
+    previews,
+    nextDueAt,
+    grade,
+    refresh,
+  };
+}
@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useReaderSettings } from './useReaderSettings';
+import {
+  isSpeechSupported,
+  isSpeechInterrupted,
+  loadVoices,
+  pickVoice,
+  playAudio,
+  speakText,
+  stopSpeech,
+} from '../utils/speech';
+
+/**
+ * Hook for pronouncing words and sentences
+ * Uses the voice, rate and pitch from reader settings; recorded audio is preferred
+ * and falls back to speech synthesis if the clip can't be played
+ *
+ * @returns {Object} { isSupported, voices, speakingId, speak, stop }
+ */
+export function useSpeech() {
+  const { settings } = useReaderSettings();
+  const [voices, setVoices] = useState([]);
+  // Id of the text being spoken, so the matching button can show it
+  const [speakingId, setSpeakingId] = useState(null);
+
+  // Increments on every speak/stop; only the latest call may clear speakingId
+  const tokenRef = useRef(0);
+  // Whether speech started here is still playing (other components share the synthesizer)
+  const activeRef = useRef(false);
+
+  useEffect(() => {
+    if (!isSpeechSupported()) return;
+
+    let cancelled = false;
+    loadVoices().then((loaded) => {
+      if (!cancelled) setVoices(loaded);
+    });
+
+    // Voices can be installed or downloaded while the app is open
+    const onVoicesChanged = () => setVoices(window.speechSynthesis.getVoices());
+    window.speechSynthesis.addEventListener('voiceschanged', onVoicesChanged);
+
+    return () => {
+      cancelled = true;
+      window.speechSynthesis.removeEventListener('voiceschanged', onVoicesChanged);
+    };
+  }, []);
+
+  const stop = useCallback(() => {
+    tokenRef.current += 1;
+    activeRef.current = false;
+    stopSpeech();
+    setSpeakingId(null);
+  }, []);
+
+  // Stop speaking when the component that started it goes away
+  useEffect(() => () => {
+    if (activeRef.current) stopSpeech();
+  }, []);
+
+  /**
+   * Pronounce text
+   * @param {string} text - Text to speak
+   * @param {Object} options
+   * @param {string} options.lang - ISO 639-1 language code of the text
+   * @param {string|null} [options.audioUrl] - Recorded pronunciation from the backend
+   * @param {string} [options.id] - Id reported in speakingId (defaults to the text)
+   */
+  const speak = useCallback(async (text, { lang, audioUrl, id = text }) => {
+    const token = (tokenRef.current += 1);
+    activeRef.current = true;
+    setSpeakingId(id);
+
+    try {
+      let played = false;
+      if (audioUrl) {
+        try {
+          await playAudio(audioUrl);
+          played = true;
+        } catch (error) {
+          if (isSpeechInterrupted(error)) throw error;
+          console.warn('Recorded audio failed, using speech synthesis:', error);
+        }
+      }
+
+      if (!played && token === tokenRef.current) {
+        await speakText(text, {
+          lang,
+          voice: pickVoice(voices, lang, settings.speechVoices[lang]),
+          rate: settings.speechRate,
+          pitch: settings.speechPitch,
+        });
+      }
+    } catch (error) {
+      if (!isSpeechInterrupted(error)) console.warn('Speech failed:', error);
+    } finally {
+      if (token === tokenRef.current) {
+        activeRef.current = false;
+        setSpeakingId(null);
+      }
+    }
+  }, [voices, settings.speechVoices, settings.speechRate, settings.speechPitch]);
+
+  return {
+    isSupported: isSpeechSupported(),
+    voices,
+    speakingId,
+    speak,
+    stop,
+  };
+}
@@ -1,81 +1,210 @@
-import { useState, useEffect, useCallback } from 'react';
-
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3003';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { DEFAULT_SOURCE_LANG, DEFAULT_TARGET_LANG } from '../constants/languages';
+import {
+  translateText,
+  peekTranslation,
+  isAbortError,
+  getTranslationErrorMessage,
+  TRANSLATION_ERROR_CODES,
+} from '../api/translateApi';
+import { addVocabularyEntry } from '../storage/vocabularyStore';
+import { recordLookup } from '../storage/readingStatsStore';
+import { enqueueAnkiNote } from '../storage/ankiOutboxStore';
+import { enqueueTranslation } from '../storage/translationQueueStore';
 
 /**
  * Custom hook for translation functionality using backend API
+ * Thin wrapper around translateApi: holds React state for the popup
  * Automatically translates text and adds to Anki
+ * Cached translations are shown instantly (isCached) and can be refreshed
+ * Only the latest request may update state: older ones are aborted and their results dropped
+ * Dictionary details (part of speech, transcription, senses) and recorded audio are exposed when the backend sends them
+ * Every successful lookup is recorded in the vocabulary history together with its source
+ * and counted in the reading statistics of the open document
+ * Lookups made offline are queued (isQueued) and translated once the connection returns
  * 
  * @param {string} text - Text to translate
  * @param {Object} options - Translation options
+ * @param {string} options.sourceLang - Source language code (e.g., 'en')
+ * @param {string} options.targetLang - Target language code (e.g., 'ru')
+ * @param {string} [options.endpoint] - Endpoint name from ENDPOINTS (defaults to processTranslation)
+ * @param {number} [options.timeoutMs] - Timeout of a single attempt
+ * @param {number} [options.retries] - Retries for network failures; timeouts and 5xx are retried only for
+ *   the translate endpoint (processTranslation may already have added the Anki note)
+ * @param {Object} [options.source] - Where the text was found (recorded in vocabulary history)
+ * @param {string} [options.source.documentId] - Document identifier
+ * @param {string} [options.source.documentTitle] - Document name
+ * @param {number} [options.source.pageNumber] - Page number
+ * @param {string} [options.source.context] - Surrounding sentence
  * @param {boolean} options.enabled - Whether to enable automatic translation
  * @returns {Object} Translation state and methods
  */
-export function useTranslation(text, { enabled = true } = {}) {
+export function useTranslation(
+  text,
+  {
+    sourceLang = DEFAULT_SOURCE_LANG,
+    targetLang = DEFAULT_TARGET_LANG,
+    endpoint,
+    timeoutMs,
+    retries,
+    source,
+    enabled = true,
+  } = {}
+) {
   const [translation, setTranslation] = useState('');
+  const [dictionary, setDictionary] = useState(null);
+  const [audio, setAudio] = useState(null);
+  const [languagePair, setLanguagePair] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [ankiStatus, setAnkiStatus] = useState(null);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [isQueued, setIsQueued] = useState(false);
+  const [attempt, setAttempt] = useState({ current: 0, max: 0 });
+
+  // Controller of the request currently allowed to update state
+  const requestRef = useRef(null);
+
+  // Latest source location; a ref so it doesn't re-trigger translation
+  const sourceRef = useRef(source);
+  sourceRef.current = source;
+
+  const cancel = useCallback(() => {
+    if (requestRef.current) {
+      requestRef.current.abort();
+      requestRef.current = null;
+    }
+  }, []);
 
-  // Reset state when text changes
+  // Reset state when text or language pair changes
   useEffect(() => {
+    cancel();
     setTranslation('');
+    setDictionary(null);
+    setAudio(null);
+    setLanguagePair(null);
     setError(null);
+    setIsLoading(false);
     setAnkiStatus(null);
+    setCachedAt(null);
+    setIsQueued(false);
+    setAttempt({ current: 0, max: 0 });
+  }, [text, sourceLang, targetLang, cancel]);
+
+  // Abort pending request on unmount
+  useEffect(() => cancel, [cancel]);
+
+  const applyResult = useCallback((result, { record = true } = {}) => {
+    setTranslation(result.translation);
+    // Results cached before dictionary support have no field
+    setDictionary(result.dictionary || null);
+    setAudio(result.audio || null);
+    setLanguagePair({
+      sourceLang: result.sourceLang,
+      targetLang: result.targetLang,
+    });
+    setCachedAt(result.fromCache ? result.cachedAt : null);
+
+    if (record) {
+      addVocabularyEntry({
+        ...sourceRef.current,
+        text,
+        translation: result.translation,
+        dictionary: result.dictionary,
+        sourceLang: result.sourceLang,
+        targetLang: result.targetLang,
+      });
+      recordLookup({ ...sourceRef.current, text });
+    }
   }, [text]);
 
   // Translate function using backend API
-  const translate = useCallback(async () => {
+  const translate = useCallback(async ({ forceRefresh = false } = {}) => {
     if (!text || text.trim().length === 0) {
       return;
     }
 
+    const context = sourceRef.current?.context || undefined;
+    const request = { text, sourceLang, targetLang, context };
+
+    // Newer request supersedes any in-flight one
+    cancel();
+
+    // In-memory cache hit: render synchronously, no loading state
+    const cached = !forceRefresh && peekTranslation(request);
+    if (cached) {
+      applyResult(cached);
+      setError(null);
+      setAnkiStatus(null);
+      setIsLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    requestRef.current = controller;
+    const isCurrent = () => requestRef.current === controller;
+
     setIsLoading(true);
     setError(null);
     setAnkiStatus(null);
+    setIsQueued(false);
+    setAttempt({ current: 0, max: 0 });
 
     try {
-      const response = await fetch(`${API_URL}/api/processTranslation`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      const result = await translateText(request, {
+        endpoint,
+        forceRefresh,
+        timeoutMs,
+        retries,
+        signal: controller.signal,
+        onAttempt: (current, max) => {
+          if (isCurrent()) setAttempt({ current, max });
         },
-        body: JSON.stringify({ text: text.trim() }),
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
-      }
+      // Drop stale response
+      if (!isCurrent()) return;
+
+      // A forced refresh is not a new lookup
+      applyResult(result, { record: !forceRefresh });
 
-      const data = await response.json();
-      
-      setTranslation(data.translation);
-      
       // Set Anki status (non-blocking)
-      if (data.ankiStatus === 'added') {
-        setAnkiStatus({ success: true, noteId: data.ankiNoteId });
-      } else if (data.ankiError) {
-        setAnkiStatus({ success: false, error: data.ankiError });
+      if (result.anki?.status === 'added') {
+        setAnkiStatus({ success: true, noteId: result.anki.noteId });
+      } else if (result.anki?.error) {
+        setAnkiStatus({ success: false, error: result.anki.error });
+        // Keep the note in the outbox so it can be retried later
+        enqueueAnkiNote({
+          text,
+          translation: result.translation,
+          sourceLang,
+          targetLang,
+          context,
+          error: result.anki.error,
+        });
       }
     } catch (err) {
-      console.error('Translation error:', err);
-      
-      // Format error message
-      let errorMessage = 'Translation failed';
-      if (err.message) {
-        if (err.message.includes('fetch') || err.message.includes('network')) {
-          errorMessage = 'Cannot connect to translation service';
-        } else {
-          errorMessage = err.message;
+      if (isAbortError(err) || !isCurrent()) return;
+
+      // Offline: keep the lookup and translate it when the connection returns
+      if (err.code === TRANSLATION_ERROR_CODES.NETWORK && !navigator.onLine && !forceRefresh) {
+        const queued = await enqueueTranslation({ ...sourceRef.current, text, sourceLang, targetLang, endpoint });
+        if (!isCurrent()) return;
+        if (queued) {
+          setIsQueued(true);
+          return;
         }
       }
 
-      setError(errorMessage);
+      console.error('Translation error:', err);
+      setError(getTranslationErrorMessage(err));
     } finally {
-      setIsLoading(false);
+      if (isCurrent()) {
+        requestRef.current = null;
+        setIsLoading(false);
+      }
     }
-  }, [text]);
+  }, [text, sourceLang, targetLang, endpoint, timeoutMs, retries, applyResult, cancel]);
 
   // Auto-translate when enabled and text changes
   useEffect(() => {
@@ -89,22 +218,43 @@ export function useTranslation(text, { enabled = true } = {}) {
     translate();
   }, [translate]);
 
-  // Reset function
+  // Bypass cache and fetch a fresh translation
+  const refresh = useCallback(() => {
+    translate({ forceRefresh: true });
+  }, [translate]);
+
+  // Reset function (also cancels the pending request)
   const reset = useCallback(() => {
+    cancel();
     setTranslation('');
+    setDictionary(null);
+    setAudio(null);
+    setLanguagePair(null);
     setError(null);
     setIsLoading(false);
     setAnkiStatus(null);
-  }, []);
+    setCachedAt(null);
+    setIsQueued(false);
+    setAttempt({ current: 0, max: 0 });
+  }, [cancel]);
 
   return {
     translation,
+    dictionary,
+    audio,
+    languagePair,
     isLoading,
     error,
     ankiStatus,
+    isCached: cachedAt !== null,
+    cachedAt,
+    isQueued,
+    attempt: attempt.current,
+    maxAttempts: attempt.max,
     translate,
     retry,
+    refresh,
+    cancel,
     reset,
   };
 }
-
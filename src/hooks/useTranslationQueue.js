@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getQueuedTranslations, subscribeToTranslationQueue } from '../storage/translationQueueStore';
+import { flushTranslationQueue } from '../api/translationQueue';
+import { getTelegramApp } from '../telegram/telegramApp';
+
+/**
+ * Hook for lookups made offline and waiting for a connection
+ * Queued lookups are translated when connectivity returns, the app regains focus, or at startup
+ *
+ * @returns {Object} { items, pendingCount, isOnline, isSyncing }
+ */
+export function useTranslationQueue() {
+  const [items, setItems] = useState([]);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const reload = useCallback(async () => {
+    setItems(await getQueuedTranslations());
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToTranslationQueue(reload);
+  }, [reload]);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (!navigator.onLine) return;
+    setIsSyncing(true);
+    try {
+      await flushTranslationQueue();
+    } catch (error) {
+      console.error('Translation queue flush failed:', error);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  const pendingCount = items.length;
+
+  // Translate as soon as there is something queued and a connection
+  useEffect(() => {
+    if (isOnline && pendingCount > 0) flush();
+  }, [isOnline, pendingCount, flush]);
+
+  // navigator.onLine can be true on a dead network; retry when the app comes back
+  useEffect(() => {
+    if (pendingCount === 0) return;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') flush();
+    };
+
+    window.addEventListener('focus', flush);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    // Telegram fires 'activated' when the Mini App comes back to foreground
+    const tg = getTelegramApp();
+    tg?.onEvent?.('activated', flush);
+
+    return () => {
+      window.removeEventListener('focus', flush);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      tg?.offEvent?.('activated', flush);
+    };
+  }, [pendingCount, flush]);
+
+  return {
+    items,
+    pendingCount,
+    isOnline,
+    isSyncing,
+  };
+}
@@ -0,0 +1,187 @@
+import { useEffect, useRef } from 'react';
+
+// Swipe: mostly horizontal, quick, long enough
+const SWIPE_MIN_DISTANCE_PX = 60;
+const SWIPE_MAX_OFF_AXIS_PX = 50;
+const SWIPE_MAX_DURATION_MS = 600;
+
+// Double tap: two short taps close in time and space
+const DOUBLE_TAP_MAX_DELAY_MS = 300;
+const DOUBLE_TAP_MAX_DISTANCE_PX = 30;
+const TAP_MAX_MOVEMENT_PX = 10;
+
+function distance(a, b) {
+  return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+}
+
+function midpoint(a, b) {
+  return { x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 };
+}
+
+// A finished text selection means the touch was selecting, not gesturing
+function hasTextSelection() {
+  return !!window.getSelection()?.toString().trim();
+}
+
+/**
+ * Hook for touch gestures on the PDF viewer
+ * - horizontal swipe: page navigation
+ * - pinch: zoom anchored at the pinch point (live CSS preview, committed on release)
+ * - double tap: fit to screen
+ * Gestures never fire while a text selection is being made, so translation keeps working
+ *
+ * @param {React.RefObject<HTMLElement>} targetRef - Element receiving touches
+ * @param {Object} handlers
+ * @param {boolean} [handlers.enabled] - Whether gestures are active
+ * @param {function(): void} [handlers.onSwipeLeft] - Swipe to the left (next page)
+ * @param {function(): void} [handlers.onSwipeRight] - Swipe to the right (previous page)
+ * @param {function(number, {x: number, y: number}): void} [handlers.onPinchEnd] - Called with scale ratio and anchor point (client coords)
+ * @param {function({x: number, y: number}): void} [handlers.onDoubleTap] - Called with tap point (client coords)
+ * @param {React.RefObject<HTMLElement>} [handlers.previewRef] - Element scaled with CSS while pinching
+ */
+export function useViewerGestures(targetRef, handlers) {
+  // Handlers change every render; keep listeners stable
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const enabled = handlers.enabled !== false;
+
+  // Re-attached when enabled changes, which also covers the target mounting later
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!target || !enabled) return;
+
+    let touchStart = null;
+    let pinch = null;
+    let lastTap = null;
+    let moved = false;
+
+    const resetPreview = () => {
+      const preview = handlersRef.current.previewRef?.current;
+      if (preview) {
+        preview.style.transform = '';
+        preview.style.transformOrigin = '';
+      }
+    };
+
+    const handleTouchStart = (event) => {
+      if (event.touches.length === 2) {
+        const [a, b] = event.touches;
+        const preview = handlersRef.current.previewRef?.current;
+        const rect = preview?.getBoundingClientRect();
+        const center = midpoint(a, b);
+        pinch = {
+          startDistance: distance(a, b),
+          ratio: 1,
+          anchor: center,
+          origin: rect ? { x: center.x - rect.left, y: center.y - rect.top } : null,
+        };
+        touchStart = null;
+        return;
+      }
+
+      if (event.touches.length === 1) {
+        const touch = event.touches[0];
+        touchStart = { clientX: touch.clientX, clientY: touch.clientY, time: Date.now() };
+        moved = false;
+      }
+    };
+
+    const handleTouchMove = (event) => {
+      if (pinch && event.touches.length === 2) {
+        // Take over from the browser's own zoom/scroll
+        event.preventDefault();
+        const [a, b] = event.touches;
+        pinch.ratio = distance(a, b) / pinch.startDistance;
+
+        const preview = handlersRef.current.previewRef?.current;
+        if (preview && pinch.origin) {
+          preview.style.transformOrigin = `${pinch.origin.x}px ${pinch.origin.y}px`;
+          preview.style.transform = `scale(${pinch.ratio})`;
+        }
+        return;
+      }
+
+      if (touchStart && event.touches.length === 1 && distance(event.touches[0], touchStart) > TAP_MAX_MOVEMENT_PX) {
+        moved = true;
+      }
+    };
+
+    const handleTouchEnd = (event) => {
+      if (pinch) {
+        if (event.touches.length === 0) {
+          const { ratio, anchor } = pinch;
+          pinch = null;
+          resetPreview();
+          if (Math.abs(ratio - 1) > 0.05) {
+            handlersRef.current.onPinchEnd?.(ratio, anchor);
+          }
+        }
+        return;
+      }
+
+      if (!touchStart || event.changedTouches.length !== 1) return;
+      const touch = event.changedTouches[0];
+      const dx = touch.clientX - touchStart.clientX;
+      const dy = touch.clientY - touchStart.clientY;
+      const duration = Date.now() - touchStart.time;
+      const start = touchStart;
+      touchStart = null;
+
+      if (hasTextSelection()) {
+        lastTap = null;
+        return;
+      }
+
+      // Swipe
+      if (
+        Math.abs(dx) >= SWIPE_MIN_DISTANCE_PX &&
+        Math.abs(dy) <= SWIPE_MAX_OFF_AXIS_PX &&
+        duration <= SWIPE_MAX_DURATION_MS
+      ) {
+        lastTap = null;
+        if (dx < 0) handlersRef.current.onSwipeLeft?.();
+        else handlersRef.current.onSwipeRight?.();
+        return;
+      }
+
+      // Double tap
+      if (moved) {
+        lastTap = null;
+        return;
+      }
+      const now = Date.now();
+      if (
+        lastTap &&
+        now - lastTap.time <= DOUBLE_TAP_MAX_DELAY_MS &&
+        distance(start, lastTap) <= DOUBLE_TAP_MAX_DISTANCE_PX
+      ) {
+        lastTap = null;
+        handlersRef.current.onDoubleTap?.({ x: start.clientX, y: start.clientY });
+      } else {
+        lastTap = { clientX: start.clientX, clientY: start.clientY, time: now };
+      }
+    };
+
+    const handleTouchCancel = () => {
+      touchStart = null;
+      if (pinch) {
+        pinch = null;
+        resetPreview();
+      }
+    };
+
+    target.addEventListener('touchstart', handleTouchStart, { passive: true });
+    // Non-passive so pinch can prevent native zoom
+    target.addEventListener('touchmove', handleTouchMove, { passive: false });
+    target.addEventListener('touchend', handleTouchEnd);
+    target.addEventListener('touchcancel', handleTouchCancel);
+
+    return () => {
+      target.removeEventListener('touchstart', handleTouchStart);
+      target.removeEventListener('touchmove', handleTouchMove);
+      target.removeEventListener('touchend', handleTouchEnd);
+      target.removeEventListener('touchcancel', handleTouchCancel);
+      resetPreview();
+    };
+  }, [targetRef, enabled]);
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { getTelegramApp, getViewportStableHeight } from '../telegram/telegramApp';
+
+function readViewport() {
+  return {
+    width: window.innerWidth,
+    height: getViewportStableHeight() || window.innerHeight,
+    pixelRatio: window.devicePixelRatio || 1,
+  };
+}
+
+/**
+ * Hook that tracks the visible viewport and device pixel ratio
+ * Height follows Telegram's stable viewport height, so it does not jump while
+ * the Mini App is being expanded or the keyboard is animating
+ * @returns {{width: number, height: number, pixelRatio: number}}
+ */
+export function useViewportSize() {
+  const [viewport, setViewport] = useState(readViewport);
+
+  useEffect(() => {
+    const update = () => {
+      setViewport((prev) => {
+        const next = readViewport();
+        return next.width === prev.width &&
+          next.height === prev.height &&
+          next.pixelRatio === prev.pixelRatio
+          ? prev
+          : next;
+      });
+    };
+
+    window.addEventListener('resize', update);
+    window.addEventListener('orientationchange', update);
+
+    const tg = getTelegramApp();
+    tg?.onEvent?.('viewportChanged', update);
+
+    return () => {
+      window.removeEventListener('resize', update);
+      window.removeEventListener('orientationchange', update);
+      tg?.offEvent?.('viewportChanged', update);
+    };
+  }, []);
+
+  // Browser zoom or moving the window to another screen changes the ratio without a resize
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${viewport.pixelRatio}dppx)`);
+    const handleChange = () => setViewport(readViewport());
+    query.addEventListener?.('change', handleChange);
+    return () => query.removeEventListener?.('change', handleChange);
+  }, [viewport.pixelRatio]);
+
+  return viewport;
+}
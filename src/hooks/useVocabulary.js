@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getVocabularyEntries,
+  deleteVocabularyEntry,
+  clearVocabulary,
+  subscribeToVocabulary,
+} from '../storage/vocabularyStore';
+
+/**
+ * Hook for the persisted vocabulary history
+ * Reloads automatically whenever the store changes
+ * @returns {Object} { entries, documents, isLoading, deleteEntry, clearAll, reload }
+ */
+export function useVocabulary() {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    const loaded = await getVocabularyEntries();
+    setEntries(loaded);
+    setIsLoading(false);
+  }, []);
+
+  useEffect(() => {
+    reload();
+    return subscribeToVocabulary(reload);
+  }, [reload]);
+
+  // Distinct documents for filtering
+  const documents = useMemo(() => {
+    const byId = new Map();
+    entries.forEach((entry) => {
+      if (entry.documentId && !byId.has(entry.documentId)) {
+        byId.set(entry.documentId, {
+          id: entry.documentId,
+          title: entry.documentTitle || entry.documentId,
+        });
+      }
+    });
+    return Array.from(byId.values());
+  }, [entries]);
+
+  const deleteEntry = useCallback((id) => deleteVocabularyEntry(id).catch((error) => {
+    console.error('Failed to delete vocabulary entry:', error);
+  }), []);
+
+  const clearAll = useCallback(() => clearVocabulary().catch((error) => {
+    console.error('Failed to clear vocabulary:', error);
+  }), []);
+
+  return {
+    entries,
+    documents,
+    isLoading,
+    deleteEntry,
+    clearAll,
+    reload,
+  };
+}
@@ -2,6 +2,11 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import { registerServiceWorker } from './utils/serviceWorker'
+
+if (import.meta.env.PROD) {
+  registerServiceWorker()
+}
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
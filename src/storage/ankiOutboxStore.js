@@ -0,0 +1,120 @@
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from './db';
+import { getCacheKey } from './translationCache';
+
+/**
+ * Anki outbox store
+ * Persists Anki note additions that failed on the backend so they can be retried
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to outbox changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToAnkiOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} AnkiOutboxItem
+ * @property {string} id - Item id (language pair + normalized text)
+ * @property {string} text - Text to add
+ * @property {string} translation - Translation at the time of failure
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string|null} context - Sentence the text was found in
+ * @property {string|null} error - Last Anki error
+ * @property {number} attempts - Failed attempts so far
+ * @property {number} createdAt - When the item was queued
+ * @property {number|null} lastAttemptAt - Last retry timestamp
+ */
+
+/**
+ * Queue a failed Anki addition (merges with an existing item for the same word)
+ * @param {Object} item
+ * @param {string} item.text - Text to add
+ * @param {string} item.translation - Translation
+ * @param {string} item.sourceLang - Source language code
+ * @param {string} item.targetLang - Target language code
+ * @param {string} [item.context] - Sentence the text was found in
+ * @param {string} [item.error] - Anki error reported by backend
+ * @returns {Promise<void>}
+ */
+export async function enqueueAnkiNote({ text, translation, sourceLang, targetLang, context, error }) {
+  const id = getCacheKey(text, sourceLang, targetLang);
+
+  try {
+    const existing = await getRecord(STORES.ANKI_OUTBOX, id);
+    await putRecord(STORES.ANKI_OUTBOX, {
+      id,
+      text: text.trim(),
+      translation,
+      sourceLang,
+      targetLang,
+      context: context || null,
+      error: error || null,
+      attempts: (existing?.attempts || 0) + 1,
+      createdAt: existing?.createdAt || Date.now(),
+      lastAttemptAt: Date.now(),
+    });
+    notifyListeners();
+  } catch (err) {
+    console.warn('Failed to queue Anki note:', err);
+  }
+}
+
+/**
+ * Get queued items, oldest first
+ * @returns {Promise<AnkiOutboxItem[]>}
+ */
+export async function getAnkiOutboxItems() {
+  try {
+    const items = await getAllRecords(STORES.ANKI_OUTBOX);
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.warn('Failed to load Anki outbox:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a failed retry
+ * @param {AnkiOutboxItem} item - Queued item
+ * @param {string} error - Error message
+ * @returns {Promise<void>}
+ */
+export async function markAnkiOutboxAttempt(item, error) {
+  await putRecord(STORES.ANKI_OUTBOX, {
+    ...item,
+    error,
+    attempts: item.attempts + 1,
+    lastAttemptAt: Date.now(),
+  });
+  notifyListeners();
+}
+
+/**
+ * Remove an item (delivered or discarded)
+ * @param {string} id - Item id
+ * @returns {Promise<void>}
+ */
+export async function removeAnkiOutboxItem(id) {
+  await deleteRecord(STORES.ANKI_OUTBOX, id);
+  notifyListeners();
+}
+
+/**
+ * Discard all queued items
+ * @returns {Promise<void>}
+ */
+export async function clearAnkiOutbox() {
+  await clearStore(STORES.ANKI_OUTBOX);
+  notifyListeners();
+}
@@ -0,0 +1,227 @@
+/**
+ * IndexedDB access layer
+ * Single database for all persisted client data; every store is declared here
+ */
+
+const DB_NAME = 'pdf-translator';
+const DB_VERSION = 9;
+
+/**
+ * Object store names
+ */
+export const STORES = {
+  TRANSLATIONS: 'translations',
+  VOCABULARY: 'vocabulary',
+  ANKI_OUTBOX: 'ankiOutbox',
+  DOCUMENTS: 'documents',
+  HIGHLIGHTS: 'highlights',
+  TRANSLATION_QUEUE: 'translationQueue',
+  REVIEW_CARDS: 'reviewCards',
+  REVIEW_LOG: 'reviewLog',
+  READING_SESSIONS: 'readingSessions',
+  PASSAGE_TRANSLATIONS: 'passageTranslations',
+};
+
+/**
+ * Store definitions: key path and secondary indexes
+ * Missing stores and indexes are created on version upgrade
+ */
+const STORE_DEFINITIONS = {
+  [STORES.TRANSLATIONS]: {
+    keyPath: 'key',
+    indexes: [{ name: 'accessedAt', keyPath: 'accessedAt' }],
+  },
+  [STORES.VOCABULARY]: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'updatedAt', keyPath: 'updatedAt' },
+      { name: 'documentId', keyPath: 'documentId' },
+    ],
+  },
+  [STORES.ANKI_OUTBOX]: {
+    keyPath: 'id',
+    indexes: [{ name: 'createdAt', keyPath: 'createdAt' }],
+  },
+  [STORES.DOCUMENTS]: {
+    keyPath: 'id',
+    indexes: [{ name: 'lastOpenedAt', keyPath: 'lastOpenedAt' }],
+  },
+  [STORES.HIGHLIGHTS]: {
+    keyPath: 'id',
+    indexes: [{ name: 'documentId', keyPath: 'documentId' }],
+  },
+  [STORES.TRANSLATION_QUEUE]: {
+    keyPath: 'id',
+    indexes: [{ name: 'createdAt', keyPath: 'createdAt' }],
+  },
+  [STORES.REVIEW_CARDS]: {
+    keyPath: 'id',
+    indexes: [{ name: 'due', keyPath: 'due' }],
+  },
+  [STORES.REVIEW_LOG]: {
+    keyPath: 'id',
+    autoIncrement: true,
+    indexes: [{ name: 'reviewedAt', keyPath: 'reviewedAt' }],
+  },
+  [STORES.READING_SESSIONS]: {
+    keyPath: 'id',
+    indexes: [{ name: 'startedAt', keyPath: 'startedAt' }],
+  },
+  [STORES.PASSAGE_TRANSLATIONS]: {
+    keyPath: 'key',
+    indexes: [{ name: 'accessedAt', keyPath: 'accessedAt' }],
+  },
+};
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available (may be disabled in private mode / webviews)
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function upgradeDatabase(db, transaction) {
+  Object.entries(STORE_DEFINITIONS).forEach(([name, definition]) => {
+    const store = db.objectStoreNames.contains(name)
+      ? transaction.objectStore(name)
+      : db.createObjectStore(name, {
+          keyPath: definition.keyPath,
+          autoIncrement: !!definition.autoIncrement,
+        });
+
+    (definition.indexes || []).forEach((index) => {
+      if (!store.indexNames.contains(index.name)) {
+        store.createIndex(index.name, index.keyPath, { unique: !!index.unique });
+      }
+    });
+  });
+}
+
+/**
+ * Open (and upgrade if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        upgradeDatabase(request.result, request.transaction);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema - close so it can proceed
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback against an object store inside a transaction
+ * Resolves once the transaction has committed
+ * @param {string} storeName - Store name from STORES
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): (IDBRequest|void)} callback - May return a request whose result is resolved
+ * @returns {Promise<*>} Request result
+ */
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Store name from STORES
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', (store) => store.get(key));
+}
+
+/**
+ * Get all records of a store
+ * @param {string} storeName - Store name from STORES
+ * @returns {Promise<Object[]>}
+ */
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Get all records matching an index key
+ * @param {string} storeName - Store name from STORES
+ * @param {string} indexName - Index name from STORE_DEFINITIONS
+ * @param {IDBValidKey|IDBKeyRange} query - Index key or range
+ * @returns {Promise<Object[]>}
+ */
+export function getRecordsByIndex(storeName, indexName, query) {
+  return withStore(storeName, 'readonly', (store) => store.index(indexName).getAll(query));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Store name from STORES
+ * @param {Object} value - Record (must contain the store key path)
+ * @returns {Promise<IDBValidKey>} Record key
+ */
+export function putRecord(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => store.put(value));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Store name from STORES
+ * @param {IDBValidKey} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', (store) => store.delete(key));
+}
+
+/**
+ * Delete all records of a store
+ * @param {string} storeName - Store name from STORES
+ * @returns {Promise<void>}
+ */
+export function clearStore(storeName) {
+  return withStore(storeName, 'readwrite', (store) => store.clear());
+}
+
+/**
+ * Count records of a store
+ * @param {string} storeName - Store name from STORES
+ * @returns {Promise<number>}
+ */
+export function countRecords(storeName) {
+  return withStore(storeName, 'readonly', (store) => store.count());
+}
@@ -0,0 +1,118 @@
+import { STORES, getRecord, getRecordsByIndex, putRecord, deleteRecord } from './db';
+
+/**
+ * Highlights store
+ * Marked passages with an optional note, anchored to text layer positions of a page
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to highlight changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToHighlights(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} Highlight
+ * @property {string} id - Highlight id
+ * @property {string} documentId - Document identifier
+ * @property {string|null} documentTitle - Human readable document name
+ * @property {number} pageNumber - Page of the passage
+ * @property {import('../utils/textAnchors').TextAnchor} anchor - Position in the page text layer
+ * @property {string} text - Highlighted text
+ * @property {string} color - Color id from HIGHLIGHT_COLORS
+ * @property {string} note - User note (may be empty)
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} updatedAt - Last edit timestamp
+ */
+
+function createId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function byPosition(a, b) {
+  return (
+    a.pageNumber - b.pageNumber ||
+    a.anchor.start.index - b.anchor.start.index ||
+    a.anchor.start.offset - b.anchor.start.offset
+  );
+}
+
+/**
+ * Add a highlight
+ * @param {Object} draft
+ * @param {string} draft.documentId - Document identifier
+ * @param {string} [draft.documentTitle] - Document name
+ * @param {import('../utils/textAnchors').TextAnchor} draft.anchor - Anchor from getSelectionAnchor
+ * @param {string} draft.color - Color id
+ * @param {string} [draft.note] - Note
+ * @returns {Promise<Highlight>}
+ */
+export async function addHighlight({ documentId, documentTitle, anchor, color, note = '' }) {
+  const now = Date.now();
+  const highlight = {
+    id: createId(),
+    documentId,
+    documentTitle: documentTitle || null,
+    pageNumber: anchor.pageNumber,
+    anchor,
+    text: anchor.text,
+    color,
+    note,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await putRecord(STORES.HIGHLIGHTS, highlight);
+  notifyListeners();
+  return highlight;
+}
+
+/**
+ * Update color or note of a highlight
+ * @param {string} id - Highlight id
+ * @param {{color?: string, note?: string}} patch - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateHighlight(id, patch) {
+  const existing = await getRecord(STORES.HIGHLIGHTS, id);
+  if (!existing) return;
+  await putRecord(STORES.HIGHLIGHTS, { ...existing, ...patch, updatedAt: Date.now() });
+  notifyListeners();
+}
+
+/**
+ * Delete a highlight
+ * @param {string} id - Highlight id
+ * @returns {Promise<void>}
+ */
+export async function deleteHighlight(id) {
+  await deleteRecord(STORES.HIGHLIGHTS, id);
+  notifyListeners();
+}
+
+/**
+ * Get highlights of a document in reading order
+ * @param {string} documentId - Document identifier
+ * @returns {Promise<Highlight[]>}
+ */
+export async function getDocumentHighlights(documentId) {
+  try {
+    const highlights = await getRecordsByIndex(STORES.HIGHLIGHTS, 'documentId', documentId);
+    return highlights.sort(byPosition);
+  } catch (error) {
+    console.warn('Failed to load highlights:', error);
+    return [];
+  }
+}
@@ -0,0 +1,129 @@
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord } from './db';
+import { getDocumentInfo } from '../utils/documentInfo';
+
+/**
+ * Document library store
+ * Uploaded PDFs (as Blobs) and URL documents with metadata and per-document reading position
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to library changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToLibrary(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} ReadingPosition
+ * @property {number} pageNumber - Last viewed page
+ * @property {number} scale - Zoom level
+ */
+
+/**
+ * @typedef {Object} LibraryDocument
+ * @property {string} id - Document id (see getDocumentInfo)
+ * @property {string} title - Display title
+ * @property {File|null} file - Stored PDF for uploaded documents
+ * @property {string|null} url - URL for remote/bundled documents
+ * @property {number|null} size - File size in bytes
+ * @property {number|null} pageCount - Number of pages (known after first open)
+ * @property {string|null} thumbnail - First page preview (data URL)
+ * @property {ReadingPosition|null} position - Reading position
+ * @property {number} progress - Read fraction 0..1
+ * @property {number} addedAt - When the document was added
+ * @property {number} lastOpenedAt - When the document was last opened
+ */
+
+/**
+ * Add a document to the library (or return the existing record)
+ * @param {string|File} source - URL or uploaded file
+ * @returns {Promise<LibraryDocument>}
+ */
+export async function addToLibrary(source) {
+  const info = getDocumentInfo(source);
+  const existing = await getRecord(STORES.DOCUMENTS, info.id);
+  if (existing) return existing;
+
+  const now = Date.now();
+  const record = {
+    id: info.id,
+    title: info.title,
+    file: typeof source === 'string' ? null : source,
+    url: info.url,
+    size: typeof source === 'string' ? null : source.size,
+    pageCount: null,
+    thumbnail: null,
+    position: null,
+    progress: 0,
+    addedAt: now,
+    lastOpenedAt: now,
+  };
+
+  await putRecord(STORES.DOCUMENTS, record);
+  notifyListeners();
+  return record;
+}
+
+/**
+ * Get a library document by id
+ * @param {string} id - Document id
+ * @returns {Promise<LibraryDocument|null>}
+ */
+export async function getLibraryDocument(id) {
+  try {
+    return (await getRecord(STORES.DOCUMENTS, id)) || null;
+  } catch (error) {
+    console.warn('Failed to load library document:', error);
+    return null;
+  }
+}
+
+/**
+ * Get all library documents, most recently opened first
+ * @returns {Promise<LibraryDocument[]>}
+ */
+export async function getLibraryDocuments() {
+  try {
+    const documents = await getAllRecords(STORES.DOCUMENTS);
+    return documents.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+  } catch (error) {
+    console.warn('Failed to load library:', error);
+    return [];
+  }
+}
+
+/**
+ * Update fields of a library document
+ * @param {string} id - Document id
+ * @param {Partial<LibraryDocument>} patch - Fields to update
+ * @returns {Promise<void>}
+ */
+export async function updateLibraryDocument(id, patch) {
+  try {
+    const existing = await getRecord(STORES.DOCUMENTS, id);
+    if (!existing) return;
+    await putRecord(STORES.DOCUMENTS, { ...existing, ...patch });
+    notifyListeners();
+  } catch (error) {
+    console.warn('Failed to update library document:', error);
+  }
+}
+
+/**
+ * Remove a document from the library
+ * @param {string} id - Document id
+ * @returns {Promise<void>}
+ */
+export async function removeFromLibrary(id) {
+  await deleteRecord(STORES.DOCUMENTS, id);
+  notifyListeners();
+}
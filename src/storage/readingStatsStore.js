@@ -0,0 +1,163 @@
+import { STORES, getRecordsByIndex, putRecord, clearStore } from './db';
+import { normalizeCacheText } from './translationCache';
+
+/**
+ * Reading statistics store
+ * One record per reading session: time spent on each page, lookups per page and the
+ * distinct words looked up. The open session is kept in memory and saved periodically
+ * by the reading tracker; everything stays on the device
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to reading statistics changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToReadingStats(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} PageStats
+ * @property {number} readingMs - Time spent on the page
+ * @property {number} lookups - Words and phrases looked up on the page
+ */
+
+/**
+ * @typedef {Object} ReadingSession
+ * @property {string} id - Session id (document + start time)
+ * @property {string} documentId - Document identifier
+ * @property {string|null} documentTitle - Human readable document name
+ * @property {number} startedAt - Session start
+ * @property {number} updatedAt - Last saved activity
+ * @property {number} readingMs - Total active reading time
+ * @property {number} lookups - Total lookups
+ * @property {Object<string, PageStats>} pages - Stats by page number
+ * @property {string[]} words - Distinct normalized words looked up
+ */
+
+// Session of the open document; null when nothing is being read
+let activeSession = null;
+let isDirty = false;
+
+/**
+ * Start a session for a document (ends the previous one)
+ * @param {Object} document
+ * @param {string} document.id - Document identifier
+ * @param {string} [document.title] - Document name
+ */
+export function startReadingSession({ id, title }) {
+  endReadingSession();
+  const now = Date.now();
+  activeSession = {
+    id: `${id}|${now}`,
+    documentId: id,
+    documentTitle: title || null,
+    startedAt: now,
+    updatedAt: now,
+    readingMs: 0,
+    lookups: 0,
+    pages: {},
+    words: [],
+  };
+  isDirty = false;
+}
+
+function getPageStats(pageNumber) {
+  if (!activeSession.pages[pageNumber]) {
+    activeSession.pages[pageNumber] = { readingMs: 0, lookups: 0 };
+  }
+  return activeSession.pages[pageNumber];
+}
+
+/**
+ * Add active reading time to a page of the open session
+ * @param {number} pageNumber - Page that was on screen
+ * @param {number} ms - Time to add
+ */
+export function addPageTime(pageNumber, ms) {
+  if (!activeSession || !pageNumber || ms <= 0) return;
+  getPageStats(pageNumber).readingMs += ms;
+  activeSession.readingMs += ms;
+  activeSession.updatedAt = Date.now();
+  isDirty = true;
+}
+
+/**
+ * Count a lookup in the open session
+ * Lookups from other documents (e.g. retried from the offline queue) are ignored
+ * @param {Object} lookup
+ * @param {string} lookup.text - Looked-up text
+ * @param {string} [lookup.documentId] - Document the text was found in
+ * @param {number} [lookup.pageNumber] - Page the text was found on
+ */
+export function recordLookup({ text, documentId, pageNumber }) {
+  if (!activeSession || documentId !== activeSession.documentId) return;
+
+  const normalizedText = normalizeCacheText(text);
+  if (!normalizedText) return;
+
+  if (pageNumber) getPageStats(pageNumber).lookups += 1;
+  activeSession.lookups += 1;
+  if (!activeSession.words.includes(normalizedText)) activeSession.words.push(normalizedText);
+  activeSession.updatedAt = Date.now();
+  isDirty = true;
+  saveReadingSession();
+}
+
+/**
+ * Persist the open session if anything changed since the last save
+ * @returns {Promise<void>}
+ */
+export async function saveReadingSession() {
+  if (!activeSession || !isDirty) return;
+  isDirty = false;
+  try {
+    await putRecord(STORES.READING_SESSIONS, activeSession);
+    notifyListeners();
+  } catch (error) {
+    console.warn('Failed to save reading session:', error);
+  }
+}
+
+/**
+ * Save and close the open session
+ */
+export function endReadingSession() {
+  if (!activeSession) return;
+  saveReadingSession();
+  activeSession = null;
+}
+
+/**
+ * Get sessions started since a time
+ * @param {number} since - ms timestamp
+ * @returns {Promise<ReadingSession[]>} Oldest first
+ */
+export async function getReadingSessions(since) {
+  try {
+    return await getRecordsByIndex(STORES.READING_SESSIONS, 'startedAt', IDBKeyRange.lowerBound(since));
+  } catch (error) {
+    console.warn('Failed to load reading sessions:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete all reading statistics (the open session starts over)
+ */
+export async function clearReadingStats() {
+  if (activeSession) {
+    activeSession = { ...activeSession, readingMs: 0, lookups: 0, pages: {}, words: [] };
+    isDirty = false;
+  }
+  await clearStore(STORES.READING_SESSIONS);
+  notifyListeners();
+}
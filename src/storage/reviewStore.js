@@ -0,0 +1,160 @@
+import { STORES, getAllRecords, getRecordsByIndex, putRecord, withStore } from './db';
+import { createSchedulingState, scheduleCard } from '../utils/srs';
+
+/**
+ * Review store
+ * Flashcards for the in-app spaced-repetition review. There is one card per word and
+ * language pair, however many times and places the word was looked up; card content
+ * is refreshed from the vocabulary history, scheduling state is kept between syncs
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to review changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToReview(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} ReviewCard
+ * @property {string} id - Card id (language pair + normalized word)
+ * @property {string} text - Word as last looked up
+ * @property {string} translation - Latest translation
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string|null} context - Latest sentence the word was found in
+ * @property {string|null} documentTitle - Document of that sentence
+ * @property {import('../types/translation').DictionaryEntry|null} dictionary - Latest dictionary details
+ * @property {number} createdAt - When the card was created
+ * @property {number|null} lastReviewedAt - Last review time
+ * (plus the SchedulingState fields from utils/srs)
+ */
+
+/**
+ * @typedef {Object} ReviewLogEntry
+ * @property {number} id - Auto-increment id
+ * @property {string} cardId - Reviewed card
+ * @property {string} grade - Grade from GRADES
+ * @property {string} previousState - Card state before the review
+ * @property {number} reviewedAt - Review time
+ */
+
+function buildCardId({ sourceLang, targetLang, normalizedText }) {
+  return [sourceLang, targetLang, normalizedText].join('|');
+}
+
+/**
+ * Card content from the vocabulary entries of one word (newest first)
+ * @param {import('./vocabularyStore').VocabularyEntry[]} entries
+ */
+function buildCardContent(entries) {
+  const latest = entries[0];
+  const withContext = entries.find((entry) => entry.context);
+  const withDictionary = entries.find((entry) => entry.dictionary);
+  return {
+    text: latest.text,
+    translation: latest.translation,
+    sourceLang: latest.sourceLang,
+    targetLang: latest.targetLang,
+    context: withContext?.context || null,
+    documentTitle: withContext?.documentTitle || latest.documentTitle || null,
+    dictionary: withDictionary?.dictionary || null,
+  };
+}
+
+function isSameContent(card, content) {
+  return Object.keys(content).every((key) => JSON.stringify(card[key]) === JSON.stringify(content[key]));
+}
+
+/**
+ * Bring the cards in line with the vocabulary history
+ * New words get new cards and changed translations/sentences update card content.
+ * Cards are never deleted here: a word missing from the entries (removed from the
+ * history, or a failed read) keeps its card and its review progress
+ * @param {import('./vocabularyStore').VocabularyEntry[]} entries - Vocabulary entries, newest first
+ * @returns {Promise<ReviewCard[]>} All cards after the sync
+ */
+export async function syncReviewCards(entries) {
+  const byCard = new Map();
+  entries.forEach((entry) => {
+    const id = buildCardId(entry);
+    if (!byCard.has(id)) byCard.set(id, []);
+    byCard.get(id).push(entry);
+  });
+
+  try {
+    const existing = await getAllRecords(STORES.REVIEW_CARDS);
+    const existingById = new Map(existing.map((card) => [card.id, card]));
+    const now = Date.now();
+    const puts = [];
+
+    byCard.forEach((cardEntries, id) => {
+      const content = buildCardContent(cardEntries);
+      const card = existingById.get(id);
+      if (!card) {
+        // New cards are due from the first lookup, so the oldest words are introduced first
+        const createdAt = Math.min(...cardEntries.map((entry) => entry.createdAt || now));
+        puts.push({ id, ...content, ...createSchedulingState(createdAt), createdAt, lastReviewedAt: null });
+      } else if (!isSameContent(card, content)) {
+        puts.push({ ...card, ...content });
+      }
+    });
+
+    if (puts.length > 0) {
+      await withStore(STORES.REVIEW_CARDS, 'readwrite', (store) => {
+        puts.forEach((card) => store.put(card));
+      });
+    }
+
+    const updated = new Map(existingById);
+    puts.forEach((card) => updated.set(card.id, card));
+    return Array.from(updated.values());
+  } catch (error) {
+    console.warn('Failed to sync review cards:', error);
+    return [];
+  }
+}
+
+/**
+ * Grade a card and record the review
+ * @param {ReviewCard} card - Reviewed card
+ * @param {string} grade - Grade from GRADES
+ * @returns {Promise<ReviewCard>} Rescheduled card
+ */
+export async function gradeReviewCard(card, grade) {
+  const now = Date.now();
+  const updated = { ...card, ...scheduleCard(card, grade, now), lastReviewedAt: now };
+
+  await putRecord(STORES.REVIEW_CARDS, updated);
+  await putRecord(STORES.REVIEW_LOG, {
+    cardId: card.id,
+    grade,
+    previousState: card.state,
+    reviewedAt: now,
+  });
+  notifyListeners();
+  return updated;
+}
+
+/**
+ * Get reviews made since a time
+ * @param {number} since - ms timestamp
+ * @returns {Promise<ReviewLogEntry[]>} Oldest first
+ */
+export async function getReviewLog(since) {
+  try {
+    return await getRecordsByIndex(STORES.REVIEW_LOG, 'reviewedAt', IDBKeyRange.lowerBound(since));
+  } catch (error) {
+    console.warn('Failed to load review log:', error);
+    return [];
+  }
+}
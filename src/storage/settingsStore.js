@@ -0,0 +1,71 @@
+/**
+ * Reader settings
+ * Small user preferences persisted in localStorage and shared between components
+ */
+
+// LocalStorage key
+const STORAGE_KEY = 'reader_settings';
+
+/**
+ * @typedef {Object} ReaderSettings
+ * @property {boolean} underlineKnownWords - Underline previously translated words in the text layer
+ * @property {'sideBySide'|'interlinear'} parallelLayout - Layout of the page translation panel
+ * @property {Object<string, string>} speechVoices - Chosen voiceURI per language code (automatic if absent)
+ * @property {number} speechRate - Pronunciation speed (1 is normal)
+ * @property {number} speechPitch - Pronunciation pitch (1 is normal)
+ * @property {number} readAloudRate - Read-aloud speed (1 is normal)
+ */
+
+/** @type {ReaderSettings} */
+export const DEFAULT_SETTINGS = {
+  underlineKnownWords: true,
+  parallelLayout: 'sideBySide',
+  speechVoices: {},
+  speechRate: 1,
+  speechPitch: 1,
+  readAloudRate: 1,
+};
+
+const listeners = new Set();
+let current = null;
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to settings changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToSettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Get current settings (saved values merged over defaults)
+ * @returns {ReaderSettings}
+ */
+export function getSettings() {
+  if (!current) {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      // Corrupted value - fall back to defaults
+    }
+    current = { ...DEFAULT_SETTINGS, ...saved };
+  }
+  return current;
+}
+
+/**
+ * Update settings
+ * @param {Partial<ReaderSettings>} patch - Settings to change
+ */
+export function updateSettings(patch) {
+  current = { ...getSettings(), ...patch };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  notifyListeners();
+}
@@ -0,0 +1,205 @@
+import { STORES, getRecord, putRecord, deleteRecord, clearStore, withStore } from './db';
+
+/**
+ * Translation cache
+ * Two levels: in-memory Map (instant, per session) and IndexedDB (persistent)
+ * Keyed by normalized text + language pair + context sentence: the backend picks the
+ * sense of a word from its sentence, so another sentence needs its own translation
+ * Word lookups and passage (paragraph/page) translations are separate caches: passages
+ * would evict words, and a short passage must never answer a word lookup
+ */
+
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Cache names
+ */
+export const TRANSLATION_CACHES = {
+  WORDS: 'words',
+  PASSAGES: 'passages',
+};
+
+// Map keeps insertion order - re-inserting on access makes it an LRU
+const CACHES = {
+  [TRANSLATION_CACHES.WORDS]: {
+    storeName: STORES.TRANSLATIONS,
+    memory: new Map(),
+    maxMemoryEntries: 200,
+    maxPersistedEntries: 2000,
+  },
+  [TRANSLATION_CACHES.PASSAGES]: {
+    storeName: STORES.PASSAGE_TRANSLATIONS,
+    memory: new Map(),
+    maxMemoryEntries: 100,
+    maxPersistedEntries: 500,
+  },
+};
+
+/**
+ * Normalize text for cache lookup
+ * @param {string} text - Raw selected text
+ * @returns {string} Normalized text
+ */
+export function normalizeCacheText(text) {
+  return (text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build cache key from text and language pair
+ * @param {string} text - Text to translate
+ * @param {string} sourceLang - Source language code
+ * @param {string} targetLang - Target language code
+ * @returns {string} Cache key
+ */
+export function getCacheKey(text, sourceLang, targetLang) {
+  return `${sourceLang}:${targetLang}:${normalizeCacheText(text)}`;
+}
+
+// FNV-1a: keeps keys short however long the sentence is
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Build the cache key of a translation request
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Translation request
+ * @returns {string} Cache key
+ */
+function getRequestKey({ text, sourceLang, targetLang, context }) {
+  const key = getCacheKey(text, sourceLang, targetLang);
+  const normalizedContext = normalizeCacheText(context);
+  return normalizedContext ? `${key}#${hashText(normalizedContext)}` : key;
+}
+
+function isExpired(entry) {
+  return !entry || Date.now() - entry.cachedAt > CACHE_TTL_MS;
+}
+
+function rememberInMemory(cache, entry) {
+  cache.memory.delete(entry.key);
+  cache.memory.set(entry.key, entry);
+
+  if (cache.memory.size > cache.maxMemoryEntries) {
+    const oldestKey = cache.memory.keys().next().value;
+    cache.memory.delete(oldestKey);
+  }
+}
+
+/**
+ * Synchronous lookup in the in-memory cache only
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Translation request
+ * @param {string} [cacheName] - Cache from TRANSLATION_CACHES (words by default)
+ * @returns {{result: import('../types/translation').TranslationResult, cachedAt: number}|null}
+ */
+export function peekCachedTranslation(request, cacheName = TRANSLATION_CACHES.WORDS) {
+  const cache = CACHES[cacheName];
+  const key = getRequestKey(request);
+  const entry = cache.memory.get(key);
+
+  if (isExpired(entry)) {
+    cache.memory.delete(key);
+    return null;
+  }
+
+  rememberInMemory(cache, entry);
+  return entry;
+}
+
+/**
+ * Look up a cached translation (memory first, then IndexedDB)
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Translation request
+ * @param {string} [cacheName] - Cache from TRANSLATION_CACHES (words by default)
+ * @returns {Promise<{result: import('../types/translation').TranslationResult, cachedAt: number}|null>}
+ */
+export async function getCachedTranslation(request, cacheName = TRANSLATION_CACHES.WORDS) {
+  const memoryEntry = peekCachedTranslation(request, cacheName);
+  if (memoryEntry) return memoryEntry;
+
+  const cache = CACHES[cacheName];
+  const key = getRequestKey(request);
+  try {
+    const entry = await getRecord(cache.storeName, key);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      await deleteRecord(cache.storeName, key);
+      return null;
+    }
+
+    const touched = { ...entry, accessedAt: Date.now() };
+    rememberInMemory(cache, touched);
+    putRecord(cache.storeName, touched).catch(() => {});
+    return touched;
+  } catch (error) {
+    console.warn('Translation cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Drop oldest persisted entries above the size limit
+ */
+async function evictPersistedEntries(cache) {
+  await withStore(cache.storeName, 'readwrite', (store) => {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - cache.maxPersistedEntries;
+      if (excess <= 0) return;
+
+      // Walk from least recently accessed
+      store.index('accessedAt').openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    };
+  });
+}
+
+/**
+ * Store a translation result in both cache levels
+ * Anki data is not cached: a cache hit never creates a note
+ * @param {import('../types/translation').ProcessTranslationRequest} request - Request the result answers
+ * @param {import('../types/translation').TranslationResult} result - Translation result
+ * @param {string} [cacheName] - Cache from TRANSLATION_CACHES (words by default)
+ * @returns {Promise<void>}
+ */
+export async function setCachedTranslation(request, result, cacheName = TRANSLATION_CACHES.WORDS) {
+  const cache = CACHES[cacheName];
+  const now = Date.now();
+  const entry = {
+    key: getRequestKey(request),
+    result: { ...result, anki: null },
+    cachedAt: now,
+    accessedAt: now,
+  };
+
+  rememberInMemory(cache, entry);
+
+  try {
+    await putRecord(cache.storeName, entry);
+    await evictPersistedEntries(cache);
+  } catch (error) {
+    console.warn('Translation cache write failed:', error);
+  }
+}
+
+/**
+ * Clear the whole translation cache (words and passages)
+ * @returns {Promise<void>}
+ */
+export async function clearTranslationCache() {
+  await Promise.all(
+    Object.values(CACHES).map((cache) => {
+      cache.memory.clear();
+      return clearStore(cache.storeName).catch(() => {});
+    })
+  );
+}
@@ -0,0 +1,108 @@
+import { STORES, getAllRecords, putRecord, deleteRecord } from './db';
+import { getCacheKey } from './translationCache';
+
+/**
+ * Offline translation queue
+ * Lookups made without a connection are kept here and translated once the app is back online
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to queue changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToTranslationQueue(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} QueuedTranslation
+ * @property {string} id - Item id (language pair + normalized text)
+ * @property {string} text - Text to translate
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string|null} endpoint - Endpoint name from ENDPOINTS
+ * @property {string|null} context - Sentence the text was found in
+ * @property {string|null} documentId - Document identifier
+ * @property {string|null} documentTitle - Document name
+ * @property {number|null} pageNumber - Page number
+ * @property {number} attempts - Failed attempts after reconnecting
+ * @property {number} createdAt - When the lookup was made
+ */
+
+/**
+ * Queue a lookup made offline (a repeated lookup replaces the earlier one)
+ * @param {Object} lookup
+ * @param {string} lookup.text - Text to translate
+ * @param {string} lookup.sourceLang - Source language code
+ * @param {string} lookup.targetLang - Target language code
+ * @param {string} [lookup.endpoint] - Endpoint name from ENDPOINTS
+ * @param {string} [lookup.context] - Sentence the text was found in
+ * @param {string} [lookup.documentId] - Document identifier
+ * @param {string} [lookup.documentTitle] - Document name
+ * @param {number} [lookup.pageNumber] - Page number
+ * @returns {Promise<boolean>} False if storage is unavailable
+ */
+export async function enqueueTranslation(lookup) {
+  try {
+    await putRecord(STORES.TRANSLATION_QUEUE, {
+      id: getCacheKey(lookup.text, lookup.sourceLang, lookup.targetLang),
+      text: lookup.text.trim(),
+      sourceLang: lookup.sourceLang,
+      targetLang: lookup.targetLang,
+      endpoint: lookup.endpoint || null,
+      context: lookup.context || null,
+      documentId: lookup.documentId || null,
+      documentTitle: lookup.documentTitle || null,
+      pageNumber: lookup.pageNumber || null,
+      attempts: 0,
+      createdAt: Date.now(),
+    });
+    notifyListeners();
+    return true;
+  } catch (error) {
+    console.warn('Failed to queue translation:', error);
+    return false;
+  }
+}
+
+/**
+ * Get queued lookups, oldest first
+ * @returns {Promise<QueuedTranslation[]>}
+ */
+export async function getQueuedTranslations() {
+  try {
+    const items = await getAllRecords(STORES.TRANSLATION_QUEUE);
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.warn('Failed to load translation queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a failed attempt
+ * @param {QueuedTranslation} item - Queued item
+ * @returns {Promise<void>}
+ */
+export async function markQueuedTranslationAttempt(item) {
+  await putRecord(STORES.TRANSLATION_QUEUE, { ...item, attempts: item.attempts + 1 });
+  notifyListeners();
+}
+
+/**
+ * Remove an item (translated or given up)
+ * @param {string} id - Item id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedTranslation(id) {
+  await deleteRecord(STORES.TRANSLATION_QUEUE, id);
+  notifyListeners();
+}
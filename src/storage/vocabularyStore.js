@@ -0,0 +1,134 @@
+import { STORES, getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from './db';
+import { normalizeCacheText } from './translationCache';
+
+/**
+ * Vocabulary store
+ * Persistent history of every looked-up word with its source location
+ * One entry per word + language pair + document page; repeated lookups bump lookupCount
+ */
+
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to vocabulary changes
+ * @param {function(): void} listener - Called after any change
+ * @returns {function(): void} Unsubscribe function
+ */
+export function subscribeToVocabulary(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * @typedef {Object} VocabularyEntry
+ * @property {string} id - Entry id (word + pair + document + page)
+ * @property {string} text - Looked-up text as selected
+ * @property {string} normalizedText - Normalized text used for matching
+ * @property {string} translation - Translated text
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string|null} context - Sentence the word was found in
+ * @property {import('../types/translation').DictionaryEntry|null} [dictionary] - Part of speech, transcription and senses
+ * @property {string|null} documentId - Document identifier
+ * @property {string|null} documentTitle - Human readable document name
+ * @property {number|null} pageNumber - Page the word was found on
+ * @property {number} createdAt - First lookup timestamp
+ * @property {number} updatedAt - Last lookup timestamp
+ * @property {number} lookupCount - How many times the word was looked up here
+ */
+
+function buildEntryId({ normalizedText, sourceLang, targetLang, documentId, pageNumber }) {
+  return [documentId || '-', pageNumber || 0, sourceLang, targetLang, normalizedText].join('|');
+}
+
+/**
+ * Record a lookup in the vocabulary history
+ * @param {Object} lookup
+ * @param {string} lookup.text - Looked-up text
+ * @param {string} lookup.translation - Translated text
+ * @param {string} lookup.sourceLang - Source language code
+ * @param {string} lookup.targetLang - Target language code
+ * @param {string} [lookup.context] - Sentence the word was found in
+ * @param {Object|null} [lookup.dictionary] - Dictionary details of the translation
+ * @param {string} [lookup.documentId] - Document identifier
+ * @param {string} [lookup.documentTitle] - Document name
+ * @param {number} [lookup.pageNumber] - Page number
+ * @returns {Promise<VocabularyEntry|null>} Stored entry (null if storage is unavailable)
+ */
+export async function addVocabularyEntry(lookup) {
+  const normalizedText = normalizeCacheText(lookup.text);
+  if (!normalizedText || !lookup.translation) return null;
+
+  const draft = {
+    text: lookup.text.trim(),
+    normalizedText,
+    translation: lookup.translation,
+    sourceLang: lookup.sourceLang,
+    targetLang: lookup.targetLang,
+    context: lookup.context || null,
+    dictionary: lookup.dictionary || null,
+    documentId: lookup.documentId || null,
+    documentTitle: lookup.documentTitle || null,
+    pageNumber: lookup.pageNumber || null,
+  };
+  const id = buildEntryId(draft);
+
+  try {
+    const existing = await getRecord(STORES.VOCABULARY, id);
+    const now = Date.now();
+    const entry = {
+      ...existing,
+      ...draft,
+      id,
+      context: draft.context || existing?.context || null,
+      dictionary: draft.dictionary || existing?.dictionary || null,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      lookupCount: (existing?.lookupCount || 0) + 1,
+    };
+
+    await putRecord(STORES.VOCABULARY, entry);
+    notifyListeners();
+    return entry;
+  } catch (error) {
+    console.warn('Failed to save vocabulary entry:', error);
+    return null;
+  }
+}
+
+/**
+ * Get all vocabulary entries, newest first
+ * @returns {Promise<VocabularyEntry[]>}
+ */
+export async function getVocabularyEntries() {
+  try {
+    const entries = await getAllRecords(STORES.VOCABULARY);
+    return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch (error) {
+    console.warn('Failed to load vocabulary:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete a vocabulary entry
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteVocabularyEntry(id) {
+  await deleteRecord(STORES.VOCABULARY, id);
+  notifyListeners();
+}
+
+/**
+ * Delete all vocabulary entries
+ * @returns {Promise<void>}
+ */
+export async function clearVocabulary() {
+  await clearStore(STORES.VOCABULARY);
+  notifyListeners();
+}
@@ -0,0 +1,116 @@
+/**
+ * Service worker: offline app shell and recently opened documents
+ * Not part of the app bundle; plugins/serviceWorker.js injects the precache manifest
+ * - App shell, pdf.js worker, cMaps and fonts: precached on install, served from cache
+ * - Navigations: network first, cached app shell when offline
+ * - PDFs fetched by URL: network first, the last few kept for offline reading
+ *   (uploaded files already live in IndexedDB)
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST__;
+
+const APP_CACHE_PREFIX = 'app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}${PRECACHE.version}`;
+const DOCUMENT_CACHE = 'documents';
+const MAX_CACHED_DOCUMENTS = 5;
+
+// First manifest entry is the base URL (index.html)
+const APP_SHELL_URL = PRECACHE.urls[0];
+const PRECACHED_URLS = new Set(PRECACHE.urls.map((url) => new URL(url, self.location.origin).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then((cache) => cache.addAll(PRECACHE.urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter((name) => name.startsWith(APP_CACHE_PREFIX) && name !== APP_CACHE)
+        .map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+function isDocumentResponse(request, response) {
+  if (response.status !== 200) return false;
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('application/pdf') || /\.pdf$/i.test(new URL(request.url).pathname);
+}
+
+/**
+ * Keep a full copy of a document, most recently opened last
+ * Without Accept-Ranges pdf.js reads the cached copy whole instead of asking for byte ranges,
+ * which the cache could not answer
+ */
+async function cacheDocument(url, response) {
+  const body = await response.blob();
+  const headers = new Headers(response.headers);
+  headers.delete('accept-ranges');
+  headers.delete('content-encoding');
+  headers.set('content-length', String(body.size));
+
+  const cache = await caches.open(DOCUMENT_CACHE);
+  // Re-adding moves the document to the end of the list
+  await cache.delete(url);
+  await cache.put(url, new Response(body, { status: 200, statusText: response.statusText, headers }));
+
+  const keys = await cache.keys();
+  const stale = keys.slice(0, Math.max(0, keys.length - MAX_CACHED_DOCUMENTS));
+  await Promise.all(stale.map((key) => cache.delete(key)));
+}
+
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await caches.match(APP_SHELL_URL, { cacheName: APP_CACHE });
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+async function handlePrecached(request) {
+  const cached = await caches.match(request.url, { cacheName: APP_CACHE });
+  return cached || fetch(request);
+}
+
+async function handleOther(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    if (isDocumentResponse(request, response)) {
+      // The page reads the original stream while the clone is stored
+      event.waitUntil(
+        cacheDocument(request.url, response.clone()).catch((error) => {
+          console.warn('Failed to cache document:', error);
+        })
+      );
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request.url, { cacheName: DOCUMENT_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (PRECACHED_URLS.has(request.url)) {
+    event.respondWith(handlePrecached(request));
+  } else if (!request.headers.has('range')) {
+    // Byte-range requests only happen online, for large remote PDFs
+    event.respondWith(handleOther(event));
+  }
+});
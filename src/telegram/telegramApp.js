@@ -108,9 +108,11 @@ export function showMainButton(text, onClick) {
 
 /**
  * Hide main button
+ * @param {function} [onClick] - Click handler registered by showMainButton to detach
  */
-export function hideMainButton() {
+export function hideMainButton(onClick) {
   if (!tg) return;
+  if (onClick) tg.MainButton.offClick(onClick);
   tg.MainButton.hide();
 }
 
@@ -149,9 +151,11 @@ export function showBackButton(onClick) {
 
 /**
  * Hide back button
+ * @param {function} [onClick] - Click handler registered by showBackButton to detach
  */
-export function hideBackButton() {
+export function hideBackButton(onClick) {
   if (!tg) return;
+  if (onClick) tg.BackButton.offClick(onClick);
   tg.BackButton.hide();
 }
 
@@ -343,13 +347,16 @@ export function readTextFromClipboard(callback) {
 }
 
 /**
- * Get query parameters from start_param
- * @returns {URLSearchParams}
+ * Get start_param of a deep link (t.me/<bot>/<app>?startapp=<value>)
+ * Telegram only allows A-Z, a-z, 0-9, _ and - in it, so it is returned as is.
+ * Read from the SDK directly: components may ask before initTelegramApp runs
+ * @returns {string|null}
  */
 export function getStartParam() {
-  if (!tg) return new URLSearchParams();
-  const startParam = tg.initDataUnsafe?.start_param || '';
-  return new URLSearchParams(startParam);
+  const webApp = tg || (typeof window !== 'undefined' ? window.Telegram?.WebApp : null);
+  const startParam = webApp?.initDataUnsafe?.start_param
+    || new URLSearchParams(window.location.search).get('tgWebAppStartParam');
+  return startParam || null;
 }
 
 /**
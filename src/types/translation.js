@@ -1,4 +1,23 @@
 import { z } from 'zod';
+import { LANGUAGE_CODES } from '../constants/languages';
+
+/**
+ * Schema for a supported language code
+ */
+export const LanguageCodeSchema = z.enum(LANGUAGE_CODES);
+
+/**
+ * Schema for a source/target language pair
+ */
+export const LanguagePairSchema = z
+  .object({
+    sourceLang: LanguageCodeSchema,
+    targetLang: LanguageCodeSchema,
+  })
+  .refine((pair) => pair.sourceLang !== pair.targetLang, {
+    message: 'Source and target languages must differ',
+    path: ['targetLang'],
+  });
 
 /**
  * Schema for translation request
@@ -7,6 +26,7 @@ export const TranslationRequestSchema = z.object({
   text: z.string().min(1, 'Text cannot be empty'),
   source_lang: z.string().length(2, 'Source language must be 2 characters'),
   target_lang: z.string().length(2, 'Target language must be 2 characters'),
+  context: z.string().max(1000, 'Context is too long').optional(),
 });
 
 /**
@@ -18,6 +38,60 @@ export const TranslationResponseSchema = z.object({
   target_lang: z.string().optional(),
 });
 
+/**
+ * Schema for backend processTranslation request (translation + Anki)
+ */
+export const ProcessTranslationRequestSchema = z
+  .object({
+    text: z.string().trim().min(1, 'Text cannot be empty'),
+    context: z.string().trim().max(1000, 'Context is too long').optional(),
+  })
+  .and(LanguagePairSchema);
+
+/**
+ * Schema for a usage example of one sense
+ */
+export const UsageExampleSchema = z.object({
+  text: z.string().trim().min(1),
+  translation: z.string().trim().optional(),
+});
+
+/**
+ * Schema for one sense of a dictionary entry
+ */
+export const DictionarySenseSchema = z.object({
+  translation: z.string().trim().min(1),
+  partOfSpeech: z.string().trim().optional(),
+  examples: z.array(UsageExampleSchema).optional(),
+});
+
+/**
+ * Dictionary fields the backend may add to a word lookup
+ * All optional: a malformed field is dropped instead of failing the whole translation
+ */
+export const DictionaryFieldsSchema = {
+  partOfSpeech: z.string().trim().min(1).optional().catch(undefined),
+  transcription: z.string().trim().min(1).optional().catch(undefined),
+  lemma: z.string().trim().min(1).optional().catch(undefined),
+  senses: z.array(DictionarySenseSchema).optional().catch(undefined),
+};
+
+/**
+ * Schema for backend processTranslation response
+ */
+export const ProcessTranslationResponseSchema = z.object({
+  text: z.string().optional(),
+  translation: z.string(),
+  ...DictionaryFieldsSchema,
+  audioUrl: z.url().optional().catch(undefined),
+  contextAudioUrl: z.url().optional().catch(undefined),
+  sourceLang: z.string().optional(),
+  targetLang: z.string().optional(),
+  ankiNoteId: z.number().nullable().optional(),
+  ankiError: z.string().nullable().optional(),
+  ankiStatus: z.string().nullable().optional(),
+});
+
 /**
  * Type definitions for TypeScript compatibility and JSDoc
  */
@@ -27,6 +101,7 @@ export const TranslationResponseSchema = z.object({
  * @property {string} text - Text to translate
  * @property {string} source_lang - Source language code (e.g., 'en')
  * @property {string} target_lang - Target language code (e.g., 'ru')
+ * @property {string} [context] - Sentence the text was found in
  */
 
 /**
@@ -36,6 +111,84 @@ export const TranslationResponseSchema = z.object({
  * @property {string} [target_lang] - Target language code
  */
 
+/**
+ * @typedef {Object} LanguagePair
+ * @property {string} sourceLang - Source language code (e.g., 'de')
+ * @property {string} targetLang - Target language code (e.g., 'ru')
+ */
+
+/**
+ * @typedef {Object} ProcessTranslationRequest
+ * @property {string} text - Text to translate
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {string} [context] - Sentence the text was found in (disambiguates the sense, stored on the Anki card)
+ */
+
+/**
+ * @typedef {Object} ProcessTranslationResponse
+ * @property {string} [text] - Original text
+ * @property {string} translation - Translated text
+ * @property {string} [sourceLang] - Source language code
+ * @property {string} [targetLang] - Target language code
+ * @property {number|null} [ankiNoteId] - Created Anki note id
+ * @property {string|null} [ankiError] - Anki error message (non-blocking)
+ * @property {string|null} [ankiStatus] - Anki status ('added' on success)
+ * @property {string} [partOfSpeech] - Part of speech of the looked-up word
+ * @property {string} [transcription] - IPA transcription
+ * @property {string} [lemma] - Base form of the word
+ * @property {DictionarySense[]} [senses] - Senses, most common first
+ * @property {string} [audioUrl] - Recorded pronunciation of the word
+ * @property {string} [contextAudioUrl] - Recorded pronunciation of the context sentence
+ */
+
+/**
+ * @typedef {Object} PronunciationAudio
+ * @property {string|null} word - Recorded pronunciation of the word
+ * @property {string|null} sentence - Recorded pronunciation of the context sentence
+ */
+
+/**
+ * @typedef {Object} UsageExample
+ * @property {string} text - Example in the source language
+ * @property {string} [translation] - Translated example
+ */
+
+/**
+ * @typedef {Object} DictionarySense
+ * @property {string} translation - Translation for this sense
+ * @property {string} [partOfSpeech] - Part of speech if it differs between senses
+ * @property {UsageExample[]} [examples] - Usage examples
+ */
+
+/**
+ * @typedef {Object} DictionaryEntry
+ * @property {string|null} partOfSpeech - Part of speech
+ * @property {string|null} transcription - IPA transcription (without slashes)
+ * @property {string|null} lemma - Base form, null when it equals the looked-up text
+ * @property {DictionarySense[]} senses - Senses, empty when the backend returned none
+ */
+
+/**
+ * @typedef {Object} AnkiResult
+ * @property {string|null} status - Anki status reported by backend
+ * @property {number|null} noteId - Created Anki note id
+ * @property {string|null} error - Anki error message
+ */
+
+/**
+ * @typedef {Object} TranslationResult
+ * @property {string} text - Original text
+ * @property {string} translation - Translated text
+ * @property {string} sourceLang - Source language code
+ * @property {string} targetLang - Target language code
+ * @property {AnkiResult|null} anki - Anki result (only for processTranslation endpoint)
+ * @property {DictionaryEntry|null} [dictionary] - Dictionary details (null when only the translation was returned)
+ * @property {PronunciationAudio|null} [audio] - Recorded pronunciations (null when the backend sent none)
+ * @property {boolean} [fromCache] - Whether the result came from the translation cache
+ * @property {number|null} [cachedAt] - When the cached result was stored (ms timestamp)
+ */
+
 /**
  * @typedef {Object} TranslationError
  * @property {string} message - Error message
@@ -50,3 +203,14 @@ export const validateTranslationResponse = (data) => {
   return TranslationResponseSchema.parse(data);
 };
 
+export const validateLanguagePair = (data) => {
+  return LanguagePairSchema.parse(data);
+};
+
+export const validateProcessTranslationRequest = (data) => {
+  return ProcessTranslationRequestSchema.parse(data);
+};
+
+export const validateProcessTranslationResponse = (data) => {
+  return ProcessTranslationResponseSchema.parse(data);
+};
@@ -0,0 +1,50 @@
+/**
+ * Document identity helpers
+ * A document is either a URL/path string or a local File object
+ */
+
+const URL_PREFIX = 'url:';
+const FILE_PREFIX = 'file:';
+
+function stripExtension(name) {
+  return name.replace(/\.pdf$/i, '');
+}
+
+/**
+ * Get stable id and display title for a document source
+ * @param {string|File|null} file - Document source passed to react-pdf
+ * @returns {{id: string, title: string, url: string|null}|null}
+ */
+export function getDocumentInfo(file) {
+  if (!file) return null;
+
+  if (typeof file === 'string') {
+    const lastSegment = file.split('?')[0].split('/').filter(Boolean).pop() || file;
+    let title = lastSegment;
+    try {
+      title = decodeURIComponent(lastSegment);
+    } catch {
+      // Keep raw segment if it is not valid URI encoding
+    }
+    return {
+      id: `${URL_PREFIX}${file}`,
+      title: stripExtension(title).replace(/_/g, ' '),
+      url: file,
+    };
+  }
+
+  return {
+    id: `${FILE_PREFIX}${file.name}:${file.size}:${file.lastModified}`,
+    title: stripExtension(file.name),
+    url: null,
+  };
+}
+
+/**
+ * Get URL of a document from its id (only for URL-based documents)
+ * @param {string} documentId - Id from getDocumentInfo
+ * @returns {string|null}
+ */
+export function getDocumentUrl(documentId) {
+  return documentId?.startsWith(URL_PREFIX) ? documentId.slice(URL_PREFIX.length) : null;
+}
@@ -0,0 +1,78 @@
+/**
+ * Documents passed to the app on launch
+ * - ?pdf=<url> query parameter (absolute or relative to the app)
+ * - Telegram deep link: start_param "doc_<file_id>", the file id is resolved by the backend
+ */
+
+import { getStartParam } from '../telegram/telegramApp';
+import { getSharedDocumentUrl } from '../api/documentApi';
+
+const URL_PARAM = 'pdf';
+
+// Other start_param values are not documents
+const START_PARAM_PREFIX = 'doc_';
+
+// Telegram keeps start_param for the whole launch, including reloads
+const HANDLED_START_PARAM_KEY = 'pdfViewer_handledStartParam';
+
+// pdf.js fetches documents with fetch/XHR, which only support these
+const SUPPORTED_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * @typedef {Object} LaunchDocument
+ * @property {string|null} url - Absolute URL to open
+ * @property {string|null} error - Why the passed link cannot be opened
+ */
+
+/**
+ * Resolve a user-supplied link to an absolute URL pdf.js can load
+ * @param {string} value - Link from the query string
+ * @returns {string|null} Null if the link is malformed or not http(s)
+ */
+export function resolveDocumentLink(value) {
+  try {
+    const url = new URL(value, window.location.href);
+    return SUPPORTED_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the document the app was launched with, if any
+ * The query parameter wins over the Telegram start_param, which is applied once per launch
+ * @returns {LaunchDocument|null}
+ */
+export function getLaunchDocument() {
+  const link = new URLSearchParams(window.location.search).get(URL_PARAM);
+  if (link) {
+    const url = resolveDocumentLink(link);
+    return url
+      ? { url, error: null }
+      : { url: null, error: `Cannot open "${link}": only http(s) links to PDF files are supported` };
+  }
+
+  const startParam = getStartParam();
+  if (startParam?.startsWith(START_PARAM_PREFIX) && startParam !== sessionStorage.getItem(HANDLED_START_PARAM_KEY)) {
+    const fileId = startParam.slice(START_PARAM_PREFIX.length);
+    if (fileId) {
+      return { url: getSharedDocumentUrl(fileId), error: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove the launch parameter from the address bar and mark the start_param as handled
+ * The document is in the library by then, so a reload restores it from there
+ */
+export function clearLaunchDocument() {
+  const startParam = getStartParam();
+  if (startParam) sessionStorage.setItem(HANDLED_START_PARAM_KEY, startParam);
+
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(URL_PARAM)) return;
+  url.searchParams.delete(URL_PARAM);
+  window.history.replaceState(window.history.state, '', url.href);
+}
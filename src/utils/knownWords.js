@@ -0,0 +1,79 @@
+import { normalizeQuery } from './textSearch';
+
+/**
+ * Matching of previously translated words in PDF text
+ * Comparison uses the same folding as search (case- and diacritic-insensitive)
+ */
+
+// Longest vocabulary phrase (in words) that is matched in the text
+const MAX_PHRASE_WORDS = 4;
+
+// Words with inner apostrophes and hyphens ("don't", "well-known")
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+
+/**
+ * @typedef {Object} KnownWordIndex
+ * @property {Map<string, import('../storage/vocabularyStore').VocabularyEntry>} phrases - Folded text to entry
+ * @property {number} maxWords - Longest phrase length in words
+ */
+
+/**
+ * Build a lookup of vocabulary entries
+ * The most recent translation of a word wins
+ * @param {import('../storage/vocabularyStore').VocabularyEntry[]} entries - Entries, newest first
+ * @returns {KnownWordIndex}
+ */
+export function buildKnownWordIndex(entries) {
+  const phrases = new Map();
+  let maxWords = 0;
+
+  entries.forEach((entry) => {
+    const key = normalizeQuery(entry.text);
+    const wordCount = key.split(' ').length;
+    if (!key || wordCount > MAX_PHRASE_WORDS || phrases.has(key)) return;
+    phrases.set(key, entry);
+    maxWords = Math.max(maxWords, wordCount);
+  });
+
+  return { phrases, maxWords };
+}
+
+/**
+ * Look up a vocabulary entry by text as it appears in the document
+ * @param {KnownWordIndex} index - Known word index
+ * @param {string} text - Text from the page
+ * @returns {import('../storage/vocabularyStore').VocabularyEntry|null}
+ */
+export function getKnownEntry(index, text) {
+  return index.phrases.get(normalizeQuery(text)) || null;
+}
+
+/**
+ * Find known words and phrases in a text item
+ * Longer phrases win over single words they contain
+ * @param {string} str - Text item string
+ * @param {KnownWordIndex} index - Known word index
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function findKnownWords(str, index) {
+  if (index.phrases.size === 0) return [];
+
+  const words = Array.from(str.matchAll(WORD_PATTERN), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  const found = [];
+  for (let i = 0; i < words.length; i += 1) {
+    for (let count = Math.min(index.maxWords, words.length - i); count >= 1; count -= 1) {
+      const start = words[i].start;
+      const end = words[i + count - 1].end;
+      if (index.phrases.has(normalizeQuery(str.slice(start, end)))) {
+        found.push({ start, end });
+        i += count - 1;
+        break;
+      }
+    }
+  }
+  return found;
+}
@@ -0,0 +1,99 @@
+/**
+ * User-facing messages for pdf.js document load failures
+ * pdf.js errors cross the worker boundary, so they are told apart by name, not class
+ */
+
+import { inspectPdfFile, getNotPdfMessage } from './pdfFile';
+
+const PDFJS_ERRORS = {
+  INVALID: 'InvalidPDFException',
+  MISSING: 'MissingPDFException',
+  PASSWORD: 'PasswordException',
+  UNEXPECTED_RESPONSE: 'UnexpectedResponseException',
+};
+
+// Parser failures that reach us as UnknownErrorException with the original message
+const CORRUPTION_PATTERN = /invalid pdf|pdf structure|xref|trailer|bad (fcheck|encoding)|unexpected end/i;
+const ENCRYPTION_PATTERN = /encrypt|crypt filter|security handler/i;
+const NETWORK_PATTERN = /fetch|network|load failed/i;
+
+export const PASSWORD_REQUIRED_MESSAGE = 'This PDF is password-protected. Try again and enter its password to open it.';
+
+function getHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+// Local file: look at its bytes to tell a wrong format from a cut-off download
+async function describeInvalidFile(file) {
+  try {
+    const { isPdf, isComplete } = await inspectPdfFile(file);
+    if (!isPdf) return getNotPdfMessage(file);
+    if (!isComplete) {
+      return 'This PDF is incomplete — the download or copy was probably interrupted. '
+        + 'Download the file again and re-add it to the library.';
+    }
+  } catch (error) {
+    console.warn('Failed to inspect PDF file:', error);
+  }
+  return 'This PDF is damaged and cannot be read. Try re-saving it from another app or downloading it again.';
+}
+
+function describeUrlError(error, url) {
+  const host = getHost(url);
+
+  if (error?.name === PDFJS_ERRORS.MISSING) {
+    return `The PDF was not found at ${host}. Check the link or ask for a new one.`;
+  }
+
+  if (error?.name === PDFJS_ERRORS.UNEXPECTED_RESPONSE && error.status) {
+    return `${host} refused to send the PDF (HTTP ${error.status}). Try again later or check the link.`;
+  }
+
+  // Status 0 / failed fetch: offline, server unreachable, or blocked by CORS
+  if (!navigator.onLine) {
+    return 'You are offline. Connect to the internet and try again.';
+  }
+  if (error?.name === PDFJS_ERRORS.UNEXPECTED_RESPONSE || NETWORK_PATTERN.test(error?.message || '')) {
+    return `Could not download the PDF from ${host}. The server may be unreachable or may not allow `
+      + 'loading files from other sites (CORS). Download the file and add it to the library instead.';
+  }
+
+  return null;
+}
+
+/**
+ * Get a message explaining why a document failed to load
+ * @param {Error} error - Error from react-pdf's onLoadError
+ * @param {string|File} file - Document source
+ * @returns {Promise<string>}
+ */
+export async function getLoadErrorMessage(error, file) {
+  const message = error?.message || '';
+
+  if (error?.name === PDFJS_ERRORS.PASSWORD) {
+    return PASSWORD_REQUIRED_MESSAGE;
+  }
+
+  if (ENCRYPTION_PATTERN.test(message)) {
+    return 'This PDF uses an encryption method that is not supported. Save an unprotected copy and open that instead.';
+  }
+
+  const isInvalid = error?.name === PDFJS_ERRORS.INVALID || CORRUPTION_PATTERN.test(message);
+
+  if (typeof file === 'string') {
+    if (isInvalid) {
+      return 'The link does not point to a valid PDF. The server may have returned a web page or an error '
+        + 'instead of the file.';
+    }
+    const urlMessage = describeUrlError(error, file);
+    if (urlMessage) return urlMessage;
+  } else if (isInvalid && file instanceof Blob) {
+    return describeInvalidFile(file);
+  }
+
+  return 'The PDF could not be opened. Try again; if it keeps failing, the file may be damaged.';
+}
@@ -0,0 +1,82 @@
+/**
+ * PDF outline (table of contents) helpers
+ */
+
+/**
+ * @typedef {Object} OutlineNode
+ * @property {string} id - Stable key within the tree
+ * @property {string} title - Entry title
+ * @property {number|null} pageNumber - Target page, null if the destination cannot be resolved
+ * @property {boolean} bold - Title styled bold in the PDF
+ * @property {boolean} italic - Title styled italic in the PDF
+ * @property {OutlineNode[]} items - Nested entries
+ */
+
+/**
+ * Resolve an outline destination to a page number
+ * @param {Object} pdfDocument - pdfjs document proxy
+ * @param {string|Array|null} dest - Named or explicit destination
+ * @returns {Promise<number|null>}
+ */
+async function resolvePageNumber(pdfDocument, dest) {
+  try {
+    const explicitDest = typeof dest === 'string' ? await pdfDocument.getDestination(dest) : dest;
+    if (!Array.isArray(explicitDest)) return null;
+
+    const [target] = explicitDest;
+    // Either a page reference or (in some generators) a zero-based page index
+    const pageIndex = typeof target === 'object' && target !== null
+      ? await pdfDocument.getPageIndex(target)
+      : target;
+    return Number.isInteger(pageIndex) ? pageIndex + 1 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the document outline with destinations resolved to page numbers
+ * @param {Object} pdfDocument - pdfjs document proxy
+ * @returns {Promise<OutlineNode[]>} Empty array if the PDF has no outline
+ */
+export async function loadOutline(pdfDocument) {
+  const outline = await pdfDocument.getOutline();
+  if (!outline) return [];
+
+  const convert = (items, parentId) => Promise.all(
+    items.map(async (item, index) => {
+      const id = parentId ? `${parentId}.${index}` : String(index);
+      return {
+        id,
+        title: item.title,
+        pageNumber: await resolvePageNumber(pdfDocument, item.dest),
+        bold: !!item.bold,
+        italic: !!item.italic,
+        items: item.items?.length ? await convert(item.items, id) : [],
+      };
+    })
+  );
+
+  return convert(outline, '');
+}
+
+/**
+ * Find the deepest outline entry that starts at or before a page
+ * Used to mark the current chapter
+ * @param {OutlineNode[]} nodes - Outline tree
+ * @param {number} pageNumber - Current page
+ * @returns {OutlineNode|null}
+ */
+export function findCurrentOutlineNode(nodes, pageNumber) {
+  let current = null;
+  const visit = (items) => {
+    items.forEach((node) => {
+      if (node.pageNumber && node.pageNumber <= pageNumber) {
+        if (!current || node.pageNumber >= current.pageNumber) current = node;
+      }
+      visit(node.items);
+    });
+  };
+  visit(nodes);
+  return current;
+}
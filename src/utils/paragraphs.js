@@ -0,0 +1,141 @@
+/**
+ * Paragraph detection from pdfjs text content
+ * PDFs have no paragraph markup: items are grouped into lines (hasEOL / baseline jumps),
+ * and lines into paragraphs by vertical gaps, first-line indents and short last lines
+ */
+
+// A gap this much larger than the usual line spacing separates paragraphs
+const PARAGRAPH_GAP_RATIO = 1.4;
+// First-line indent, relative to the line height
+const INDENT_RATIO = 0.8;
+// Last line of a paragraph ends this far (in line heights) before the right edge
+const SHORT_LINE_RATIO = 2;
+
+const SENTENCE_END = /[.!?:…»"”)]$/;
+const HYPHENATED = /[A-Za-zÀ-ÿА-яЁё]-$/;
+const STARTS_LOWERCASE = /^\p{Ll}/u;
+
+/**
+ * @typedef {Object} Paragraph
+ * @property {string} text - Paragraph text with lines joined and hyphenation undone
+ * @property {number} spanStart - Index of the first text layer span (see textAnchors)
+ * @property {number} spanEnd - Index of the last text layer span
+ */
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function groupLines(items) {
+  const lines = [];
+  let line = null;
+  // Text layer spans are created for non-empty strings only
+  let spanIndex = 0;
+
+  items.forEach((item) => {
+    // Marked content boundaries carry no text
+    if (typeof item.str !== 'string') return;
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const height = Math.abs(item.transform[3]) || item.height || 0;
+
+    // Baseline jump without hasEOL: the item starts a new line
+    if (line && item.str && Math.abs(y - line.y) > Math.max(line.height, height)) {
+      lines.push(line);
+      line = null;
+    }
+
+    if (!line) {
+      line = { text: '', x, y, height, right: x, spanStart: null, spanEnd: null };
+    }
+
+    line.text += item.str;
+    line.height = Math.max(line.height, height);
+    line.right = Math.max(line.right, x + (item.width || 0));
+    if (item.str) {
+      if (line.spanStart === null) line.spanStart = spanIndex;
+      line.spanEnd = spanIndex;
+      spanIndex += 1;
+    }
+
+    if (item.hasEOL) {
+      lines.push(line);
+      line = null;
+    }
+  });
+
+  if (line) lines.push(line);
+  return lines.map((entry) => ({ ...entry, text: entry.text.replace(/\s+/g, ' ').trim() }));
+}
+
+function joinLine(text, next) {
+  if (!text) return next;
+  // "compli-" + "cated" -> "complicated"
+  if (HYPHENATED.test(text) && STARTS_LOWERCASE.test(next)) return text.slice(0, -1) + next;
+  return `${text} ${next}`;
+}
+
+/**
+ * Split the text of a page into paragraphs
+ * @param {Object} textContent - Result of page.getTextContent({ includeMarkedContent: true })
+ * @returns {Paragraph[]}
+ */
+export function extractParagraphs(textContent) {
+  const lines = groupLines(textContent?.items || []);
+  const textLines = lines.filter((line) => line.text);
+  if (textLines.length === 0) return [];
+
+  const gaps = [];
+  for (let i = 1; i < textLines.length; i += 1) {
+    const gap = textLines[i - 1].y - textLines[i].y;
+    if (gap > 0) gaps.push(gap);
+  }
+  const lineGap = median(gaps);
+  const rightEdge = Math.max(...textLines.map((line) => line.right));
+
+  const paragraphs = [];
+  let current = null;
+  let previous = null;
+
+  lines.forEach((line) => {
+    // Blank line: paragraph break
+    if (!line.text) {
+      previous = null;
+      return;
+    }
+
+    let isBreak = !previous || !current;
+    if (!isBreak) {
+      const gap = previous.y - line.y;
+      const endsSentence = SENTENCE_END.test(previous.text);
+      isBreak = gap <= 0 // next column or text placed out of order
+        || (lineGap > 0 && gap > lineGap * PARAGRAPH_GAP_RATIO)
+        || (endsSentence && line.x - previous.x > line.height * INDENT_RATIO)
+        || (endsSentence && rightEdge - previous.right > previous.height * SHORT_LINE_RATIO);
+    }
+
+    if (isBreak) {
+      current = { text: '', spanStart: line.spanStart, spanEnd: line.spanEnd };
+      paragraphs.push(current);
+    }
+
+    current.text = joinLine(current.text, line.text);
+    current.spanEnd = line.spanEnd;
+    previous = line;
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Find the paragraph containing a text layer span
+ * @param {Paragraph[]} paragraphs - Paragraphs of the page
+ * @param {number} spanIndex - Span index from a text anchor
+ * @returns {number} Paragraph index, -1 if none
+ */
+export function findParagraphIndex(paragraphs, spanIndex) {
+  return paragraphs.findIndex((paragraph) => spanIndex >= paragraph.spanStart && spanIndex <= paragraph.spanEnd);
+}
@@ -0,0 +1,85 @@
+/**
+ * Local file checks before and after handing a file to pdf.js
+ * Android file pickers often report an empty MIME type, so PDFs are recognized
+ * by their header instead of file.type
+ */
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+// The spec allows junk before the header; readers look in the first 1 KB
+const PDF_HEADER = '%PDF-';
+const HEADER_SEARCH_BYTES = 1024;
+
+// Every complete PDF ends with %%EOF (possibly followed by whitespace or junk)
+const PDF_TRAILER = '%%EOF';
+const TRAILER_SEARCH_BYTES = 1024;
+
+// Formats people commonly try to open, for a helpful rejection message
+const KNOWN_FORMATS = {
+  epub: 'an EPUB book',
+  mobi: 'a Kindle book',
+  azw3: 'a Kindle book',
+  fb2: 'an FB2 book',
+  djvu: 'a DjVu document',
+  doc: 'a Word document',
+  docx: 'a Word document',
+  txt: 'a text file',
+  jpg: 'an image',
+  jpeg: 'an image',
+  png: 'an image',
+  zip: 'a ZIP archive',
+};
+
+async function readText(blob) {
+  const buffer = await blob.arrayBuffer();
+  // Byte-per-char decoding: markers are ASCII, binary content must not throw
+  return new TextDecoder('latin1').decode(buffer);
+}
+
+/**
+ * @typedef {Object} PdfFileInspection
+ * @property {boolean} isPdf - File starts with a PDF header
+ * @property {boolean} isComplete - File ends with a PDF trailer (not truncated)
+ */
+
+/**
+ * Look for the PDF header and trailer markers in a local file
+ * @param {Blob} file - Picked or stored file
+ * @returns {Promise<PdfFileInspection>}
+ */
+export async function inspectPdfFile(file) {
+  const head = await readText(file.slice(0, HEADER_SEARCH_BYTES));
+  const tail = await readText(file.slice(Math.max(0, file.size - TRAILER_SEARCH_BYTES)));
+  return {
+    isPdf: head.includes(PDF_HEADER),
+    isComplete: tail.includes(PDF_TRAILER),
+  };
+}
+
+/**
+ * Check whether a picked file is a PDF, by MIME type or by content
+ * @param {File} file - Picked file
+ * @returns {Promise<boolean>}
+ */
+export async function isPdfFile(file) {
+  if (file.type === PDF_MIME_TYPE) return true;
+  try {
+    return (await inspectPdfFile(file)).isPdf;
+  } catch (error) {
+    console.warn('Failed to read file:', error);
+    return false;
+  }
+}
+
+/**
+ * Explain why a file that is not a PDF cannot be opened
+ * @param {File} file - Rejected file
+ * @returns {string}
+ */
+export function getNotPdfMessage(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const format = KNOWN_FORMATS[extension];
+  return format
+    ? `"${file.name}" is ${format}. Only PDF files can be opened — convert it to PDF first.`
+    : `"${file.name}" is not a PDF file. Pick a file with the .pdf extension.`;
+}
@@ -0,0 +1,237 @@
+/**
+ * Text preparation for read-aloud
+ * Page text is rebuilt from pdfjs text content span by span, the same way the text layer
+ * creates spans (see textAnchors), so sentences and spoken words map back to anchors
+ * that can be highlighted on the page
+ */
+
+// Sentence terminators, optionally followed by closing quotes/brackets, then whitespace
+const SENTENCE_END = /[.!?…]+["'”’»)\]]*(?=\s|$)/g;
+
+// Chrome stops speaking utterances longer than ~15 s; longer runs are split at a pause
+const MAX_CHUNK_LENGTH = 240;
+const CHUNK_BREAK = /[,;:—–]\s|\s/g;
+
+const HAS_WORD = /[\p{L}\p{N}]/u;
+const HYPHENATED = /\p{L}-\s\p{Ll}/u;
+
+/**
+ * @typedef {Object} SpanText
+ * @property {string} text - Page text, spans joined (line ends become spaces)
+ * @property {number[]} spanStarts - Offset of each text layer span in `text`
+ * @property {number[]} spanLengths - Length of each span's string
+ */
+
+/**
+ * @typedef {Object} ReadAloudSentence
+ * @property {number} start - Start offset in the page text
+ * @property {number} end - End offset in the page text (exclusive)
+ * @property {string} text - Text to speak (whitespace collapsed, line-break hyphens removed)
+ * @property {number[]} offsets - Page text offset of every character of `text`
+ * @property {import('./textAnchors').TextAnchor} anchor - Text layer position of the sentence
+ */
+
+/**
+ * Build page text indexed by text layer spans
+ * @param {Object} textContent - Result of page.getTextContent({ includeMarkedContent: true })
+ * @returns {SpanText}
+ */
+export function buildSpanText(textContent) {
+  let text = '';
+  const spanStarts = [];
+  const spanLengths = [];
+
+  textContent.items.forEach((item) => {
+    // Marked content boundaries carry no text
+    if (typeof item.str !== 'string') return;
+
+    // Text layer spans are created for non-empty strings only
+    if (item.str) {
+      spanStarts.push(text.length);
+      spanLengths.push(item.str.length);
+      text += item.str;
+    }
+    if (item.hasEOL && text && !/\s$/.test(text)) text += ' ';
+  });
+
+  return { text, spanStarts, spanLengths };
+}
+
+/**
+ * Convert a page text offset to a text layer point
+ * Offsets in the spaces added between spans snap to the next span (or the previous one for ends)
+ * @param {SpanText} spanText - Page text
+ * @param {number} offset - Offset in the page text
+ * @param {boolean} isEnd - Whether the offset ends a range
+ * @returns {import('./textAnchors').TextPoint|null}
+ */
+function toTextPoint({ spanStarts, spanLengths }, offset, isEnd) {
+  if (isEnd) {
+    for (let i = spanStarts.length - 1; i >= 0; i -= 1) {
+      if (spanStarts[i] < offset) {
+        return { index: i, offset: Math.min(offset - spanStarts[i], spanLengths[i]) };
+      }
+    }
+    return null;
+  }
+
+  for (let i = 0; i < spanStarts.length; i += 1) {
+    if (spanStarts[i] + spanLengths[i] > offset) {
+      return { index: i, offset: Math.max(0, offset - spanStarts[i]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a text layer anchor for a range of the page text
+ * @param {SpanText} spanText - Page text
+ * @param {number} pageNumber - Page of the text
+ * @param {number} start - Range start
+ * @param {number} end - Range end (exclusive)
+ * @returns {import('./textAnchors').TextAnchor|null}
+ */
+export function toTextAnchor(spanText, pageNumber, start, end) {
+  const from = toTextPoint(spanText, start, false);
+  const to = toTextPoint(spanText, end, true);
+  if (!from || !to) return null;
+  return { pageNumber, start: from, end: to, text: spanText.text.slice(start, end) };
+}
+
+// Split a sentence that is too long to speak in one utterance
+function splitLongRange(text, start, end) {
+  const ranges = [];
+  let chunkStart = start;
+
+  while (end - chunkStart > MAX_CHUNK_LENGTH) {
+    const slice = text.slice(chunkStart, chunkStart + MAX_CHUNK_LENGTH);
+    // Break at the last punctuation pause, else the last space, in the second half of the slice
+    let pauseBreak = -1;
+    let spaceBreak = -1;
+    for (const match of slice.matchAll(CHUNK_BREAK)) {
+      if (match.index < MAX_CHUNK_LENGTH / 2) continue;
+      if (match[0].length > 1) pauseBreak = match.index + 1;
+      else spaceBreak = match.index;
+    }
+    const breakAt = pauseBreak !== -1 ? pauseBreak : spaceBreak !== -1 ? spaceBreak : MAX_CHUNK_LENGTH;
+
+    ranges.push([chunkStart, chunkStart + breakAt]);
+    chunkStart += breakAt;
+    while (chunkStart < end && /\s/.test(text[chunkStart])) chunkStart += 1;
+  }
+
+  ranges.push([chunkStart, end]);
+  return ranges;
+}
+
+/**
+ * Prepare the spoken form of a page text range
+ * Whitespace runs become one space and words hyphenated across lines are joined,
+ * keeping the page offset of every spoken character
+ * @param {string} text - Page text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {{text: string, offsets: number[]}}
+ */
+function toSpokenText(text, start, end) {
+  let spoken = '';
+  const offsets = [];
+
+  for (let i = start; i < end; i += 1) {
+    const char = text[i];
+    // "exam- ple" -> "example"
+    if (char === '-' && HYPHENATED.test(text.slice(i - 1, i + 3))) {
+      i += 1;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      if (!spoken || /\s$/.test(spoken)) continue;
+      spoken += ' ';
+    } else {
+      spoken += char;
+    }
+    offsets.push(i);
+  }
+
+  if (spoken.endsWith(' ')) {
+    spoken = spoken.slice(0, -1);
+    offsets.pop();
+  }
+  return { text: spoken, offsets };
+}
+
+/**
+ * Split page text into sentences ready to be spoken
+ * @param {SpanText} spanText - Page text
+ * @param {number} pageNumber - Page of the text
+ * @returns {ReadAloudSentence[]}
+ */
+export function splitSentences(spanText, pageNumber) {
+  const { text } = spanText;
+  const bounds = [];
+  let sentenceStart = 0;
+
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    bounds.push([sentenceStart, end]);
+    sentenceStart = end;
+  }
+  bounds.push([sentenceStart, text.length]);
+
+  const sentences = [];
+  bounds.forEach(([boundStart, boundEnd]) => {
+    // Trim surrounding whitespace so anchors start and end on text
+    let start = boundStart;
+    let end = boundEnd;
+    while (start < end && /\s/.test(text[start])) start += 1;
+    while (end > start && /\s/.test(text[end - 1])) end -= 1;
+    if (!HAS_WORD.test(text.slice(start, end))) return;
+
+    splitLongRange(text, start, end).forEach(([chunkStart, chunkEnd]) => {
+      const spoken = toSpokenText(text, chunkStart, chunkEnd);
+      const anchor = toTextAnchor(spanText, pageNumber, chunkStart, chunkEnd);
+      if (!spoken.text || !anchor) return;
+      sentences.push({ start: chunkStart, end: chunkEnd, ...spoken, anchor });
+    });
+  });
+
+  return sentences;
+}
+
+/**
+ * Find the page text range of the word being spoken
+ * @param {ReadAloudSentence} sentence - Sentence being spoken
+ * @param {number} charIndex - Boundary event charIndex (in the spoken text)
+ * @param {number} [charLength] - Boundary event charLength (not sent by every browser)
+ * @returns {{start: number, end: number}|null} Range in the page text
+ */
+export function getSpokenWordRange(sentence, charIndex, charLength) {
+  const { text, offsets } = sentence;
+  if (charIndex < 0 || charIndex >= text.length) return null;
+
+  let wordStart = charIndex;
+  while (wordStart < text.length && /\s/.test(text[wordStart])) wordStart += 1;
+
+  let wordEnd = charLength ? Math.min(text.length, charIndex + charLength) : wordStart;
+  if (!charLength) {
+    while (wordEnd < text.length && !/\s/.test(text[wordEnd])) wordEnd += 1;
+  }
+  if (wordEnd <= wordStart) return null;
+
+  return { start: offsets[wordStart], end: offsets[wordEnd - 1] + 1 };
+}
+
+/**
+ * Find the sentence at a text layer point (a tap on the page)
+ * @param {SpanText} spanText - Page text
+ * @param {ReadAloudSentence[]} sentences - Sentences of the page
+ * @param {import('./textAnchors').TextPoint} point - Tapped point
+ * @returns {number} Sentence index, or -1 if the page has no sentence there
+ */
+export function findSentenceAtPoint(spanText, sentences, point) {
+  const start = spanText.spanStarts[point.index];
+  if (start === undefined) return -1;
+
+  const offset = start + point.offset;
+  return sentences.findIndex((sentence) => offset < sentence.end);
+}
@@ -0,0 +1,212 @@
+import { startOfDay } from './srs';
+
+/**
+ * Reading statistics
+ * Aggregates reading sessions and vocabulary history by day and by document
+ */
+
+// A page counts as read once this much time was spent on it (on one day)
+export const MIN_PAGE_READING_MS = 10 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+// Day starts are not 24h apart across DST changes
+function previousDay(day) {
+  return startOfDay(day - 12 * HOUR);
+}
+
+function nextDay(day) {
+  return startOfDay(day + 36 * HOUR);
+}
+
+/**
+ * Consecutive active days ending today (or yesterday if today has no activity yet)
+ * @param {Set<number>} days - Starts of active days
+ * @param {number} today - Start of today
+ * @returns {number}
+ */
+export function countStreak(days, today) {
+  let day = days.has(today) ? today : previousDay(today);
+  let streak = 0;
+  while (days.has(day)) {
+    streak += 1;
+    day = previousDay(day);
+  }
+  return streak;
+}
+
+/**
+ * Longest run of consecutive active days
+ * @param {Set<number>} days - Starts of active days
+ * @returns {number}
+ */
+export function findLongestStreak(days) {
+  let longest = 0;
+  days.forEach((day) => {
+    // Count only from the first day of each run
+    if (days.has(previousDay(day))) return;
+    let length = 0;
+    let current = day;
+    while (days.has(current)) {
+      length += 1;
+      current = nextDay(current);
+    }
+    longest = Math.max(longest, length);
+  });
+  return longest;
+}
+
+/**
+ * Starts of the last `count` days, oldest first
+ * @param {number} today - Start of today
+ * @param {number} count - Number of days
+ * @returns {number[]}
+ */
+export function getLastDays(today, count) {
+  const days = [today];
+  while (days.length < count) days.unshift(previousDay(days[0]));
+  return days;
+}
+
+// Running totals of one document; page times are summed before deciding which pages were read
+function createDocumentTotals(session) {
+  return {
+    documentId: session.documentId,
+    title: session.documentTitle || session.documentId,
+    readingMs: 0,
+    lookups: 0,
+    lastReadAt: 0,
+    pageTimes: new Map(),
+  };
+}
+
+function addSessionTotals(totals, session) {
+  totals.readingMs += session.readingMs;
+  totals.lookups += session.lookups;
+  totals.lastReadAt = Math.max(totals.lastReadAt, session.updatedAt);
+  Object.entries(session.pages).forEach(([pageNumber, page]) => {
+    totals.pageTimes.set(pageNumber, (totals.pageTimes.get(pageNumber) || 0) + page.readingMs);
+  });
+}
+
+function finishDocumentTotals({ pageTimes, ...totals }) {
+  let pagesRead = 0;
+  pageTimes.forEach((readingMs) => {
+    if (readingMs >= MIN_PAGE_READING_MS) pagesRead += 1;
+  });
+  return { ...totals, pagesRead };
+}
+
+/**
+ * @typedef {Object} DocumentDayStats
+ * @property {string} documentId - Document identifier
+ * @property {string} title - Document name
+ * @property {number} readingMs - Reading time
+ * @property {number} pagesRead - Pages read
+ * @property {number} lookups - Lookups
+ * @property {number} lastReadAt - Last activity that day
+ */
+
+/**
+ * @typedef {Object} DayStats
+ * @property {number} day - Start of the day
+ * @property {number} readingMs - Reading time over all documents
+ * @property {number} pagesRead - Pages read over all documents
+ * @property {number} lookups - Lookups over all documents
+ * @property {DocumentDayStats[]} documents - Per document, most read first
+ */
+
+/**
+ * Reading stats per day, split by document
+ * Sessions count towards the day they started on
+ * @param {import('../storage/readingStatsStore').ReadingSession[]} sessions
+ * @returns {Map<number, DayStats>} By start of day
+ */
+export function summarizeDays(sessions) {
+  const byDay = new Map();
+
+  sessions.forEach((session) => {
+    const day = startOfDay(session.startedAt);
+    if (!byDay.has(day)) byDay.set(day, new Map());
+    const documents = byDay.get(day);
+    if (!documents.has(session.documentId)) documents.set(session.documentId, createDocumentTotals(session));
+    addSessionTotals(documents.get(session.documentId), session);
+  });
+
+  const summary = new Map();
+  byDay.forEach((documents, day) => {
+    const list = Array.from(documents.values())
+      .map(finishDocumentTotals)
+      .sort((a, b) => b.readingMs - a.readingMs);
+    summary.set(day, {
+      day,
+      readingMs: list.reduce((sum, document) => sum + document.readingMs, 0),
+      pagesRead: list.reduce((sum, document) => sum + document.pagesRead, 0),
+      lookups: list.reduce((sum, document) => sum + document.lookups, 0),
+      documents: list,
+    });
+  });
+  return summary;
+}
+
+/**
+ * @typedef {Object} DocumentStats
+ * @property {string} documentId - Document identifier
+ * @property {string} title - Document name
+ * @property {number} readingMs - Total reading time
+ * @property {number} pagesRead - Distinct pages read
+ * @property {number} lookups - Total lookups
+ * @property {number} lastReadAt - Last activity
+ */
+
+/**
+ * Totals per document, most recently read first
+ * @param {import('../storage/readingStatsStore').ReadingSession[]} sessions
+ * @returns {DocumentStats[]}
+ */
+export function summarizeDocuments(sessions) {
+  const byDocument = new Map();
+
+  sessions.forEach((session) => {
+    if (!byDocument.has(session.documentId)) byDocument.set(session.documentId, createDocumentTotals(session));
+    addSessionTotals(byDocument.get(session.documentId), session);
+  });
+
+  return Array.from(byDocument.values())
+    .map(finishDocumentTotals)
+    .sort((a, b) => b.lastReadAt - a.lastReadAt);
+}
+
+/**
+ * Words looked up for the first time, per day
+ * A word counts once per language pair, on the day of its first lookup in any document
+ * @param {import('../storage/vocabularyStore').VocabularyEntry[]} entries
+ * @returns {Map<number, number>} Count by start of day
+ */
+export function countNewWordsByDay(entries) {
+  const firstLookups = new Map();
+  entries.forEach((entry) => {
+    const key = [entry.sourceLang, entry.targetLang, entry.normalizedText].join('|');
+    const previous = firstLookups.get(key);
+    if (!previous || entry.createdAt < previous) firstLookups.set(key, entry.createdAt);
+  });
+
+  const byDay = new Map();
+  firstLookups.forEach((createdAt) => {
+    const day = startOfDay(createdAt);
+    byDay.set(day, (byDay.get(day) || 0) + 1);
+  });
+  return byDay;
+}
+
+/**
+ * Format a duration for the dashboard
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "45s", "12m", "2h 05m"
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -0,0 +1,150 @@
+/**
+ * Sentence extraction from the react-pdf text layer
+ * The text layer splits text into many absolutely positioned spans (often
+ * several per line), so the containing sentence has to be rebuilt from all of them
+ */
+
+const TEXT_LAYER_SELECTOR = '.react-pdf__Page__textContent';
+const MAX_SENTENCE_LENGTH = 400;
+
+// Sentence terminators, optionally followed by closing quotes/brackets, then whitespace
+const SENTENCE_END = /[.!?…]+["'”’»)\]]*(?=\s|$)/g;
+
+/**
+ * Collect text of a text layer with a map from DOM text nodes to string offsets
+ * Line breaks become spaces; words hyphenated across lines are joined back
+ * @param {Element} textLayer - Text layer root
+ * @returns {{text: string, offsets: Map<Node, number>}}
+ */
+function collectText(textLayer) {
+  const walker = document.createTreeWalker(
+    textLayer,
+    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
+    null
+  );
+  const offsets = new Map();
+  let text = '';
+  let pendingBreak = false;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.tagName === 'BR') pendingBreak = true;
+      continue;
+    }
+
+    const value = node.nodeValue || '';
+    if (!value) continue;
+
+    if (pendingBreak) {
+      if (/\w-$/.test(text) && /^[a-zà-ÿß]/.test(value)) {
+        // "exam-" + "ple" -> "example"
+        text = text.slice(0, -1);
+      } else if (text && !/\s$/.test(text)) {
+        text += ' ';
+      }
+      pendingBreak = false;
+    }
+
+    offsets.set(node, text.length);
+    text += value;
+  }
+
+  return { text, offsets };
+}
+
+function resolveOffset(offsets, container, offset) {
+  if (offsets.has(container)) {
+    return offsets.get(container) + offset;
+  }
+
+  // Range boundary inside an element: use its first/last text descendant
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null);
+  const child = container.childNodes?.[offset];
+  let node = walker.nextNode();
+  while (node) {
+    if (child && (child === node || child.contains?.(node))) break;
+    node = walker.nextNode();
+  }
+  return node && offsets.has(node) ? offsets.get(node) : null;
+}
+
+/**
+ * Find the sentence around [start, end) in text
+ * @param {string} text - Full text
+ * @param {number} start - Selection start
+ * @param {number} end - Selection end
+ * @returns {{sentence: string, start: number, end: number}}
+ */
+export function findSentence(text, start, end) {
+  let sentenceStart = 0;
+  let sentenceEnd = text.length;
+
+  SENTENCE_END.lastIndex = 0;
+  for (let match = SENTENCE_END.exec(text); match; match = SENTENCE_END.exec(text)) {
+    const matchEnd = match.index + match[0].length;
+    if (matchEnd <= start) {
+      sentenceStart = matchEnd;
+    } else if (matchEnd >= end) {
+      sentenceEnd = matchEnd;
+      break;
+    }
+  }
+
+  // Very long "sentences" (lists, headings without punctuation) are clipped around the selection
+  if (sentenceEnd - sentenceStart > MAX_SENTENCE_LENGTH) {
+    const padding = Math.max(0, Math.floor((MAX_SENTENCE_LENGTH - (end - start)) / 2));
+    sentenceStart = Math.max(sentenceStart, start - padding);
+    sentenceEnd = Math.min(sentenceEnd, end + padding);
+  }
+
+  const raw = text.slice(sentenceStart, sentenceEnd);
+  const leading = raw.length - raw.trimStart().length;
+  const sentence = raw.trim().replace(/\s+/g, ' ');
+
+  return {
+    sentence,
+    start: Math.max(0, start - sentenceStart - leading),
+    end: Math.max(0, end - sentenceStart - leading),
+  };
+}
+
+/**
+ * Extract the sentence containing a selection in the PDF text layer
+ * @param {Range} range - Selection range
+ * @returns {string|null} Sentence or null if the selection is outside a text layer
+ */
+export function getSentenceForRange(range) {
+  const startElement = range.startContainer.nodeType === Node.TEXT_NODE
+    ? range.startContainer.parentElement
+    : range.startContainer;
+  const textLayer = startElement?.closest?.(TEXT_LAYER_SELECTOR);
+  if (!textLayer) return null;
+
+  const { text, offsets } = collectText(textLayer);
+  const start = resolveOffset(offsets, range.startContainer, range.startOffset);
+  const end = resolveOffset(offsets, range.endContainer, range.endOffset);
+  if (start === null || end === null) return null;
+
+  const { sentence } = findSentence(text, Math.min(start, end), Math.max(start, end));
+  return sentence || null;
+}
+
+/**
+ * Split a sentence into parts with the looked-up text marked
+ * @param {string} sentence - Context sentence
+ * @param {string} text - Looked-up text
+ * @returns {Array<{text: string, highlight: boolean}>}
+ */
+export function highlightInSentence(sentence, text) {
+  const needle = (text || '').trim().toLowerCase();
+  if (!sentence || !needle) return [{ text: sentence || '', highlight: false }];
+
+  const index = sentence.toLowerCase().indexOf(needle);
+  if (index === -1) return [{ text: sentence, highlight: false }];
+
+  return [
+    { text: sentence.slice(0, index), highlight: false },
+    { text: sentence.slice(index, index + needle.length), highlight: true },
+    { text: sentence.slice(index + needle.length), highlight: false },
+  ].filter((part) => part.text);
+}
@@ -0,0 +1,18 @@
+/**
+ * Service worker registration (see src/sw.js)
+ * Only production builds contain sw.js
+ */
+
+/**
+ * Register the offline service worker once the page has loaded
+ * Failures are logged: the app keeps working online without it
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+}
@@ -0,0 +1,175 @@
+/**
+ * Pronunciation helpers
+ * Text is spoken with the Web Speech API; recorded audio from the backend is played instead
+ * when a response has it. Only one utterance or clip plays at a time
+ */
+
+// Voices arrive asynchronously in Chrome; don't wait forever on browsers that never send them
+const VOICES_TIMEOUT_MS = 1500;
+
+const INTERRUPTED_ERROR = 'SpeechInterruptedError';
+
+// Clip currently playing and the function that settles its promise when it is stopped
+let currentPlayback = null;
+
+function createInterruptedError() {
+  const error = new Error('Speech interrupted');
+  error.name = INTERRUPTED_ERROR;
+  return error;
+}
+
+/**
+ * Check whether speech synthesis is available in this browser
+ * @returns {boolean}
+ */
+export function isSpeechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/**
+ * Check if speech ended because it was stopped or replaced by another one
+ * @param {Error} error - Error thrown by speakText or playAudio
+ * @returns {boolean}
+ */
+export function isSpeechInterrupted(error) {
+  return error?.name === INTERRUPTED_ERROR;
+}
+
+/**
+ * Load the installed voices
+ * @returns {Promise<SpeechSynthesisVoice[]>} Empty if speech is not supported
+ */
+export function loadVoices() {
+  if (!isSpeechSupported()) return Promise.resolve([]);
+
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      window.speechSynthesis.removeEventListener('voiceschanged', done);
+      resolve(window.speechSynthesis.getVoices());
+    };
+    const timer = setTimeout(done, VOICES_TIMEOUT_MS);
+    window.speechSynthesis.addEventListener('voiceschanged', done);
+  });
+}
+
+/**
+ * Voices that speak a language
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {string} code - ISO 639-1 language code (e.g., 'de')
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function getVoicesForLanguage(voices, code) {
+  // Voice languages are BCP 47 tags ('de-DE'); some Android builds use 'de_DE'
+  return voices.filter((voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === code);
+}
+
+/**
+ * Pick the voice for a language: the user's choice, then the system default, then a local one
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {string} code - ISO 639-1 language code
+ * @param {string} [preferredURI] - voiceURI chosen in settings
+ * @returns {SpeechSynthesisVoice|null} Null if no voice speaks the language
+ */
+export function pickVoice(voices, code, preferredURI) {
+  const candidates = getVoicesForLanguage(voices, code);
+  return (
+    candidates.find((voice) => voice.voiceURI === preferredURI) ||
+    candidates.find((voice) => voice.default) ||
+    candidates.find((voice) => voice.localService) ||
+    candidates[0] ||
+    null
+  );
+}
+
+/**
+ * Stop whatever is being spoken or played
+ */
+export function stopSpeech() {
+  if (currentPlayback) {
+    currentPlayback.stop();
+    currentPlayback = null;
+  }
+  if (isSpeechSupported()) {
+    window.speechSynthesis.cancel();
+  }
+}
+
+/**
+ * Speak text with speech synthesis
+ * @param {string} text - Text to speak
+ * @param {Object} options
+ * @param {string} options.lang - ISO 639-1 language code of the text
+ * @param {SpeechSynthesisVoice|null} [options.voice] - Voice to use (the browser picks one by language otherwise)
+ * @param {number} [options.rate=1] - Speed, 0.1 to 10
+ * @param {number} [options.pitch=1] - Pitch, 0 to 2
+ * @param {function(SpeechSynthesisEvent): void} [options.onBoundary] - Called at word and sentence boundaries
+ * @returns {Promise<void>} Resolves when speaking ends; rejects with an interrupted error when stopped
+ */
+export function speakText(text, { lang, voice = null, rate = 1, pitch = 1, onBoundary } = {}) {
+  if (!isSpeechSupported()) {
+    return Promise.reject(new Error('Speech synthesis is not supported'));
+  }
+
+  stopSpeech();
+
+  return new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = voice?.lang || lang;
+    if (voice) utterance.voice = voice;
+    utterance.rate = rate;
+    utterance.pitch = pitch;
+    if (onBoundary) utterance.onboundary = onBoundary;
+
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) => {
+      if (event.error === 'interrupted' || event.error === 'canceled') {
+        reject(createInterruptedError());
+      } else {
+        reject(new Error(`Speech synthesis failed: ${event.error}`));
+      }
+    };
+
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+/**
+ * Play a recorded pronunciation
+ * @param {string} url - Audio URL from the backend
+ * @returns {Promise<void>} Resolves when playback ends; rejects if the clip can't be played or is stopped
+ */
+export function playAudio(url) {
+  stopSpeech();
+
+  return new Promise((resolve, reject) => {
+    const audio = new Audio(url);
+    const playback = {
+      stop: () => {
+        audio.pause();
+        reject(createInterruptedError());
+      },
+    };
+    const finish = () => {
+      if (currentPlayback === playback) currentPlayback = null;
+    };
+
+    audio.onended = () => {
+      finish();
+      resolve();
+    };
+    audio.onerror = () => {
+      finish();
+      reject(new Error('Audio could not be played'));
+    };
+
+    currentPlayback = playback;
+    audio.play().catch((error) => {
+      finish();
+      reject(error);
+    });
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * Spaced-repetition scheduler
+ * SM-2 with learning steps, close to Anki's default: new and forgotten cards go
+ * through short steps within the day, then graduate to intervals in days that grow
+ * by the card's ease factor
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Delays of the learning steps for new cards and for forgotten cards
+const LEARNING_STEPS = [1 * MINUTE, 10 * MINUTE];
+const RELEARNING_STEPS = [10 * MINUTE];
+
+const GRADUATING_INTERVAL = 1;
+const EASY_INTERVAL = 4;
+const STARTING_EASE = 2.5;
+const MIN_EASE = 1.3;
+const HARD_FACTOR = 1.2;
+const EASY_BONUS = 1.3;
+// A forgotten card comes back with this share of its previous interval
+const LAPSE_FACTOR = 0.5;
+const MAX_INTERVAL = 365 * 10;
+
+export const GRADES = {
+  AGAIN: 'again',
+  HARD: 'hard',
+  GOOD: 'good',
+  EASY: 'easy',
+};
+
+export const CARD_STATES = {
+  NEW: 'new',
+  LEARNING: 'learning',
+  REVIEW: 'review',
+  RELEARNING: 'relearning',
+};
+
+/**
+ * @typedef {Object} SchedulingState
+ * @property {string} state - Value from CARD_STATES
+ * @property {number} step - Current learning/relearning step
+ * @property {number} ease - Ease factor (interval multiplier)
+ * @property {number} interval - Current interval in days (0 while learning a new card)
+ * @property {number} due - When the card is due (ms timestamp)
+ * @property {number} reps - Number of reviews
+ * @property {number} lapses - How many times the card was forgotten after graduating
+ */
+
+/**
+ * Scheduling state of a card that has never been reviewed
+ * @param {number} now - Current time (ms)
+ * @returns {SchedulingState}
+ */
+export function createSchedulingState(now) {
+  return {
+    state: CARD_STATES.NEW,
+    step: 0,
+    ease: STARTING_EASE,
+    interval: 0,
+    due: now,
+    reps: 0,
+    lapses: 0,
+  };
+}
+
+/**
+ * Start of the local day containing a time
+ * @param {number} time - ms timestamp
+ * @returns {number}
+ */
+export function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// Review intervals are whole days, due at the start of that day
+function dueInDays(now, days) {
+  return startOfDay(now) + days * DAY;
+}
+
+function clampInterval(days) {
+  return Math.min(MAX_INTERVAL, Math.max(1, Math.round(days)));
+}
+
+// Step handling shared by learning and relearning
+function scheduleStep(card, grade, steps, now, graduate) {
+  switch (grade) {
+    case GRADES.AGAIN:
+      return { ...card, step: 0, due: now + steps[0] };
+    case GRADES.HARD: {
+      // Repeat the step; on the first step wait halfway to the next one
+      const delay = card.step === 0 && steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[card.step];
+      return { ...card, due: now + delay };
+    }
+    case GRADES.GOOD:
+      if (card.step + 1 < steps.length) {
+        return { ...card, step: card.step + 1, due: now + steps[card.step + 1] };
+      }
+      return graduate(false);
+    default:
+      return graduate(true);
+  }
+}
+
+/**
+ * Apply a grade to a card
+ * @param {SchedulingState} card - Current scheduling state
+ * @param {string} grade - Value from GRADES
+ * @param {number} now - Review time (ms)
+ * @returns {SchedulingState} New scheduling state
+ */
+export function scheduleCard(card, grade, now) {
+  const reviewed = { ...card, reps: card.reps + 1 };
+
+  if (card.state === CARD_STATES.NEW || card.state === CARD_STATES.LEARNING) {
+    const learning = { ...reviewed, state: CARD_STATES.LEARNING };
+    return scheduleStep(learning, grade, LEARNING_STEPS, now, (isEasy) => {
+      const interval = isEasy ? EASY_INTERVAL : GRADUATING_INTERVAL;
+      return { ...learning, state: CARD_STATES.REVIEW, step: 0, interval, due: dueInDays(now, interval) };
+    });
+  }
+
+  if (card.state === CARD_STATES.RELEARNING) {
+    return scheduleStep(reviewed, grade, RELEARNING_STEPS, now, (isEasy) => {
+      const interval = clampInterval(isEasy ? card.interval + 1 : card.interval);
+      return { ...reviewed, state: CARD_STATES.REVIEW, step: 0, interval, due: dueInDays(now, interval) };
+    });
+  }
+
+  // Review card
+  switch (grade) {
+    case GRADES.AGAIN:
+      return {
+        ...reviewed,
+        state: CARD_STATES.RELEARNING,
+        step: 0,
+        lapses: card.lapses + 1,
+        ease: Math.max(MIN_EASE, card.ease - 0.2),
+        interval: clampInterval(card.interval * LAPSE_FACTOR),
+        due: now + RELEARNING_STEPS[0],
+      };
+    case GRADES.HARD: {
+      const interval = clampInterval(Math.max(card.interval * HARD_FACTOR, card.interval + 1));
+      return { ...reviewed, ease: Math.max(MIN_EASE, card.ease - 0.15), interval, due: dueInDays(now, interval) };
+    }
+    case GRADES.GOOD: {
+      const interval = clampInterval(Math.max(card.interval * card.ease, card.interval + 1));
+      return { ...reviewed, interval, due: dueInDays(now, interval) };
+    }
+    default: {
+      const interval = clampInterval(Math.max(card.interval * card.ease * EASY_BONUS, card.interval + 2));
+      return { ...reviewed, ease: card.ease + 0.15, interval, due: dueInDays(now, interval) };
+    }
+  }
+}
+
+/**
+ * Format the wait until a card is due, for grade button labels
+ * @param {number} due - Due time (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {string} e.g. "1m", "10m", "1d", "3mo"
+ */
+export function formatInterval(due, now) {
+  // Later days count in calendar days, even if that is only a few hours away
+  const days = Math.round((startOfDay(due) - startOfDay(now)) / DAY);
+  if (days < 1) {
+    const ms = Math.max(0, due - now);
+    if (ms < 60 * MINUTE) return `${Math.max(1, Math.round(ms / MINUTE))}m`;
+    return `${Math.round(ms / (60 * MINUTE))}h`;
+  }
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${(days / 365).toFixed(1).replace(/\.0$/, '')}y`;
+}
+
+/**
+ * Preview when a card would come back for every grade
+ * @param {SchedulingState} card - Current scheduling state
+ * @param {number} now - Current time (ms)
+ * @returns {Object<string, string>} Formatted interval per grade
+ */
+export function previewIntervals(card, now) {
+  return Object.fromEntries(
+    Object.values(GRADES).map((grade) => [grade, formatInterval(scheduleCard(card, grade, now).due, now)])
+  );
+}
@@ -0,0 +1,203 @@
+/**
+ * Text anchors for highlights
+ * A position is stored as (index of the text span in the page text layer, character
+ * offset inside it). Spans follow pdfjs text content order, so anchors do not depend
+ * on zoom or layout and can be resolved again after a reload
+ */
+
+const TEXT_LAYER_SELECTOR = '.react-pdf__Page__textContent';
+const PAGE_SELECTOR = '[data-page-number]';
+
+// Text spans created by pdfjs (markedContent wrappers and <br> are skipped)
+const TEXT_SPAN_SELECTOR = 'span[role="presentation"]';
+
+/**
+ * @typedef {Object} TextPoint
+ * @property {number} index - Index of the text span in the page text layer
+ * @property {number} offset - Character offset inside the span
+ */
+
+/**
+ * @typedef {Object} TextAnchor
+ * @property {number} pageNumber - Page of the passage
+ * @property {TextPoint} start - Start of the passage
+ * @property {TextPoint} end - End of the passage (exclusive)
+ * @property {string} text - Passage text, used to detect stale anchors
+ */
+
+function getTextSpans(textLayer) {
+  return Array.from(textLayer.querySelectorAll(TEXT_SPAN_SELECTOR));
+}
+
+function asElement(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+}
+
+// Compare text ignoring whitespace, which the text layer does not preserve reliably
+function compactText(text) {
+  return text.replace(/\s+/g, '');
+}
+
+/**
+ * Convert a DOM boundary point to a text point
+ * Boundaries between spans (on the layer itself, on <br>) snap to the nearest span
+ * @param {Element[]} spans - Text spans of the layer
+ * @param {Node} container - Boundary container
+ * @param {number} offset - Boundary offset
+ * @param {boolean} isEnd - Snap backwards (end of a range) instead of forwards
+ * @returns {TextPoint|null}
+ */
+function toTextPoint(spans, container, offset, isEnd) {
+  const span = asElement(container)?.closest(TEXT_SPAN_SELECTOR);
+  const index = span ? spans.indexOf(span) : -1;
+
+  if (index !== -1) {
+    const prefix = document.createRange();
+    prefix.setStart(span, 0);
+    prefix.setEnd(container, offset);
+    return { index, offset: prefix.toString().length };
+  }
+
+  const boundary = document.createRange();
+  boundary.setStart(container, offset);
+
+  if (isEnd) {
+    for (let i = spans.length - 1; i >= 0; i -= 1) {
+      if (boundary.comparePoint(spans[i], spans[i].childNodes.length) <= 0) {
+        return { index: i, offset: spans[i].textContent.length };
+      }
+    }
+    return null;
+  }
+
+  const nextIndex = spans.findIndex((candidate) => boundary.comparePoint(candidate, 0) >= 0);
+  return nextIndex === -1 ? null : { index: nextIndex, offset: 0 };
+}
+
+/**
+ * Build an anchor for a selection in the PDF text layer
+ * Selections that continue onto the next page are cut at the end of the first page
+ * @param {Range} range - Selection range
+ * @returns {TextAnchor|null} Null if the selection is not inside a text layer
+ */
+export function getSelectionAnchor(range) {
+  const pageElement = asElement(range.startContainer)?.closest(PAGE_SELECTOR);
+  const textLayer = pageElement?.querySelector(TEXT_LAYER_SELECTOR);
+  if (!textLayer) return null;
+
+  const spans = getTextSpans(textLayer);
+  if (spans.length === 0) return null;
+
+  const start = toTextPoint(spans, range.startContainer, range.startOffset, false);
+  const end = textLayer.contains(range.endContainer)
+    ? toTextPoint(spans, range.endContainer, range.endOffset, true)
+    : { index: spans.length - 1, offset: spans[spans.length - 1].textContent.length };
+
+  if (!start || !end) return null;
+  if (start.index > end.index || (start.index === end.index && start.offset >= end.offset)) return null;
+
+  const anchor = {
+    pageNumber: Number(pageElement.dataset.pageNumber),
+    start,
+    end,
+    text: '',
+  };
+  anchor.text = getAnchorText(spans, anchor);
+  return anchor.text.trim() ? anchor : null;
+}
+
+/**
+ * Find the text point under a screen position (a tap on the page)
+ * @param {number} x - Client x coordinate
+ * @param {number} y - Client y coordinate
+ * @returns {{pageNumber: number, point: TextPoint}|null} Null if there is no text there
+ */
+export function getTextPointAtPosition(x, y) {
+  let container = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const caret = document.caretPositionFromPoint(x, y);
+    container = caret?.offsetNode;
+    offset = caret?.offset || 0;
+  } else if (document.caretRangeFromPoint) {
+    const caret = document.caretRangeFromPoint(x, y);
+    container = caret?.startContainer;
+    offset = caret?.startOffset || 0;
+  }
+  if (!container) return null;
+
+  const pageElement = asElement(container)?.closest(PAGE_SELECTOR);
+  const textLayer = pageElement?.querySelector(TEXT_LAYER_SELECTOR);
+  if (!textLayer?.contains(container)) return null;
+
+  const point = toTextPoint(getTextSpans(textLayer), container, offset, false);
+  return point ? { pageNumber: Number(pageElement.dataset.pageNumber), point } : null;
+}
+
+// Spans are joined as in the PDF text; a <br> after a span marks the end of a line
+function getAnchorText(spans, { start, end }) {
+  let text = '';
+  for (let i = start.index; i <= end.index; i += 1) {
+    const spanText = spans[i].textContent;
+    text += spanText.slice(i === start.index ? start.offset : 0, i === end.index ? end.offset : spanText.length);
+    if (i < end.index && spans[i].nextSibling?.nodeName === 'BR') text += ' ';
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Find the text node and local offset for a character offset inside a span
+function locateInSpan(span, offset) {
+  const walker = document.createTreeWalker(span, NodeFilter.SHOW_TEXT, null);
+  let remaining = offset;
+  let last = null;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const length = node.nodeValue.length;
+    if (remaining <= length) return { node, offset: remaining };
+    remaining -= length;
+    last = node;
+  }
+  return last ? { node: last, offset: last.nodeValue.length } : null;
+}
+
+/**
+ * Resolve an anchor to rectangles on its rendered page
+ * Rectangles are fractions of the page size, so they stay valid at any zoom
+ * @param {Element} pageElement - react-pdf page element
+ * @param {TextAnchor} anchor - Stored anchor
+ * @returns {Array<{left: number, top: number, width: number, height: number}>|null}
+ *   Null if the text layer is not rendered yet or no longer matches the anchor
+ */
+export function getAnchorRects(pageElement, anchor) {
+  const textLayer = pageElement.querySelector(TEXT_LAYER_SELECTOR);
+  if (!textLayer) return null;
+
+  const spans = getTextSpans(textLayer);
+  if (spans.length <= anchor.end.index) return null;
+  if (compactText(getAnchorText(spans, anchor)) !== compactText(anchor.text)) return null;
+
+  const pageRect = pageElement.getBoundingClientRect();
+  if (pageRect.width === 0 || pageRect.height === 0) return null;
+
+  const rects = [];
+  for (let i = anchor.start.index; i <= anchor.end.index; i += 1) {
+    const span = spans[i];
+    const from = locateInSpan(span, i === anchor.start.index ? anchor.start.offset : 0);
+    const to = locateInSpan(span, i === anchor.end.index ? anchor.end.offset : span.textContent.length);
+    if (!from || !to) continue;
+
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    // One rect per span: pdfjs spans never wrap, so the bounding box is the run of text
+    const rect = range.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) continue;
+
+    rects.push({
+      left: (rect.left - pageRect.left) / pageRect.width,
+      top: (rect.top - pageRect.top) / pageRect.height,
+      width: rect.width / pageRect.width,
+      height: rect.height / pageRect.height,
+    });
+  }
+  return rects;
+}
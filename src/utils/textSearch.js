@@ -0,0 +1,156 @@
+/**
+ * Full-text search helpers
+ * Matching is case- and diacritic-insensitive; hits are mapped back to pdfjs
+ * text items so they can be highlighted in the react-pdf text layer
+ */
+
+// Characters of context shown around a hit in the results list
+const SNIPPET_RADIUS = 40;
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Fold a character for comparison (lower case, no accents): "É" -> "e"
+ * Always returns one character so offsets in folded text match the original
+ * @param {string} char - Single character
+ * @returns {string}
+ */
+function foldChar(char) {
+  const folded = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+  return folded.length === 1 ? folded : folded.charAt(0) || char;
+}
+
+/**
+ * Normalize a search query the same way page text is normalized
+ * @param {string} query - Raw query
+ * @returns {string}
+ */
+export function normalizeQuery(query) {
+  return Array.from(query.trim().replace(/\s+/g, ' '), foldChar).join('');
+}
+
+/**
+ * @typedef {Object} PageText
+ * @property {string} text - Page text, items joined (line ends become spaces)
+ * @property {string} folded - Folded text with the same length as `text`
+ * @property {number[]} itemStarts - Offset of each text item in `text`
+ * @property {number[]} itemLengths - Length of each item's string
+ */
+
+/**
+ * Build searchable text for a page from pdfjs text content
+ * @param {Object} textContent - Result of page.getTextContent() without marked content, so item
+ *   indexes match the itemIndex react-pdf passes to customTextRenderer
+ * @returns {PageText}
+ */
+export function buildPageText(textContent) {
+  let text = '';
+  const itemStarts = [];
+  const itemLengths = [];
+
+  textContent.items.forEach((item) => {
+    const str = typeof item.str === 'string' ? item.str : '';
+    itemStarts.push(text.length);
+    itemLengths.push(str.length);
+    text += str;
+    if (item.hasEOL && !/\s$/.test(text)) text += ' ';
+  });
+
+  // Surrogate pairs are rare in books; fold per UTF-16 unit to keep offsets aligned
+  let folded = '';
+  for (let i = 0; i < text.length; i += 1) {
+    folded += /\s/.test(text[i]) ? ' ' : foldChar(text[i]);
+  }
+
+  return { text, folded, itemStarts, itemLengths };
+}
+
+/**
+ * Split a text range into per-item ranges
+ * @param {PageText} pageText - Page text
+ * @param {number} start - Range start in page text
+ * @param {number} end - Range end in page text
+ * @returns {Array<{itemIndex: number, start: number, end: number}>}
+ */
+function toItemRanges(pageText, start, end) {
+  const ranges = [];
+  pageText.itemStarts.forEach((itemStart, itemIndex) => {
+    const itemEnd = itemStart + pageText.itemLengths[itemIndex];
+    const from = Math.max(start, itemStart);
+    const to = Math.min(end, itemEnd);
+    if (from < to) {
+      ranges.push({ itemIndex, start: from - itemStart, end: to - itemStart });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {number} pageNumber - Page of the hit
+ * @property {{before: string, match: string, after: string}} snippet - Context for the results list
+ * @property {Array<{itemIndex: number, start: number, end: number}>} ranges - Highlight ranges per text item
+ */
+
+/**
+ * Find all occurrences of a query on a page
+ * @param {PageText} pageText - Page text
+ * @param {string} foldedQuery - Query from normalizeQuery
+ * @param {number} pageNumber - Page number
+ * @returns {SearchHit[]}
+ */
+export function findInPage(pageText, foldedQuery, pageNumber) {
+  const hits = [];
+  if (!foldedQuery) return hits;
+
+  let index = pageText.folded.indexOf(foldedQuery);
+  while (index !== -1) {
+    const end = index + foldedQuery.length;
+    const snippetStart = Math.max(0, index - SNIPPET_RADIUS);
+    const snippetEnd = Math.min(pageText.text.length, end + SNIPPET_RADIUS);
+
+    hits.push({
+      pageNumber,
+      snippet: {
+        before: (snippetStart > 0 ? '…' : '') + pageText.text.slice(snippetStart, index).trimStart(),
+        match: pageText.text.slice(index, end),
+        after: pageText.text.slice(end, snippetEnd).trimEnd() + (snippetEnd < pageText.text.length ? '…' : ''),
+      },
+      ranges: toItemRanges(pageText, index, end),
+    });
+
+    index = pageText.folded.indexOf(foldedQuery, end);
+  }
+
+  return hits;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Wrap ranges of a text item in <mark> for react-pdf's customTextRenderer
+ * @param {string} str - Text item string
+ * @param {Array<{start: number, end: number, className: string}>} ranges - Non-overlapping ranges
+ * @returns {string} HTML
+ */
+export function markTextItem(str, ranges) {
+  if (!ranges.length) return escapeHtml(str);
+
+  let html = '';
+  let cursor = 0;
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end, className }) => {
+      if (start < cursor) return;
+      html += escapeHtml(str.slice(cursor, start));
+      html += `<mark class="${className}">${escapeHtml(str.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+  return html + escapeHtml(str.slice(cursor));
+}
@@ -0,0 +1,24 @@
+const THUMBNAIL_WIDTH = 160;
+
+/**
+ * Render the first page of a PDF into a small JPEG data URL
+ * @param {Object} pdfDocument - pdfjs document proxy
+ * @returns {Promise<string|null>} Data URL or null if rendering failed
+ */
+export async function renderThumbnail(pdfDocument) {
+  try {
+    const page = await pdfDocument.getPage(1);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / baseViewport.width });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas.toDataURL('image/jpeg', 0.7);
+  } catch (error) {
+    console.warn('Failed to render thumbnail:', error);
+    return null;
+  }
+}
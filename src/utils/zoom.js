@@ -0,0 +1,82 @@
+/**
+ * Zoom helpers for the PDF viewer
+ * Named modes are resolved to a numeric scale from the available space
+ */
+
+// Zoom limits
+export const MIN_SCALE = 0.5;
+export const MAX_SCALE = 3.0;
+export const SCALE_STEP = 0.2;
+
+// Largest canvas (in device pixels) that mobile browsers reliably allocate
+const MAX_CANVAS_PIXELS = 16_777_216;
+
+/**
+ * Zoom modes
+ * CUSTOM uses an explicit scale chosen with +/− or pinch
+ */
+export const ZOOM_MODES = {
+  FIT_WIDTH: 'fitWidth',
+  FIT_PAGE: 'fitPage',
+  ACTUAL_SIZE: 'actualSize',
+  CUSTOM: 'custom',
+};
+
+export const ZOOM_MODE_LABELS = {
+  [ZOOM_MODES.FIT_WIDTH]: 'Fit width',
+  [ZOOM_MODES.FIT_PAGE]: 'Fit page',
+  [ZOOM_MODES.ACTUAL_SIZE]: 'Actual size',
+};
+
+export const DEFAULT_ZOOM_MODE = ZOOM_MODES.FIT_WIDTH;
+
+export const clampScale = (value) => Math.min(Math.max(value, MIN_SCALE), MAX_SCALE);
+
+/**
+ * Check whether a value is a known zoom mode
+ * @param {string} mode - Value to check
+ * @returns {boolean}
+ */
+export function isZoomMode(mode) {
+  return Object.values(ZOOM_MODES).includes(mode);
+}
+
+/**
+ * Resolve a zoom mode to a scale
+ * @param {string} mode - One of ZOOM_MODES
+ * @param {Object} params
+ * @param {{width: number, height: number}} params.pageSize - Unscaled page size
+ * @param {{width: number, height: number}} params.available - Space for the page in CSS pixels
+ * @param {number} params.customScale - Scale used in CUSTOM mode
+ * @returns {number}
+ */
+export function resolveScale(mode, { pageSize, available, customScale }) {
+  const widthScale = available.width / pageSize.width;
+  const heightScale = available.height / pageSize.height;
+
+  switch (mode) {
+    case ZOOM_MODES.FIT_WIDTH:
+      return clampScale(widthScale);
+    case ZOOM_MODES.FIT_PAGE:
+      return clampScale(Math.min(widthScale, heightScale));
+    case ZOOM_MODES.ACTUAL_SIZE:
+      return 1.0;
+    default:
+      return clampScale(customScale);
+  }
+}
+
+/**
+ * Pixel ratio for rendering a page canvas
+ * Follows the device ratio for crisp text, reduced only when the canvas would
+ * exceed what the browser can allocate at high zoom
+ * @param {{width: number, height: number}} pageSize - Unscaled page size
+ * @param {number} scale - Page scale
+ * @param {number} devicePixelRatio - window.devicePixelRatio
+ * @returns {number}
+ */
+export function getRenderPixelRatio(pageSize, scale, devicePixelRatio) {
+  const cssPixels = pageSize.width * scale * pageSize.height * scale;
+  const maxRatio = Math.sqrt(MAX_CANVAS_PIXELS / cssPixels);
+  return Math.max(1, Math.min(devicePixelRatio, maxRatio));
+}
@@ -1,9 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import pdfjsAssets from './plugins/pdfjsAssets'
+import serviceWorker from './plugins/serviceWorker'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pdfjsAssets(), serviceWorker()],
   build: {
     outDir: 'dist',
     sourcemap: false,
@@ -22,4 +24,3 @@ export default defineConfig({
     host: true
   }
 })
-